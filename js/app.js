@@ -1,17 +1,118 @@
 // Import modules
+import { signOut } from 'aws-amplify/auth';
 import { RekognitionService } from './rekognition.js';
+import { SmartDetection } from './smart-detection.js';
+import { StabilitySensor } from './stability-sensor.js';
+import { RegionOfInterest } from './region-of-interest.js';
+import { PerformanceController } from './performance-controller.js';
+import { TemplateTracker } from './object-tracker.js';
+import { FrameAnalyzer } from './frame-analyzer.js';
+import { nextGuidance } from './frame-quality.js';
+import { ThresholdCalibrator, CalibrationProfiles } from './calibration.js';
+import { OperatingSchedule } from './operating-schedule.js';
+import { CameraDevices, RESOLUTION_PRESETS, FRAME_RATE_PRESETS } from './camera-devices.js';
+import { CameraAssist } from './camera-assist.js';
+import { CameraLifecycle, CAMERA_STATES } from './camera-lifecycle.js';
+import { CaptureBenchmark } from './capture-benchmark.js';
+import { VideoFrameSource, DisplayFrameSource } from './frame-sources.js';
+import { CameraManager } from './camera.js';
+import { VideoAnalyzer } from './video-analysis.js';
+import { reportToCsv, reportToJson } from './exposure-report.js';
+import { DetectionLayout } from './detection-layout.js';
+import {
+    BudgetExceededError,
+    CircuitOpenError,
+    ReauthenticationRequiredError,
+    ThrottlingError
+} from './detection-errors.js';
 
 // Main Application Controller
 class LogoApp {
     constructor() {
-        this.camera = new CameraManager();
-        this.smartDetection = new SmartDetection();
+        this.cameraLifecycle = new CameraLifecycle({
+            requestTimeout: CONFIG.CAMERA.START_TIMEOUT,
+            muteTimeout: CONFIG.CAMERA.MUTE_TIMEOUT,
+            maxAttempts: CONFIG.CAMERA.REACQUIRE_ATTEMPTS
+        });
+        this.camera = new CameraManager({
+            lifecycle: this.cameraLifecycle,
+            devices: new CameraDevices({
+                facingMode: CONFIG.CAMERA.FACING_MODE,
+                width: CONFIG.CAMERA.WIDTH,
+                height: CONFIG.CAMERA.HEIGHT,
+                frameRate: CONFIG.CAMERA.FRAME_RATE
+            })
+        });
+        this.cameraAssist = new CameraAssist(this.camera, {
+            enabled: CONFIG.CAMERA.AUTO_ASSIST,
+            darkFrames: CONFIG.CAMERA.ASSIST_DARK_FRAMES,
+            tinyTargetArea: CONFIG.CAMERA.ASSIST_TINY_AREA,
+            tinyFrames: CONFIG.CAMERA.ASSIST_TINY_FRAMES,
+            maxZoom: CONFIG.CAMERA.ASSIST_MAX_ZOOM
+        });
+        this.stabilitySensor = new StabilitySensor({
+            motionThreshold: CONFIG.DETECTION.STABILITY_MOTION_THRESHOLD,
+            rotationThreshold: CONFIG.DETECTION.STABILITY_ROTATION_THRESHOLD,
+            minScore: CONFIG.DETECTION.STABILITY_MIN_SCORE,
+            steadyDuration: CONFIG.DETECTION.STEADY_DURATION
+        });
+        this.performanceController = new PerformanceController({
+            lowBattery: CONFIG.PERFORMANCE.LOW_BATTERY,
+            criticalBattery: CONFIG.PERFORMANCE.CRITICAL_BATTERY,
+            slowFrameTime: CONFIG.PERFORMANCE.SLOW_FRAME_TIME,
+            droppedFrameRate: CONFIG.PERFORMANCE.DROPPED_FRAME_RATE,
+            boostWindow: CONFIG.PERFORMANCE.BOOST_WINDOW
+        });
+        this.smartDetection = new SmartDetection({
+            performanceController: this.performanceController,
+            stabilitySensor: this.stabilitySensor,
+            regionOfInterest: new RegionOfInterest({
+                centerCrop: CONFIG.DETECTION.ROI_CENTER_CROP,
+                margin: CONFIG.DETECTION.ROI_MARGIN,
+                holdTime: CONFIG.DETECTION.ROI_HOLD_TIME,
+                fullFrameEvery: CONFIG.DETECTION.FULL_FRAME_EVERY
+            })
+        });
+        this.calibrationProfiles = new CalibrationProfiles({
+            defaults: {
+                motionThreshold: CONFIG.DETECTION.MOTION_THRESHOLD,
+                qualityThreshold: CONFIG.DETECTION.QUALITY_THRESHOLD
+            },
+            profiles: CONFIG.DETECTION.CALIBRATION_PROFILES
+        });
+        this.smartDetection.updateSettings(this.calibrationProfiles.getActive());
+        this.schedule = new OperatingSchedule({
+            enabled: CONFIG.SCHEDULE.ENABLED,
+            timeZone: CONFIG.SCHEDULE.TIME_ZONE,
+            windows: CONFIG.SCHEDULE.WINDOWS,
+            blackoutDates: CONFIG.SCHEDULE.BLACKOUT_DATES
+        });
         this.rekognition = new RekognitionService();
-        this.arOverlay = new AROverlay();
+        this.frameAnalyzer = new FrameAnalyzer({
+            analysisWidth: CONFIG.DETECTION.ANALYSIS_WIDTH,
+            preprocessing: this.rekognition.options.preprocessing
+        });
+        this.frameSource = this.camera; // What the loop scans; see setFrameSource()
+        this.videoAnalyzer = null; // Set while a recorded video is analyzed; see analyzeVideo()
+        this.exposureReport = null;
+        this.arOverlay = new AROverlay({
+            layout: new DetectionLayout({
+                maxCount: CONFIG.AR.MAX_DETECTIONS,
+                priority: CONFIG.AR.PRIORITY
+            })
+        });
+        this.tracker = new TemplateTracker({
+            minConfidence: CONFIG.TRACKING.MIN_CONFIDENCE,
+            maxMisses: CONFIG.TRACKING.MAX_MISSES
+        });
         
         this.isRunning = false;
-        this.detectionLoop = null;
+        this.isWaitingForModel = false;
+        this.isCalibrating = false;
+        this.detectionLoop = null; // Cancels the pending frame request
         this.statsUpdateInterval = null;
+        this.scheduleCheckInterval = null;
+        this.guidance = null; // Coaching message currently shown
         
         // UI elements
         this.elements = {};
@@ -32,20 +133,58 @@ class LogoApp {
             // Initialize UI elements
             this.initializeUI();
             
+            // Campaign hours from their own file replace the inline windows
+            if (CONFIG.SCHEDULE.URL) {
+                this.schedule = await OperatingSchedule.load(CONFIG.SCHEDULE.URL, { enabled: CONFIG.SCHEDULE.ENABLED });
+            }
+            this.startScheduleCheck();
+            
             // Initialize components
             await this.camera.initialize();
+            this.rekognition.onModelStatusChange(status => this.updateModelStatus(status));
+            if (this.rekognition.budget) {
+                this.rekognition.budget.onWarning(warning => this.showError(warning.message));
+            }
+            this.rekognition.circuitBreaker.onStateChange(state => this.updateServiceState(state));
+            this.rekognition.labelSettings.onChange(labels => this.renderLabelSettings(labels));
+            this.calibrationProfiles.onChange((profiles, active) => this.renderCalibrationProfiles(profiles, active));
+            this.renderCalibrationProfiles(this.calibrationProfiles.list(), this.calibrationProfiles.getActive());
+            this.cameraAssist.onChange(controls => this.renderTrackControls(controls));
+            this.cameraLifecycle.onStateChange((state, previous, detail) => this.updateCameraState(state, previous, detail));
+            this.performanceController.onTierChange((tier, settings) => {
+                this.frameSource.setCaptureScale(settings.captureScale);
+            });
+            this.tracker.onLost(() => {
+                // Logo moved out of view or changed too much: drop the overlay and rescan
+                this.arOverlay.hideDetection();
+                this.smartDetection.requestScan();
+            });
             await this.rekognition.initialize();
+            console.log(`Detection backend: ${this.rekognition.getBackend().getName()}`);
+            
+            // Frames that pass are then encoded by the worker from the bitmap it already holds
+            if (CONFIG.DETECTION.FRAME_WORKER && this.frameAnalyzer.start()) {
+                this.rekognition.setPreprocessor(this.frameAnalyzer);
+            }
             this.arOverlay.initialize();
             
             // Set up event listeners
             this.setupEventListeners();
             
-            // Start camera
+            // Start camera; device labels are only listed once permission was granted
             await this.camera.startCamera();
+            await this.renderCameraControls();
+            if (navigator.mediaDevices.addEventListener) {
+                navigator.mediaDevices.addEventListener('devicechange', () => this.renderCameraControls());
+            }
             
             // Hide loading overlay
             this.hideLoadingOverlay();
             
+            if (CONFIG.DETECTION.BENCHMARK) {
+                this.runCaptureBenchmark();
+            }
+            
             console.log('App initialized successfully');
             return true;
             
@@ -66,10 +205,37 @@ class LogoApp {
             confidenceValue: document.getElementById('confidence-value'),
             framesProcessed: document.getElementById('frames-processed'),
             apiCalls: document.getElementById('api-calls'),
+            projectedCost: document.getElementById('projected-cost'),
+            bytesPerCall: document.getElementById('bytes-per-call'),
             detectionsCount: document.getElementById('detections-count'),
+            modelStatus: document.getElementById('model-status'),
+            modelInferenceUnits: document.getElementById('model-inference-units'),
+            modelF1Score: document.getElementById('model-f1-score'),
+            labelSettings: document.getElementById('label-settings'),
+            guidance: document.getElementById('detection-guidance'),
+            scheduleStatus: document.getElementById('schedule-status'),
+            cameraSelect: document.getElementById('camera-select'),
+            cameraFlip: document.getElementById('camera-flip'),
+            cameraResolution: document.getElementById('camera-resolution'),
+            cameraFrameRate: document.getElementById('camera-frame-rate'),
+            cameraControls: document.getElementById('camera-controls'),
+            frameSource: document.getElementById('frame-source'),
+            cameraAssist: document.getElementById('camera-assist'),
+            videoFile: document.getElementById('video-file'),
+            videoSampleRate: document.getElementById('video-sample-rate'),
+            videoAnalysisProgress: document.getElementById('video-analysis-progress'),
+            cancelVideoAnalysis: document.getElementById('cancel-video-analysis'),
+            exposureReport: document.getElementById('exposure-report'),
+            exportJson: document.getElementById('export-json'),
+            exportCsv: document.getElementById('export-csv'),
+            calibrateButton: document.getElementById('calibrate'),
+            calibrationName: document.getElementById('calibration-name'),
+            calibrationProfile: document.getElementById('calibration-profile'),
             loadingOverlay: document.getElementById('loading-overlay'),
             errorContainer: document.getElementById('error-container'),
-            errorMessage: document.getElementById('error-message')
+            errorMessage: document.getElementById('error-message'),
+            reauthContainer: document.getElementById('reauth-container'),
+            reauthButton: document.getElementById('reauth-button')
         };
         
         // Initialize confidence slider display
@@ -93,6 +259,101 @@ class LogoApp {
             });
         }
         
+        // Sign in again after the session could not be refreshed
+        if (this.elements.reauthButton) {
+            this.elements.reauthButton.addEventListener('click', () => {
+                this.reauthenticate();
+            });
+        }
+        
+        // Learn thresholds for the current environment, saved under the entered name
+        if (this.elements.calibrateButton) {
+            this.elements.calibrateButton.addEventListener('click', () => {
+                const name = this.elements.calibrationName ? this.elements.calibrationName.value.trim() : '';
+                this.calibrate(name || `Calibration ${new Date().toLocaleString()}`);
+            });
+        }
+        
+        // Switch between default, configured and calibrated threshold profiles
+        if (this.elements.calibrationProfile) {
+            this.elements.calibrationProfile.addEventListener('change', (e) => {
+                this.applyCalibrationProfile(e.target.value);
+            });
+        }
+        
+        // Scan the camera, a shared screen/window/tab, or a video on the page
+        if (this.elements.frameSource) {
+            this.elements.frameSource.addEventListener('change', (e) => {
+                this.setFrameSource(e.target.value);
+            });
+        }
+        
+        // Sponsor exposure report for a recorded video
+        if (this.elements.videoFile) {
+            this.elements.videoFile.addEventListener('change', (e) => {
+                const [file] = e.target.files;
+                if (file) {
+                    this.analyzeVideo(file);
+                }
+                e.target.value = '';
+            });
+        }
+        
+        if (this.elements.cancelVideoAnalysis) {
+            this.elements.cancelVideoAnalysis.addEventListener('click', () => {
+                if (this.videoAnalyzer) {
+                    this.videoAnalyzer.cancel();
+                }
+            });
+        }
+        
+        if (this.elements.exportJson) {
+            this.elements.exportJson.addEventListener('click', () => {
+                this.downloadReport(reportToJson(this.exposureReport), 'json', 'application/json');
+            });
+        }
+        
+        if (this.elements.exportCsv) {
+            this.elements.exportCsv.addEventListener('click', () => {
+                this.downloadReport(reportToCsv(this.exposureReport), 'csv', 'text/csv');
+            });
+        }
+        
+        // Camera picker, front/back toggle and capture format
+        if (this.elements.cameraSelect) {
+            this.elements.cameraSelect.addEventListener('change', (e) => {
+                this.changeCamera(() => this.camera.switchCamera(e.target.value));
+            });
+        }
+        
+        if (this.elements.cameraFlip) {
+            this.elements.cameraFlip.addEventListener('click', () => {
+                this.changeCamera(() => this.camera.flipCamera());
+            });
+        }
+        
+        if (this.elements.cameraResolution) {
+            this.elements.cameraResolution.addEventListener('change', (e) => {
+                const [width, height] = e.target.value.split('x').map(Number);
+                this.changeCamera(() => this.camera.setFormat({ width, height }));
+            });
+        }
+        
+        if (this.elements.cameraFrameRate) {
+            this.elements.cameraFrameRate.addEventListener('change', (e) => {
+                this.changeCamera(() => this.camera.setFormat({ frameRate: Number(e.target.value) }));
+            });
+        }
+        
+        // Torch on repeated dark frames, zoom on repeated tiny detections
+        if (this.elements.cameraAssist) {
+            this.elements.cameraAssist.checked = this.cameraAssist.isEnabled();
+            this.elements.cameraAssist.addEventListener('change', (e) => {
+                this.cameraAssist.setEnabled(e.target.checked);
+                console.log(`Camera auto-assist ${e.target.checked ? 'enabled' : 'disabled'}`);
+            });
+        }
+        
         // Smart detection toggle
         if (this.elements.smartDetectionToggle) {
             this.elements.smartDetectionToggle.addEventListener('change', (e) => {
@@ -131,16 +392,35 @@ class LogoApp {
     }
 
     async startDetection() {
-        if (this.isRunning) return;
+        if (this.isRunning || this.isWaitingForModel) return;
+        
+        if (!this.schedule.isOpen()) {
+            this.schedule.recordBlockedStart();
+            this.showError(`Detection is only available during operating hours. ${this.describeSchedule()}`);
+            return;
+        }
         
         try {
             console.log('Starting logo detection...');
             
-            // Ensure camera is ready
-            if (!this.camera.isReady()) {
-                await this.camera.startCamera();
+            // Still inside the click handler, so iOS shows its motion permission prompt
+            await this.stabilitySensor.requestPermission();
+            
+            // Block until the Custom Labels model can serve requests
+            if (!this.rekognition.isModelUsable()) {
+                this.isWaitingForModel = true;
+                this.updateButtonStates();
+                await this.rekognition.waitForModel();
+            }
+            
+            // Ensure camera (or the chosen source) is ready
+            if (!this.frameSource.isReady()) {
+                await this.frameSource.start();
             }
             
+            // Motion and battery listeners only once detection is really going to run
+            this.stabilitySensor.start();
+            this.performanceController.start();
             this.isRunning = true;
             this.performance.startTime = Date.now();
             
@@ -158,8 +438,13 @@ class LogoApp {
         } catch (error) {
             console.error('Failed to start detection:', error);
             this.showError(`Failed to start detection: ${error.message}`);
+            this.stabilitySensor.stop();
+            this.performanceController.stop();
             this.isRunning = false;
             this.updateButtonStates();
+        } finally {
+            this.isWaitingForModel = false;
+            this.updateButtonStates();
         }
     }
 
@@ -172,10 +457,15 @@ class LogoApp {
         
         // Stop detection loop
         if (this.detectionLoop) {
-            clearTimeout(this.detectionLoop);
+            this.detectionLoop();
             this.detectionLoop = null;
         }
         
+        this.stabilitySensor.stop();
+        this.performanceController.stop();
+        this.tracker.stop();
+        this.cameraAssist.restore();
+        
         // Stop stats update
         if (this.statsUpdateInterval) {
             clearInterval(this.statsUpdateInterval);
@@ -186,6 +476,7 @@ class LogoApp {
         this.arOverlay.hideDetection();
         
         // Update UI
+        this.updateGuidance(null);
         this.updateButtonStates();
         
         console.log('Detection stopped');
@@ -193,13 +484,13 @@ class LogoApp {
 
     pauseDetection() {
         if (this.detectionLoop) {
-            clearTimeout(this.detectionLoop);
+            this.detectionLoop();
             this.detectionLoop = null;
         }
     }
 
     resumeDetection() {
-        if (this.isRunning && !this.detectionLoop) {
+        if (this.isRunning && !this.detectionLoop && !this.isCalibrating) {
             this.startDetectionLoop();
         }
     }
@@ -210,7 +501,8 @@ class LogoApp {
             
             try {
                 // Capture frame from camera
-                const frameData = this.camera.captureFrame();
+                const frameStart = performance.now();
+                const frameData = await this.captureFrame();
                 if (!frameData) {
                     this.scheduleNextFrame();
                     return;
@@ -219,24 +511,80 @@ class LogoApp {
                 this.performance.frameCount++;
                 this.updateFPS();
                 
-                // Check if frame should be processed
-                if (this.smartDetection.shouldProcessFrame(frameData)) {
-                    // Detect logo using Rekognition
-                    const detections = await this.rekognition.detectLogo(frameData.dataURL);
+                // Keep the overlay on the logo between cloud scans
+                if (this.tracker.isTracking()) {
+                    const track = this.tracker.update(frameData.imageData);
+                    if (!track.lost) {
+                        this.arOverlay.updateTracking(track.boundingBox, track.confidence);
+                    }
+                }
+                
+                // Check if frame should be processed; capture + analysis time drives the performance tier
+                const decision = this.smartDetection.shouldProcessFrame(frameData);
+                this.performanceController.recordFrameTime(performance.now() - frameStart);
+                this.performanceController.sampleVideo(this.frameSource.getVideoElement());
+                this.updateGuidance(decision.reason);
+                this.cameraAssist.recordDecision(decision);
+                
+                if (decision.process) {
+                    // Detect logo using Rekognition, uploading only the region of interest; the
+                    // ROI is picked only on a cache miss
+                    const detections = await this.rekognition.detectLogo(frameData.source, {
+                        imageData: frameData.imageData,
+                        region: () => this.smartDetection.getRegionOfInterest(frameData.width, frameData.height),
+                        captureScale: this.frameSource.captureScale
+                    });
+                    this.smartDetection.recordDetections(detections);
+                    this.cameraAssist.recordDetections(detections);
                     
                     if (detections && detections.length > 0) {
-                        console.log(`Logo detected with confidence: ${detections[0].confidence.toFixed(2)}`);
+                        console.log(`Detected: ${detections.map(detection =>
+                            `${detection.displayName} (${detection.confidence.toFixed(2)})`).join(', ')}`);
                         this.arOverlay.showDetection(detections);
+                        
+                        // The tracker follows the most important logo
+                        const { boundingBox } = this.arOverlay.currentDetection;
+                        if (boundingBox) {
+                            this.tracker.start(frameData.imageData, boundingBox);
+                        } else {
+                            this.tracker.stop();
+                        }
                     } else {
                         this.arOverlay.hideDetection();
+                        this.tracker.stop();
                     }
                 }
                 
             } catch (error) {
                 console.error('Detection loop error:', error);
                 
+                // Credentials could not be refreshed: only a new sign-in helps
+                if (error instanceof ReauthenticationRequiredError) {
+                    this.stopDetection();
+                    this.showReauthPrompt();
+                    return;
+                }
+                
+                // Hard budget cap reached: stop instead of hammering the refusal
+                if (error instanceof BudgetExceededError) {
+                    this.stopDetection();
+                    this.showError(error.message);
+                    return;
+                }
+                
+                // Stop spinning on a model that has stopped or failed
+                if (!this.rekognition.isModelUsable()) {
+                    const { status } = this.rekognition.getModelStatus();
+                    this.stopDetection();
+                    this.showError(`Detection stopped: Custom Labels model is ${status}`);
+                    return;
+                }
+                
                 // Don't stop the loop for individual frame errors
-                if (error.message.includes('ThrottlingException')) {
+                if (error instanceof CircuitOpenError) {
+                    // Service degraded: sleep until the breaker allows a half-open probe
+                    await this.delay(error.retryAfter);
+                } else if (error instanceof ThrottlingError) {
                     console.log('Throttling detected, slowing down...');
                     await this.delay(2000); // Wait 2 seconds before next frame
                 }
@@ -248,17 +596,77 @@ class LogoApp {
         processFrame();
     }
 
+    // Worker path: the main thread only grabs an ImageBitmap; otherwise capture and analyze here
+    async captureFrame() {
+        const source = this.frameSource;
+        if (!this.frameAnalyzer.isAvailable()) {
+            return source.captureFrame();
+        }
+        if (!source.isReady()) {
+            return null;
+        }
+
+        try {
+            return await this.frameAnalyzer.analyze(source.getVideoElement(), source.captureScale);
+        } catch (error) {
+            if (this.frameAnalyzer.isAvailable()) {
+                throw error;
+            }
+            return source.captureFrame();
+        }
+    }
+
     scheduleNextFrame() {
-        if (this.isRunning) {
-            // Use requestAnimationFrame for smooth performance
-            this.detectionLoop = setTimeout(() => {
-                requestAnimationFrame(() => {
-                    this.startDetectionLoop();
-                });
-            }, 100); // Small delay to prevent overwhelming the system
+        // Calibration owns the camera until it resumes the loop
+        if (this.isRunning && !this.isCalibrating) {
+            // Small delay to prevent overwhelming the system, then wait for a fresh video frame
+            const timer = setTimeout(() => {
+                this.detectionLoop = this.frameSource.requestFrame(() => this.startDetectionLoop());
+            }, 100);
+            this.detectionLoop = () => clearTimeout(timer);
         }
     }
 
+    // Runs for the app's lifetime: tracks scheduled vs active time and stops scanning at closing time
+    startScheduleCheck() {
+        this.schedule.recordTick(this.isRunning);
+        this.updateScheduleStatus();
+        
+        this.scheduleCheckInterval = setInterval(() => {
+            this.schedule.recordTick(this.isRunning);
+            
+            if (this.isRunning && !this.schedule.isOpen()) {
+                console.log('Operating window closed, stopping detection');
+                this.schedule.recordAutoStop();
+                this.stopDetection();
+                this.showError(`Operating hours have ended. ${this.describeSchedule()}`);
+            }
+            
+            this.updateScheduleStatus();
+        }, CONFIG.SCHEDULE.CHECK_INTERVAL);
+    }
+
+    describeSchedule() {
+        if (!this.schedule.options.enabled) {
+            return '';
+        }
+        
+        const current = this.schedule.getCurrentWindow();
+        if (current) {
+            return `Open until ${this.schedule.formatTime(current.end)}`;
+        }
+        
+        const nextOpening = this.schedule.getNextOpening();
+        return nextOpening ? `Opens ${this.schedule.formatTime(nextOpening)}` : 'No upcoming operating hours';
+    }
+
+    updateScheduleStatus() {
+        if (this.elements.scheduleStatus) {
+            this.elements.scheduleStatus.textContent = this.describeSchedule();
+        }
+        this.updateButtonStates();
+    }
+
     startStatsUpdate() {
         this.statsUpdateInterval = setInterval(() => {
             this.updateStats();
@@ -278,6 +686,15 @@ class LogoApp {
             this.elements.apiCalls.textContent = rekognitionStats.apiCalls;
         }
         
+        if (this.elements.projectedCost && rekognitionStats.budget) {
+            this.elements.projectedCost.textContent =
+                `$${rekognitionStats.budget.projectedMonthlyCost.toFixed(0)}/mo`;
+        }
+        
+        if (this.elements.bytesPerCall) {
+            this.elements.bytesPerCall.textContent = `${(rekognitionStats.lastBytesSent / 1024).toFixed(0)} KB`;
+        }
+        
         if (this.elements.detectionsCount) {
             this.elements.detectionsCount.textContent = rekognitionStats.detections;
         }
@@ -286,11 +703,552 @@ class LogoApp {
         console.log('Performance Stats:', {
             fps: this.performance.fps,
             efficiency: smartStats.efficiency,
+            performanceTier: smartStats.performanceTier,
+            trackingConfidence: this.tracker.getStats().trackingConfidence,
+            stabilityScore: smartStats.stabilityScore,
+            skipReasons: smartStats.reasons,
+            cameraAssists: this.cameraAssist.getStats(),
+            cameraInterruptions: this.cameraLifecycle.getStats().cameraInterruptions,
+            scheduleUtilization: this.schedule.getStats().scheduleUtilization,
             successRate: rekognitionStats.successRate,
+            avgBytesPerCall: rekognitionStats.avgBytesPerCall,
+            jpegQuality: rekognitionStats.jpegQuality,
+            sessionCost: rekognitionStats.budget ? rekognitionStats.budget.sessionCost.toFixed(2) : null,
             avgConfidence: rekognitionStats.avgConfidence
         });
     }
 
+    updateModelStatus(status) {
+        if (this.elements.modelStatus) {
+            this.elements.modelStatus.textContent = status.status;
+        }
+        
+        if (this.elements.modelInferenceUnits) {
+            this.elements.modelInferenceUnits.textContent = status.minInferenceUnits !== null ?
+                `${status.minInferenceUnits}-${status.maxInferenceUnits ?? status.minInferenceUnits}` : '-';
+        }
+        
+        // Evaluation F1 of the running version; thresholds are per label (Labels panel)
+        if (this.elements.modelF1Score) {
+            this.elements.modelF1Score.textContent = status.f1Score !== null ? status.f1Score.toFixed(3) : '-';
+        }
+        
+        this.updateButtonStates();
+    }
+
+    // One row per known label: enabled, own minimum confidence (blank = global), display name,
+    // overlay color and AR button URL (blank = CONFIG.AR.REDIRECT_URL)
+    renderLabelSettings(labels) {
+        const container = this.elements.labelSettings;
+        if (!container) return;
+        
+        const settings = this.rekognition.labelSettings;
+        container.innerHTML = '';
+        
+        labels.forEach(label => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center gap-2 text-sm';
+            
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = label.enabled;
+            enabled.title = `Detect ${label.name}`;
+            enabled.addEventListener('change', (e) => {
+                settings.update(label.name, { enabled: e.target.checked });
+            });
+            
+            const name = document.createElement('span');
+            name.className = 'w-32 truncate';
+            name.textContent = label.name;
+            
+            const minConfidence = document.createElement('input');
+            minConfidence.type = 'number';
+            minConfidence.min = 0;
+            minConfidence.max = 100;
+            minConfidence.placeholder = 'Global';
+            minConfidence.className = 'w-20 bg-gray-700 rounded px-1';
+            minConfidence.value = label.minConfidence !== null ? Math.round(label.minConfidence * 100) : '';
+            minConfidence.addEventListener('change', (e) => {
+                const value = e.target.value === '' ? null : Math.max(0, Math.min(100, parseInt(e.target.value))) / 100;
+                settings.update(label.name, { minConfidence: value });
+            });
+            
+            const displayName = document.createElement('input');
+            displayName.type = 'text';
+            displayName.className = 'flex-1 bg-gray-700 rounded px-1';
+            displayName.value = label.displayName;
+            displayName.addEventListener('change', (e) => {
+                settings.update(label.name, { displayName: e.target.value || label.name });
+            });
+            
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.className = 'w-8 h-6 bg-gray-700 rounded';
+            color.title = 'Overlay color';
+            color.value = this.arOverlay.layout.colorFor(label);
+            color.addEventListener('change', (e) => {
+                settings.update(label.name, { color: e.target.value });
+            });
+            
+            const url = document.createElement('input');
+            url.type = 'url';
+            url.className = 'flex-1 bg-gray-700 rounded px-1';
+            url.placeholder = CONFIG.AR.REDIRECT_URL;
+            url.value = label.url || '';
+            url.addEventListener('change', (e) => {
+                settings.update(label.name, { url: e.target.value || null });
+            });
+            
+            row.append(enabled, name, minConfidence, displayName, color, url);
+            container.appendChild(row);
+        });
+    }
+
+    // Samples the live feed for CALIBRATION_DURATION with scanning paused, then stores and
+    // applies the derived thresholds as a named profile
+    async calibrate(name) {
+        if (this.isCalibrating) return;
+        if (!this.frameSource.isReady()) {
+            this.showError('Start the camera before calibrating');
+            return;
+        }
+        
+        const calibrator = new ThresholdCalibrator({ duration: CONFIG.DETECTION.CALIBRATION_DURATION });
+        this.isCalibrating = true;
+        this.pauseDetection();
+        this.camera.updateStatus('Calibrating - hold the camera on the scene', 'warning');
+        if (this.elements.calibrateButton) {
+            this.elements.calibrateButton.disabled = true;
+        }
+        
+        try {
+            const end = Date.now() + calibrator.options.duration;
+            while (Date.now() < end) {
+                const frameData = await this.captureFrame();
+                if (frameData) {
+                    calibrator.addSample(this.smartDetection.sampleFrame(frameData));
+                }
+                await this.delay(100); // Same spacing as the detection loop, so noise levels match
+            }
+            
+            const profile = calibrator.derive(name);
+            this.calibrationProfiles.save(profile);
+            this.applyCalibrationProfile(profile.name);
+            console.log(`Calibrated "${profile.name}": motion ${profile.motionThreshold.toFixed(3)}, ` +
+                `quality ${profile.qualityThreshold.toFixed(2)} from ${profile.samples} frames`);
+            this.camera.updateStatus(`Calibrated "${profile.name}"`, 'success');
+        } catch (error) {
+            console.error('Calibration failed:', error);
+            this.showError(`Calibration failed: ${error.message}`);
+            this.camera.updateStatus('Camera active', 'success');
+        } finally {
+            this.isCalibrating = false;
+            if (this.elements.calibrateButton) {
+                this.elements.calibrateButton.disabled = false;
+            }
+            this.resumeDetection();
+        }
+    }
+
+    applyCalibrationProfile(name) {
+        const profile = this.calibrationProfiles.setActive(name);
+        this.smartDetection.updateSettings(profile);
+    }
+
+    renderCalibrationProfiles(profiles, active) {
+        const select = this.elements.calibrationProfile;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = `${profile.name} (motion ${profile.motionThreshold.toFixed(2)}, ` +
+                `quality ${profile.qualityThreshold.toFixed(2)})`;
+            option.selected = profile.name === active.name;
+            select.appendChild(option);
+        });
+    }
+
+    // The loop keeps running across the switch; only the tracked box belongs to the old picture
+    async changeCamera(change) {
+        this.tracker.stop();
+        this.arOverlay.hideDetection();
+        await this.cameraAssist.restore(); // Its saved values belong to the old track
+        
+        try {
+            const settings = await change();
+            if (settings) {
+                console.log(`Camera: ${settings.width}x${settings.height} @ ${settings.frameRate} fps`);
+            }
+        } catch (error) {
+            // CameraManager already reported it
+        }
+        
+        await this.renderCameraControls();
+    }
+
+    async renderCameraControls() {
+        const devices = this.camera.devices;
+        const preference = devices.getPreference();
+        const active = devices.getActiveSettings(this.camera.stream) || {};
+        
+        const fillSelect = (select, options, selected) => {
+            select.innerHTML = '';
+            options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = value === selected;
+                select.appendChild(option);
+            });
+        };
+        
+        if (this.elements.cameraSelect) {
+            const cameras = await devices.list();
+            fillSelect(
+                this.elements.cameraSelect,
+                cameras.map(camera => ({ value: camera.deviceId, label: camera.label })),
+                active.deviceId || preference.deviceId
+            );
+        }
+        
+        if (this.elements.cameraResolution) {
+            fillSelect(
+                this.elements.cameraResolution,
+                RESOLUTION_PRESETS.map(preset => ({ value: `${preset.width}x${preset.height}`, label: preset.label })),
+                `${preference.width}x${preference.height}`
+            );
+        }
+        
+        if (this.elements.cameraFrameRate) {
+            fillSelect(
+                this.elements.cameraFrameRate,
+                FRAME_RATE_PRESETS.map(rate => ({ value: String(rate), label: `${rate} fps` })),
+                String(preference.frameRate)
+            );
+        }
+        
+        this.renderTrackControls(this.camera.getControls());
+    }
+
+    // Only the controls the current camera reports are shown, e.g. no torch on a laptop webcam
+    renderTrackControls(controls) {
+        const container = this.elements.cameraControls;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const setControl = (name, value) => {
+            this.camera.setControl(name, value)
+                .catch(error => this.showError(`Could not change ${name}: ${error.message}`));
+        };
+        
+        const addRow = (text, input) => {
+            const row = document.createElement('label');
+            row.className = 'flex items-center gap-2 text-sm';
+            
+            const name = document.createElement('span');
+            name.className = 'w-32';
+            name.textContent = text;
+            
+            row.append(name, input);
+            container.appendChild(row);
+        };
+        
+        const addRange = (text, name, control) => {
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.className = 'flex-1';
+            input.min = control.min;
+            input.max = control.max;
+            input.step = control.step;
+            input.value = control.value ?? control.min;
+            input.addEventListener('change', (e) => setControl(name, Number(e.target.value)));
+            addRow(text, input);
+        };
+        
+        if (controls.torch) {
+            const torch = document.createElement('input');
+            torch.type = 'checkbox';
+            torch.checked = controls.torch.value;
+            torch.addEventListener('change', (e) => setControl('torch', e.target.checked));
+            addRow('Torch', torch);
+        }
+        
+        if (controls.zoom) {
+            addRange('Zoom', 'zoom', controls.zoom);
+        }
+        
+        if (controls.focusMode) {
+            const focus = document.createElement('select');
+            focus.className = 'flex-1 bg-gray-700 rounded px-1';
+            controls.focusMode.options.forEach(mode => {
+                const option = document.createElement('option');
+                option.value = mode;
+                option.textContent = mode;
+                option.selected = mode === controls.focusMode.value;
+                focus.appendChild(option);
+            });
+            focus.addEventListener('change', (e) => setControl('focusMode', e.target.value));
+            addRow('Focus', focus);
+        }
+        
+        if (controls.exposureCompensation) {
+            addRange('Exposure', 'exposureCompensation', controls.exposureCompensation);
+        }
+    }
+
+    // kind: 'camera', 'screen' or 'video'. Detection keeps running across the switch; like a
+    // camera switch, only the tracked box belongs to the old picture
+    async setFrameSource(kind) {
+        const previous = this.frameSource;
+        let source = this.camera;
+        
+        if (kind === 'screen') {
+            // Plays in the camera's <video>, so the overlay lines up as it does for the camera
+            source = new DisplayFrameSource({
+                video: this.camera.getVideoElement(),
+                analysisWidth: CONFIG.DETECTION.ANALYSIS_WIDTH,
+                frameRate: CONFIG.SOURCES.SCREEN_FRAME_RATE,
+                startTimeout: CONFIG.CAMERA.START_TIMEOUT
+            });
+        } else if (kind === 'video') {
+            source = new VideoFrameSource({
+                video: document.querySelector(CONFIG.SOURCES.VIDEO_SELECTOR),
+                analysisWidth: CONFIG.DETECTION.ANALYSIS_WIDTH,
+                label: 'Page video'
+            });
+        }
+        
+        this.tracker.stop();
+        this.arOverlay.hideDetection();
+        if (previous !== this.camera) {
+            previous.stop();
+        }
+        if (source !== this.camera) {
+            this.camera.stopCamera();
+        }
+        
+        try {
+            if (!source.isReady()) {
+                await source.start();
+            }
+        } catch (error) {
+            console.error(`Failed to start ${source.label.toLowerCase()} source:`, error);
+            this.showError(`Could not use ${source.label.toLowerCase()}: ${error.message}`);
+            if (source !== this.camera) {
+                await this.setFrameSource('camera');
+            }
+            return;
+        }
+        
+        this.frameSource = source;
+        source.setCaptureScale(this.performanceController.getTierSettings().captureScale);
+        if (source !== this.camera) {
+            // e.g. "Stop sharing" in the browser's own UI
+            source.onEnded(() => {
+                if (this.frameSource === source) {
+                    this.setFrameSource('camera');
+                }
+            });
+            this.camera.updateStatus(`${source.label} active`, 'success');
+        }
+        
+        if (this.elements.frameSource) {
+            this.elements.frameSource.value = kind;
+        }
+        console.log(`Frame source: ${source.label}`);
+    }
+
+    // Capture cost per frame, original versus current path; see js/capture-benchmark.js
+    async runCaptureBenchmark() {
+        const benchmark = new CaptureBenchmark(this.camera, {
+            frames: CONFIG.DETECTION.BENCHMARK_FRAMES,
+            preprocessing: this.rekognition.options.preprocessing
+        });
+        
+        this.camera.updateStatus('Benchmarking frame capture...', 'warning');
+        try {
+            const report = await benchmark.run();
+            console.log(`Capture benchmark at ${report.resolution}, ${report.speedup}x faster:`);
+            console.table({ legacy: report.legacy, current: report.current, encode: report.encode });
+            this.camera.updateStatus(
+                `Capture ${report.legacy.avgMs} ms -> ${report.current.avgMs} ms per frame`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Capture benchmark failed:', error);
+            this.showError(`Capture benchmark failed: ${error.message}`);
+        }
+    }
+
+    // Steps through a local video file and reports per-label exposure. Live detection stops
+    // so both don't draw on the same budget and detection cache
+    async analyzeVideo(file) {
+        if (this.videoAnalyzer) return;
+        
+        if (this.isRunning) {
+            this.stopDetection();
+        }
+        
+        const sampleRate = this.elements.videoSampleRate ?
+            parseFloat(this.elements.videoSampleRate.value) || CONFIG.VIDEO_ANALYSIS.SAMPLE_RATE :
+            CONFIG.VIDEO_ANALYSIS.SAMPLE_RATE;
+        
+        // Its own gate: motion is measured between samples, not against the live camera, and
+        // every sample is due, so no scan interval
+        const gate = new SmartDetection();
+        gate.updateSettings({ ...this.calibrationProfiles.getActive(), scanInterval: 0 });
+        gate.setEnabled(this.smartDetection.isEnabled);
+        
+        this.videoAnalyzer = new VideoAnalyzer({
+            detector: this.rekognition,
+            gate,
+            sampleRate,
+            analysisWidth: CONFIG.DETECTION.ANALYSIS_WIDTH,
+            seekTimeout: CONFIG.VIDEO_ANALYSIS.SEEK_TIMEOUT
+        });
+        this.toggleVideoAnalysisControls(true);
+        this.camera.updateStatus(`Analyzing ${file.name}...`, 'warning');
+        
+        try {
+            const timeline = await this.videoAnalyzer.analyze(file, {
+                onProgress: ({ sample, samples }) => {
+                    if (this.elements.videoAnalysisProgress) {
+                        this.elements.videoAnalysisProgress.textContent =
+                            `${sample} / ${samples} samples (${Math.round(sample / samples * 100)}%)`;
+                    }
+                }
+            });
+            
+            this.exposureReport = timeline.buildReport();
+            console.log(`Exposure report for ${file.name}:`);
+            console.table(this.exposureReport.labels.map(({ segments, ...label }) => label));
+            this.renderExposureReport(this.exposureReport);
+            this.camera.updateStatus(`Analyzed ${file.name}`, 'success');
+        } catch (error) {
+            console.error('Video analysis failed:', error);
+            if (error instanceof ReauthenticationRequiredError) {
+                this.showReauthPrompt();
+            } else {
+                this.showError(`Video analysis failed: ${error.message}`);
+            }
+            this.camera.updateStatus('Video analysis failed', 'error');
+        } finally {
+            this.videoAnalyzer = null;
+            this.toggleVideoAnalysisControls(false);
+        }
+    }
+
+    toggleVideoAnalysisControls(analyzing) {
+        if (this.elements.videoFile) {
+            this.elements.videoFile.disabled = analyzing;
+        }
+        if (this.elements.cancelVideoAnalysis) {
+            this.elements.cancelVideoAnalysis.classList.toggle('hidden', !analyzing);
+        }
+        [this.elements.exportJson, this.elements.exportCsv].forEach(button => {
+            if (button) {
+                button.disabled = analyzing || !this.exposureReport;
+            }
+        });
+    }
+
+    renderExposureReport(report) {
+        const container = this.elements.exposureReport;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const summary = document.createElement('p');
+        summary.className = 'text-sm text-gray-400';
+        summary.textContent = `${report.source.name}: ${report.source.duration}s, ` +
+            `${report.source.samples} samples, ${report.samples.detected} detection calls`;
+        container.appendChild(summary);
+        
+        if (report.labels.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'text-sm';
+            empty.textContent = 'No logos detected';
+            container.appendChild(empty);
+            return;
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'w-full text-sm';
+        const header = table.insertRow();
+        ['Logo', 'On screen', 'Longest', 'Avg. area', 'Segments'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.className = 'text-left';
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        
+        report.labels.forEach(label => {
+            const row = table.insertRow();
+            [
+                label.displayName,
+                `${label.onScreenSeconds}s (${Math.round(label.shareOfDuration * 100)}%)`,
+                `${label.longestExposure}s`,
+                `${(label.averageAreaShare * 100).toFixed(1)}%`,
+                label.segments.length
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+            row.title = label.segments
+                .map(segment => `${segment.start}-${segment.end}s @ ${Math.round(segment.averageConfidence * 100)}%`)
+                .join('\n');
+        });
+        container.appendChild(table);
+    }
+
+    downloadReport(content, extension, type) {
+        if (!this.exposureReport) return;
+        
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.exposureReport.source.name.replace(/\.[^.]+$/, '')}-exposure.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // The loop idles while the camera delivers no frames and picks up again once it is back
+    updateCameraState(state, previous, detail) {
+        switch (state) {
+            case CAMERA_STATES.REQUESTING:
+                this.camera.updateStatus(previous === CAMERA_STATES.IDLE ? 'Starting camera...' : 'Reconnecting camera...', 'warning');
+                break;
+            case CAMERA_STATES.INTERRUPTED:
+                // The tracked box belongs to the lost picture
+                this.tracker.stop();
+                this.arOverlay.hideDetection();
+                this.camera.updateStatus(detail.reason === 'muted' ? 'Camera paused by the device' : 'Camera lost - reconnecting', 'warning');
+                break;
+            case CAMERA_STATES.LIVE:
+                this.updateServiceState(this.rekognition.circuitBreaker.state);
+                this.renderTrackControls(this.camera.getControls());
+                break;
+            case CAMERA_STATES.FAILED:
+                this.stopDetection();
+                this.camera.handleCameraError(detail.error);
+                break;
+            default:
+                break;
+        }
+    }
+
+    updateServiceState(circuitState) {
+        if (circuitState === 'open') {
+            this.camera.updateStatus('Service degraded - scanning paused', 'error');
+        } else if (circuitState === 'half-open') {
+            this.camera.updateStatus('Service degraded - probing', 'warning');
+        } else {
+            this.camera.updateStatus('Camera active', 'success');
+        }
+    }
+
     updateFPS() {
         const now = Date.now();
         if (now - this.performance.lastFpsUpdate >= 1000) {
@@ -302,7 +1260,7 @@ class LogoApp {
 
     updateButtonStates() {
         if (this.elements.startButton) {
-            this.elements.startButton.disabled = this.isRunning;
+            this.elements.startButton.disabled = this.isRunning || this.isWaitingForModel || !this.schedule.isOpen();
         }
         
         if (this.elements.stopButton) {
@@ -316,6 +1274,18 @@ class LogoApp {
         }
     }
 
+    // Coaching derived from why SmartDetection skipped the last frame
+    updateGuidance(reason) {
+        const guidance = nextGuidance(this.guidance, reason);
+        if (guidance === this.guidance) return;
+        
+        this.guidance = guidance;
+        if (this.elements.guidance) {
+            this.elements.guidance.textContent = guidance || '';
+            this.elements.guidance.classList.toggle('hidden', !guidance);
+        }
+    }
+
     showError(message) {
         console.error('App Error:', message);
         
@@ -330,6 +1300,29 @@ class LogoApp {
         }
     }
 
+    showReauthPrompt() {
+        if (this.elements.reauthContainer) {
+            this.elements.reauthContainer.classList.remove('hidden');
+            return;
+        }
+        
+        // No prompt markup on the page: fall back to a native dialog
+        if (window.confirm('Your session has expired. Sign in again?')) {
+            this.reauthenticate();
+        }
+    }
+
+    async reauthenticate() {
+        try {
+            await signOut();
+        } catch (error) {
+            console.error('Sign out failed:', error);
+        }
+        
+        // Reloading sends the user back through the Amplify sign-in flow
+        window.location.reload();
+    }
+
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -337,12 +1330,25 @@ class LogoApp {
     // Cleanup method
     destroy() {
         this.stopDetection();
+        if (this.videoAnalyzer) {
+            this.videoAnalyzer.cancel();
+        }
+        if (this.frameSource !== this.camera) {
+            this.frameSource.stop();
+        }
         this.camera.stopCamera();
         this.arOverlay.hideDetection();
         
         // Clear caches
         this.rekognition.clearCache();
+        this.rekognition.destroy();
+        this.frameAnalyzer.terminate();
         this.smartDetection.reset();
+        
+        if (this.scheduleCheckInterval) {
+            clearInterval(this.scheduleCheckInterval);
+            this.scheduleCheckInterval = null;
+        }
     }
 }
 
@@ -1,12 +1,20 @@
 // AR Overlay Management for Logo Detection
 class AROverlay {
-    constructor() {
+    // layout: optional DetectionLayout (js/detection-layout.js) picking, coloring and labeling
+    // every logo in frame; without it only the most confident detection is shown
+    constructor({ layout = null } = {}) {
+        this.layout = layout;
         this.scene = null;
-        this.arButton = null;
+        this.arButton = null; // #ar-button; extra logos get copies of it
+        this.arButtons = [];
+        this.shownButtons = new Set();
+        this.hideTimers = new Map(); // Button -> pending hide after its exit animation
         this.canvas = null;
         this.ctx = null;
         this.isARActive = false;
-        this.currentDetection = null;
+        this.detections = []; // Shown detections, most important first
+        this.currentDetection = null; // The first of them, followed by the local tracker
+        this.trackingConfidence = null; // Set while the local tracker moves the box between scans
         this.animationFrame = null;
         
         // Border animation properties
@@ -28,7 +36,10 @@ class AROverlay {
             this.ctx = this.canvas.getContext('2d');
             
             // Set up AR button click handler
-            this.setupARButtonHandler();
+            if (this.arButton) {
+                this.arButtons = [this.arButton];
+                this.setupARButtonHandler(this.arButton, 0);
+            }
             
             // Initialize canvas size
             this.resizeCanvas();
@@ -44,45 +55,43 @@ class AROverlay {
         }
     }
 
-    setupARButtonHandler() {
-        if (this.arButton) {
-            // Add click event listener
-            this.arButton.addEventListener('click', () => {
-                this.handleButtonClick();
-            });
-            
-            // Add cursor pointer for better UX
-            this.arButton.setAttribute('cursor', 'pointer');
-            
-            // Add hover effects
-            this.arButton.addEventListener('mouseenter', () => {
-                this.arButton.setAttribute('material', 'color: #6366F1; opacity: 1');
-            });
-            
-            this.arButton.addEventListener('mouseleave', () => {
-                this.arButton.setAttribute('material', 'color: #4F46E5; opacity: 0.9');
-            });
-        }
+    setupARButtonHandler(button, index) {
+        // Add click event listener
+        button.addEventListener('click', () => {
+            if (this.detections[index]) {
+                this.handleButtonClick(this.detections[index], button);
+            }
+        });
+        
+        // Add cursor pointer for better UX
+        button.setAttribute('cursor', 'pointer');
+        
+        // Add hover effects
+        button.addEventListener('mouseenter', () => {
+            button.setAttribute('material', 'color: #6366F1; opacity: 1');
+        });
+        
+        button.addEventListener('mouseleave', () => {
+            button.setAttribute('material', 'color: #4F46E5; opacity: 0.9');
+        });
     }
 
     showDetection(detections) {
-        if (!detections || detections.length === 0) {
+        const selected = this.selectDetections(detections);
+        if (selected.length === 0) {
             this.hideDetection();
             return;
         }
 
-        // Use the detection with highest confidence
-        const bestDetection = detections.reduce((best, current) => 
-            current.confidence > best.confidence ? current : best
-        );
-
-        this.currentDetection = bestDetection;
+        this.detections = selected;
+        this.currentDetection = selected[0];
+        this.trackingConfidence = null;
         
-        // Show AR button
-        this.showARButton(bestDetection);
+        // One AR button per logo
+        this.showARButtons(selected);
         
-        // Draw detection border
-        this.drawDetectionBorder(bestDetection);
+        // Draw detection borders
+        this.drawDetectionBorders();
         
         // Start border animation
         this.startBorderAnimation();
@@ -90,9 +99,23 @@ class AROverlay {
         this.isARActive = true;
     }
 
+    // Without a layout only the most confident detection is shown
+    selectDetections(detections) {
+        if (!detections || detections.length === 0) {
+            return [];
+        }
+        if (this.layout) {
+            return this.layout.select(detections);
+        }
+        
+        return [detections.reduce((best, current) => 
+            current.confidence > best.confidence ? current : best
+        )];
+    }
+
     hideDetection() {
-        // Hide AR button
-        this.hideARButton();
+        // Hide AR buttons
+        this.hideARButtons();
         
         // Clear detection border
         this.clearCanvas();
@@ -100,109 +123,179 @@ class AROverlay {
         // Stop border animation
         this.stopBorderAnimation();
         
+        this.detections = [];
         this.currentDetection = null;
+        this.trackingConfidence = null;
         this.isARActive = false;
     }
 
-    showARButton(detection) {
-        if (!this.arButton) return;
-
-        // Position button based on detection location
-        let position = CONFIG.AR.BUTTON_POSITION;
-        
-        if (detection.boundingBox) {
-            // Position button at center of detected logo
-            const centerX = (detection.boundingBox.left + detection.boundingBox.width / 2 - 0.5) * 4;
-            const centerY = -(detection.boundingBox.top + detection.boundingBox.height / 2 - 0.5) * 3;
-            
-            position = {
-                x: centerX,
-                y: centerY,
-                z: CONFIG.AR.BUTTON_POSITION.z
-            };
+    // Move the primary logo's border and AR button with the locally tracked box; the
+    // animation loop redraws. Other logos stay where the last scan put them
+    updateTracking(boundingBox, confidence) {
+        if (!this.currentDetection || !boundingBox) return;
+        
+        this.currentDetection = { ...this.currentDetection, boundingBox };
+        this.detections[0] = this.currentDetection;
+        this.trackingConfidence = confidence;
+        
+        if (this.arButtons[0]) {
+            const position = this.getButtonPosition(this.currentDetection);
+            this.arButtons[0].setAttribute('position', `${position.x} ${position.y} ${position.z}`);
         }
+    }
 
-        // Update button position and make visible
-        this.arButton.setAttribute('position', `${position.x} ${position.y} ${position.z}`);
-        this.arButton.setAttribute('visible', 'true');
-        
-        // Add entrance animation
-        this.arButton.setAttribute('animation', 
-            'property: scale; from: 0 0 0; to: 1 1 1; dur: 300; easing: easeOutBack'
-        );
+    getButtonPosition(detection) {
+        if (!detection.boundingBox) {
+            return CONFIG.AR.BUTTON_POSITION;
+        }
         
-        console.log(`AR button shown at position: ${position.x}, ${position.y}, ${position.z}`);
+        // Position button at center of detected logo
+        return {
+            x: (detection.boundingBox.left + detection.boundingBox.width / 2 - 0.5) * 4,
+            y: -(detection.boundingBox.top + detection.boundingBox.height / 2 - 0.5) * 3,
+            z: CONFIG.AR.BUTTON_POSITION.z
+        };
+    }
+
+    // Button i acts on detection i; buttons beyond the first are copies of #ar-button
+    getARButton(index) {
+        if (!this.arButton) return null;
+        
+        if (!this.arButtons[index]) {
+            const button = this.arButton.cloneNode(true);
+            button.removeAttribute('id');
+            button.setAttribute('visible', 'false');
+            this.arButton.parentNode.appendChild(button);
+            this.setupARButtonHandler(button, index);
+            this.arButtons[index] = button;
+        }
+        return this.arButtons[index];
     }
 
-    hideARButton() {
-        if (!this.arButton) return;
+    showARButtons(detections) {
+        detections.forEach((detection, index) => {
+            const button = this.getARButton(index);
+            if (!button) return;
 
-        // Add exit animation before hiding
-        this.arButton.setAttribute('animation', 
-            'property: scale; from: 1 1 1; to: 0 0 0; dur: 200; easing: easeInBack'
-        );
+            // Position button based on detection location
+            const position = this.getButtonPosition(detection);
+            button.setAttribute('position', `${position.x} ${position.y} ${position.z}`);
+            
+            // Entrance animation only for buttons that weren't showing yet
+            if (!this.shownButtons.has(button)) {
+                clearTimeout(this.hideTimers.get(button));
+                this.shownButtons.add(button);
+                button.setAttribute('visible', 'true');
+                button.setAttribute('animation', 
+                    'property: scale; from: 0 0 0; to: 1 1 1; dur: 300; easing: easeOutBack'
+                );
+            }
+        });
         
-        // Hide after animation completes
-        setTimeout(() => {
-            this.arButton.setAttribute('visible', 'false');
-        }, 200);
+        this.hideARButtons(detections.length);
+        console.log(`AR buttons shown for: ${detections.map(detection => detection.displayName || detection.name).join(', ')}`);
     }
 
-    drawDetectionBorder(detection) {
-        if (!this.ctx || !detection.boundingBox) return;
+    // Hides the buttons from index `from` on
+    hideARButtons(from = 0) {
+        this.arButtons.slice(from).forEach(button => {
+            if (!this.shownButtons.has(button)) return;
+            this.shownButtons.delete(button);
+
+            // Add exit animation before hiding
+            button.setAttribute('animation', 
+                'property: scale; from: 1 1 1; to: 0 0 0; dur: 200; easing: easeInBack'
+            );
+            
+            // Hide after animation completes
+            this.hideTimers.set(button, setTimeout(() => {
+                button.setAttribute('visible', 'false');
+            }, 200));
+        });
+    }
 
-        const box = detection.boundingBox;
-        const canvasWidth = this.canvas.width;
-        const canvasHeight = this.canvas.height;
+    // Boxes and tags in canvas pixels; see DetectionLayout.layout
+    getPlacements() {
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const getLabel = (detection, index) => {
+            let label = this.layout ? this.layout.formatLabel(detection) :
+                `${detection.displayName || detection.name} (${Math.round(detection.confidence * 100)}%)`;
+            if (index === 0 && this.trackingConfidence !== null) {
+                label += ` · tracking ${Math.round(this.trackingConfidence * 100)}%`;
+            }
+            return label;
+        };
         
-        // Convert normalized coordinates to canvas coordinates
-        const x = box.left * canvasWidth;
-        const y = box.top * canvasHeight;
-        const width = box.width * canvasWidth;
-        const height = box.height * canvasHeight;
+        this.ctx.font = '16px Arial';
+        if (this.layout) {
+            return this.layout.layout(this.detections, {
+                width,
+                height,
+                getLabel,
+                measureText: text => this.ctx.measureText(text).width
+            });
+        }
         
+        return this.detections.filter(detection => detection.boundingBox).map((detection, index) => {
+            const box = {
+                x: detection.boundingBox.left * width,
+                y: detection.boundingBox.top * height,
+                width: detection.boundingBox.width * width,
+                height: detection.boundingBox.height * height
+            };
+            const text = getLabel(detection, index);
+            const label = { text, x: box.x, y: box.y - 25, width: this.ctx.measureText(text).width + 10, height: 25 };
+            return { detection, color: CONFIG.UI.BORDER_COLOR, box, label };
+        });
+    }
+
+    // opacity and dashOffset animate the borders; tags are always fully opaque
+    drawDetectionBorders(opacity = 1, dashOffset = 0) {
+        if (!this.ctx) return;
+
         // Clear previous drawings
-        this.ctx.clearRect(0, 0, canvasWidth, canvasHeight);
-        
-        // Set border style
-        this.ctx.strokeStyle = CONFIG.UI.BORDER_COLOR;
-        this.ctx.lineWidth = CONFIG.UI.BORDER_WIDTH;
-        this.ctx.setLineDash([10, 5]); // Dashed line
-        
-        // Draw border rectangle
-        this.ctx.strokeRect(x, y, width, height);
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        const placements = this.getPlacements();
+        placements.forEach(({ color, box }) => {
+            // Set border style
+            this.ctx.strokeStyle = color;
+            this.ctx.globalAlpha = opacity;
+            this.ctx.lineWidth = CONFIG.UI.BORDER_WIDTH;
+            this.ctx.setLineDash([10, 5]); // Dashed line
+            this.ctx.lineDashOffset = dashOffset;
+            
+            // Draw border rectangle
+            this.ctx.strokeRect(box.x, box.y, box.width, box.height);
+        });
+        this.ctx.globalAlpha = 1;
         
-        // Draw confidence label
-        this.drawConfidenceLabel(detection, x, y);
+        // Tags last, so no border runs across one
+        placements.forEach(placement => this.drawConfidenceLabel(placement));
     }
 
-    drawConfidenceLabel(detection, x, y) {
-        const confidence = Math.round(detection.confidence * 100);
-        const label = `${detection.name} (${confidence}%)`;
-        
+    drawConfidenceLabel({ color, label }) {
         // Set text style
-        this.ctx.fillStyle = CONFIG.UI.BORDER_COLOR;
         this.ctx.font = '16px Arial';
         this.ctx.textAlign = 'left';
         
-        // Draw background for text
-        const textMetrics = this.ctx.measureText(label);
-        const textWidth = textMetrics.width + 10;
-        const textHeight = 25;
-        
+        // Draw background for text, edged in the label's color
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(x, y - textHeight, textWidth, textHeight);
+        this.ctx.fillRect(label.x, label.y, label.width, label.height);
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(label.x, label.y, 4, label.height);
         
         // Draw text
         this.ctx.fillStyle = 'white';
-        this.ctx.fillText(label, x + 5, y - 8);
+        this.ctx.fillText(label.text, label.x + 5, label.y + label.height - 8);
     }
 
     startBorderAnimation() {
         if (this.animationFrame) return; // Already animating
         
         const animate = () => {
-            if (!this.isARActive || !this.currentDetection) {
+            if (!this.isARActive || this.detections.length === 0) {
                 this.stopBorderAnimation();
                 return;
             }
@@ -235,38 +328,13 @@ class AROverlay {
     }
 
     drawAnimatedBorder() {
-        if (!this.currentDetection || !this.currentDetection.boundingBox) return;
-        
-        const box = this.currentDetection.boundingBox;
-        const canvasWidth = this.canvas.width;
-        const canvasHeight = this.canvas.height;
-        
-        const x = box.left * canvasWidth;
-        const y = box.top * canvasHeight;
-        const width = box.width * canvasWidth;
-        const height = box.height * canvasHeight;
-        
-        // Clear canvas
-        this.ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+        if (this.detections.length === 0) return;
         
         // Animate border opacity and dash pattern
         const opacity = 0.5 + 0.5 * this.borderAnimation.progress;
         const dashOffset = this.borderAnimation.progress * 20;
         
-        this.ctx.strokeStyle = CONFIG.UI.BORDER_COLOR;
-        this.ctx.globalAlpha = opacity;
-        this.ctx.lineWidth = CONFIG.UI.BORDER_WIDTH;
-        this.ctx.setLineDash([10, 5]);
-        this.ctx.lineDashOffset = dashOffset;
-        
-        // Draw animated border
-        this.ctx.strokeRect(x, y, width, height);
-        
-        // Reset alpha
-        this.ctx.globalAlpha = 1;
-        
-        // Draw confidence label
-        this.drawConfidenceLabel(this.currentDetection, x, y);
+        this.drawDetectionBorders(opacity, dashOffset);
     }
 
     clearCanvas() {
@@ -285,34 +353,35 @@ class AROverlay {
         }
     }
 
-    handleButtonClick() {
-        console.log('AR button clicked - redirecting to:', CONFIG.AR.REDIRECT_URL);
+    // Opens the logo's own URL (label settings) or the default redirect
+    handleButtonClick(detection, button) {
+        const url = detection.url || CONFIG.AR.REDIRECT_URL;
+        console.log(`AR button for ${detection.name} clicked - redirecting to:`, url);
         
         // Add click animation
-        if (this.arButton) {
-            this.arButton.setAttribute('animation', 
-                'property: scale; from: 1 1 1; to: 1.2 1.2 1.2; dur: 100; direction: alternate; loop: 1'
-            );
-        }
+        button.setAttribute('animation', 
+            'property: scale; from: 1 1 1; to: 1.2 1.2 1.2; dur: 100; direction: alternate; loop: 1'
+        );
         
         // Redirect after short delay for animation
         setTimeout(() => {
-            window.open(CONFIG.AR.REDIRECT_URL, '_blank');
+            window.open(url, '_blank');
         }, 150);
         
         // Track click event (for analytics)
-        this.trackButtonClick();
+        this.trackButtonClick(detection);
     }
 
-    trackButtonClick() {
+    trackButtonClick(detection) {
         // Log click event with detection details
         const eventData = {
             timestamp: new Date().toISOString(),
-            detection: this.currentDetection ? {
-                name: this.currentDetection.name,
-                confidence: this.currentDetection.confidence,
-                boundingBox: this.currentDetection.boundingBox
-            } : null,
+            detection: {
+                name: detection.name,
+                confidence: detection.confidence,
+                boundingBox: detection.boundingBox
+            },
+            detectionsShown: this.detections.length,
             userAgent: navigator.userAgent
         };
         
@@ -326,7 +395,8 @@ class AROverlay {
         return {
             isActive: this.isARActive,
             hasDetection: !!this.currentDetection,
-            buttonVisible: this.arButton ? this.arButton.getAttribute('visible') === 'true' : false
+            detectionCount: this.detections.length,
+            buttonVisible: this.shownButtons.size > 0
         };
     }
 }
@@ -0,0 +1,241 @@
+// API Budget Enforcement
+// Counts DetectCustomLabels calls per session, day and month (persisted in localStorage),
+// prices them with the rates from cost-analysis-smart-detection.md, warns at soft limits
+// and refuses or slows down calls at hard per-user / per-device caps.
+import { getLocalStorage } from './storage.js';
+
+const DEFAULT_OPTIONS = {
+    pricePer1000Inferences: 0.40,
+    hostingPerHour: 4.00,
+    inferenceUnits: 1,
+    operatingHoursPerMonth: 720, // 24/7; lower it to model business-hours operation
+    softLimits: {
+        session: 500,
+        day: 2000,
+        month: 40000
+    },
+    hardLimits: {
+        userDay: 3000,
+        userMonth: 60000,
+        deviceDay: 5000,
+        deviceMonth: 100000
+    },
+    hardLimitAction: 'refuse', // 'refuse' or 'throttle'
+    throttleDelay: 10000,
+    storageKey: 'logoDetection.budget'
+};
+
+class BudgetManager {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            softLimits: { ...DEFAULT_OPTIONS.softLimits, ...options.softLimits },
+            hardLimits: { ...DEFAULT_OPTIONS.hardLimits, ...options.hardLimits }
+        };
+
+        this.storage = options.storage || getLocalStorage();
+        this.deviceId = this.loadDeviceId();
+        this.userId = 'anonymous';
+
+        this.session = {
+            calls: 0,
+            refused: 0,
+            throttled: 0,
+            startTime: Date.now()
+        };
+
+        // Soft-limit warnings fire once per period
+        this.warned = new Set();
+        this.warningListeners = new Set();
+    }
+
+    loadDeviceId() {
+        const key = `${this.options.storageKey}.deviceId`;
+        let deviceId = this.storage.getItem(key);
+
+        if (!deviceId) {
+            deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            this.storage.setItem(key, deviceId);
+        }
+
+        return deviceId;
+    }
+
+    setUser(userId) {
+        this.userId = userId || 'anonymous';
+    }
+
+    getPeriods(now = new Date()) {
+        const pad = value => String(value).padStart(2, '0');
+        const month = `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+
+        return {
+            day: `${month}-${pad(now.getDate())}`,
+            month
+        };
+    }
+
+    loadUsage(scope) {
+        const periods = this.getPeriods();
+        let usage = null;
+
+        try {
+            usage = JSON.parse(this.storage.getItem(`${this.options.storageKey}.${scope}`));
+        } catch (error) {
+            usage = null;
+        }
+
+        usage = usage || { day: periods.day, dayCalls: 0, month: periods.month, monthCalls: 0 };
+
+        // Roll counters over when the day or month changes
+        if (usage.day !== periods.day) {
+            usage.day = periods.day;
+            usage.dayCalls = 0;
+        }
+        if (usage.month !== periods.month) {
+            usage.month = periods.month;
+            usage.monthCalls = 0;
+        }
+
+        return usage;
+    }
+
+    saveUsage(scope, usage) {
+        this.storage.setItem(`${this.options.storageKey}.${scope}`, JSON.stringify(usage));
+    }
+
+    getUserUsage() {
+        return this.loadUsage(`user.${this.userId}`);
+    }
+
+    getDeviceUsage() {
+        return this.loadUsage(`device.${this.deviceId}`);
+    }
+
+    // Decide whether the next call may go out: { allowed, delay, reason }
+    checkCall() {
+        const limits = this.options.hardLimits;
+        const user = this.getUserUsage();
+        const device = this.getDeviceUsage();
+        let reason = null;
+
+        if (user.dayCalls >= limits.userDay) {
+            reason = `Daily limit of ${limits.userDay} calls per user reached`;
+        } else if (user.monthCalls >= limits.userMonth) {
+            reason = `Monthly limit of ${limits.userMonth} calls per user reached`;
+        } else if (device.dayCalls >= limits.deviceDay) {
+            reason = `Daily limit of ${limits.deviceDay} calls per device reached`;
+        } else if (device.monthCalls >= limits.deviceMonth) {
+            reason = `Monthly limit of ${limits.deviceMonth} calls per device reached`;
+        }
+
+        if (!reason) {
+            return { allowed: true, delay: 0, reason: null };
+        }
+
+        if (this.options.hardLimitAction === 'throttle') {
+            this.session.throttled++;
+            return { allowed: true, delay: this.options.throttleDelay, reason };
+        }
+
+        this.session.refused++;
+        return { allowed: false, delay: 0, reason };
+    }
+
+    recordCall() {
+        this.session.calls++;
+
+        const user = this.getUserUsage();
+        user.dayCalls++;
+        user.monthCalls++;
+        this.saveUsage(`user.${this.userId}`, user);
+
+        const device = this.getDeviceUsage();
+        device.dayCalls++;
+        device.monthCalls++;
+        this.saveUsage(`device.${this.deviceId}`, device);
+
+        this.checkSoftLimits(user);
+    }
+
+    checkSoftLimits(user) {
+        const limits = this.options.softLimits;
+        const checks = [
+            { key: 'session', calls: this.session.calls, limit: limits.session, label: 'this session' },
+            { key: `day.${user.day}`, calls: user.dayCalls, limit: limits.day, label: 'today' },
+            { key: `month.${user.month}`, calls: user.monthCalls, limit: limits.month, label: 'this month' }
+        ];
+
+        checks.forEach(check => {
+            if (check.calls >= check.limit && !this.warned.has(check.key)) {
+                this.warned.add(check.key);
+
+                const warning = {
+                    period: check.key.split('.')[0],
+                    calls: check.calls,
+                    limit: check.limit,
+                    estimatedCost: this.estimateInferenceCost(check.calls),
+                    message: `Budget warning: ${check.calls} API calls ${check.label} ` +
+                        `(~$${this.estimateInferenceCost(check.calls).toFixed(2)})`
+                };
+
+                console.warn(warning.message);
+                this.warningListeners.forEach(listener => listener(warning));
+            }
+        });
+    }
+
+    onWarning(listener) {
+        this.warningListeners.add(listener);
+        return () => this.warningListeners.delete(listener);
+    }
+
+    estimateInferenceCost(calls) {
+        return calls / 1000 * this.options.pricePer1000Inferences;
+    }
+
+    // Extrapolates the current session's call rate over the configured operating hours
+    getProjectedMonthlyCost() {
+        const hours = this.options.operatingHoursPerMonth;
+        // Floor the observed window at 5 minutes so the first few calls don't project wildly
+        const sessionHours = Math.max((Date.now() - this.session.startTime) / 3600000, 5 / 60);
+        const callsPerHour = this.session.calls / sessionHours;
+        const hosting = this.options.hostingPerHour * this.options.inferenceUnits * hours;
+
+        return hosting + this.estimateInferenceCost(callsPerHour * hours);
+    }
+
+    getStats() {
+        const user = this.getUserUsage();
+        const device = this.getDeviceUsage();
+
+        return {
+            sessionCalls: this.session.calls,
+            dayCalls: user.dayCalls,
+            monthCalls: user.monthCalls,
+            deviceDayCalls: device.dayCalls,
+            deviceMonthCalls: device.monthCalls,
+            refusedCalls: this.session.refused,
+            throttledCalls: this.session.throttled,
+            sessionCost: this.estimateInferenceCost(this.session.calls),
+            dayCost: this.estimateInferenceCost(user.dayCalls),
+            monthCost: this.estimateInferenceCost(user.monthCalls),
+            projectedMonthlyCost: this.getProjectedMonthlyCost()
+        };
+    }
+
+    resetSession() {
+        this.session = {
+            calls: 0,
+            refused: 0,
+            throttled: 0,
+            startTime: Date.now()
+        };
+        this.warned.delete('session');
+    }
+}
+
+// Export for global use
+window.BudgetManager = BudgetManager;
+export { BudgetManager };
@@ -0,0 +1,188 @@
+// Threshold Calibration
+// The default motion and quality thresholds suit an average indoor scene. A dim concourse
+// fails almost every frame on quality and sensor noise in bright sunlight reads as detail.
+// ThresholdCalibrator samples a few seconds of the live feed held on the scene and derives
+// thresholds relative to what that environment looks like. CalibrationProfiles keeps them
+// as named profiles in localStorage, ready for SmartDetection.updateSettings(profile).
+import { getLocalStorage } from './storage.js';
+
+const CALIBRATOR_OPTIONS = {
+    duration: 3000, // How long callers should sample the feed
+    minSamples: 10, // Fewer frames than this give no usable baseline
+    motionMargin: 2, // Motion threshold = this x the 90th percentile of frame-to-frame noise
+    minMotionThreshold: 0.02,
+    maxMotionThreshold: 0.3,
+    qualityRatio: 0.8, // Quality threshold = this x the median quality score of the scene
+    minQualityThreshold: 0.1,
+    maxQualityThreshold: 0.95
+};
+
+const PROFILE_OPTIONS = {
+    defaults: { motionThreshold: 0.1, qualityThreshold: 0.7 }, // The built-in "default" profile
+    profiles: {}, // Configured profiles: { [name]: { motionThreshold, qualityThreshold } }
+    storageKey: 'logoDetection.calibration'
+};
+
+const DEFAULT_PROFILE = 'default';
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function percentile(values, fraction) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+class ThresholdCalibrator {
+    constructor(options = {}) {
+        this.options = { ...CALIBRATOR_OPTIONS, ...options };
+        this.reset();
+    }
+
+    // sample: { difference, sharpness, brightness, luminance } as from SmartDetection.sampleFrame;
+    // difference is null for the first frame
+    addSample({ difference, sharpness, brightness, luminance }) {
+        if (difference !== null && difference !== undefined) {
+            this.differences.push(difference);
+        }
+        this.sharpness.push(sharpness);
+        this.brightness.push(brightness);
+        this.luminance.push(luminance);
+        this.qualityScores.push(sharpness * 0.7 + brightness * 0.3); // Same weighting as SmartDetection
+    }
+
+    getSampleCount() {
+        return this.qualityScores.length;
+    }
+
+    // Resolves the samples into a profile: { name, motionThreshold, qualityThreshold, baseline, samples, createdAt }
+    derive(name) {
+        const options = this.options;
+        if (this.getSampleCount() < options.minSamples || this.differences.length === 0) {
+            throw new Error(`Calibration needs at least ${options.minSamples} frames, got ${this.getSampleCount()}`);
+        }
+
+        const noise = percentile(this.differences, 0.9);
+        const quality = percentile(this.qualityScores, 0.5);
+
+        return {
+            name,
+            motionThreshold: clamp(noise * options.motionMargin, options.minMotionThreshold, options.maxMotionThreshold),
+            qualityThreshold: clamp(quality * options.qualityRatio, options.minQualityThreshold, options.maxQualityThreshold),
+            baseline: {
+                noise,
+                quality,
+                sharpness: average(this.sharpness),
+                brightness: average(this.brightness),
+                luminance: average(this.luminance)
+            },
+            samples: this.getSampleCount(),
+            createdAt: Date.now()
+        };
+    }
+
+    reset() {
+        this.differences = [];
+        this.sharpness = [];
+        this.brightness = [];
+        this.luminance = [];
+        this.qualityScores = [];
+    }
+}
+
+class CalibrationProfiles {
+    constructor(options = {}) {
+        this.options = { ...PROFILE_OPTIONS, ...options };
+        this.storage = options.storage || getLocalStorage();
+        this.state = this.load(); // { profiles, active }
+        this.listeners = new Set();
+    }
+
+    load() {
+        let state = null;
+
+        try {
+            state = JSON.parse(this.storage.getItem(this.options.storageKey));
+        } catch (error) {
+            state = null;
+        }
+
+        return { profiles: {}, active: DEFAULT_PROFILE, ...state };
+    }
+
+    persist() {
+        this.storage.setItem(this.options.storageKey, JSON.stringify(this.state));
+    }
+
+    get(name) {
+        if (name === DEFAULT_PROFILE) {
+            return { name, ...this.options.defaults };
+        }
+
+        const profile = this.state.profiles[name] || this.options.profiles[name];
+        return profile ? { ...profile, name } : null;
+    }
+
+    // The default profile first, then configured and calibrated ones by name
+    list() {
+        const names = new Set([...Object.keys(this.options.profiles), ...Object.keys(this.state.profiles)]);
+        names.delete(DEFAULT_PROFILE);
+        return [DEFAULT_PROFILE, ...[...names].sort()].map(name => this.get(name));
+    }
+
+    save(profile) {
+        if (profile.name === DEFAULT_PROFILE) {
+            throw new Error('The default profile cannot be overwritten');
+        }
+
+        this.state.profiles[profile.name] = profile;
+        this.persist();
+        this.notify();
+    }
+
+    remove(name) {
+        delete this.state.profiles[name];
+        if (this.state.active === name) {
+            this.state.active = DEFAULT_PROFILE;
+        }
+        this.persist();
+        this.notify();
+    }
+
+    // Falls back to the default profile when the stored one no longer exists
+    getActive() {
+        return this.get(this.state.active) || this.get(DEFAULT_PROFILE);
+    }
+
+    setActive(name) {
+        if (!this.get(name)) {
+            throw new Error(`Unknown calibration profile: ${name}`);
+        }
+
+        this.state.active = name;
+        this.persist();
+        this.notify();
+        return this.get(name);
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const profiles = this.list();
+        const active = this.getActive();
+        this.listeners.forEach(listener => listener(profiles, active));
+    }
+}
+
+// Export for global use
+window.CalibrationProfiles = CalibrationProfiles;
+export { ThresholdCalibrator, CalibrationProfiles, DEFAULT_PROFILE };
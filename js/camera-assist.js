@@ -0,0 +1,147 @@
+// Camera Auto-Assist
+// Works against the two most common causes of missed detections. Repeated "too-dark"
+// decisions from SmartDetection switch the torch on. Repeated detections whose box covers
+// only a sliver of the frame zoom the camera in a step at a time. Everything it changed is
+// put back by restore(), e.g. when detection stops.
+
+const DEFAULT_OPTIONS = {
+    enabled: false,
+    darkFrames: 3, // Consecutive too-dark decisions before the torch goes on
+    brightFrames: 3, // Consecutive too-bright decisions before an assist-enabled torch goes off
+    tinyTargetArea: 0.02, // Detections covering less than this share of the frame count as tiny
+    tinyFrames: 2, // Consecutive tiny-target scans before zooming in
+    zoomStep: 1.5, // Zoom is multiplied by this per step
+    maxZoom: 3 // Never zoom further than this, even if the camera could
+};
+
+class CameraAssist {
+    // camera: anything with getControls() and setControl(name, value), e.g. CameraManager
+    constructor(camera, options = {}) {
+        this.camera = camera;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.darkStreak = 0;
+        this.brightStreak = 0;
+        this.tinyStreak = 0;
+        this.original = {}; // Control values from before the assist changed them
+        this.pending = null;
+        this.listeners = new Set();
+
+        this.stats = {
+            torchAssists: 0,
+            zoomAssists: 0
+        };
+    }
+
+    setEnabled(enabled) {
+        this.options.enabled = enabled;
+        if (!enabled) {
+            this.restore();
+        }
+    }
+
+    isEnabled() {
+        return this.options.enabled;
+    }
+
+    // decision: SmartDetection.shouldProcessFrame result (only `reason` is used)
+    recordDecision(decision) {
+        if (!this.options.enabled) return;
+
+        this.darkStreak = decision.reason === 'too-dark' ? this.darkStreak + 1 : 0;
+        this.brightStreak = decision.reason === 'too-bright' ? this.brightStreak + 1 : 0;
+
+        const torch = this.camera.getControls().torch;
+        if (!torch) return;
+
+        if (this.darkStreak >= this.options.darkFrames && !torch.value) {
+            this.darkStreak = 0;
+            if (this.change('torch', true)) {
+                this.stats.torchAssists++;
+            }
+        } else if (this.brightStreak >= this.options.brightFrames && torch.value && 'torch' in this.original) {
+            // Only undo a torch we switched on ourselves
+            this.brightStreak = 0;
+            this.change('torch', false);
+        }
+    }
+
+    // Detections of a scan; only tiny boxes count, a miss or a normal-sized hit ends the streak
+    recordDetections(detections) {
+        if (!this.options.enabled) return;
+
+        const boxes = (detections || []).map(detection => detection.boundingBox).filter(Boolean);
+        const tiny = boxes.length > 0 && boxes.every(box => box.width * box.height < this.options.tinyTargetArea);
+        this.tinyStreak = tiny ? this.tinyStreak + 1 : 0;
+
+        const zoom = this.camera.getControls().zoom;
+        if (!zoom || this.tinyStreak < this.options.tinyFrames) return;
+
+        this.tinyStreak = 0;
+        const limit = Math.min(zoom.max, this.options.maxZoom);
+        const target = Math.min(limit, Math.max(zoom.min, zoom.value || zoom.min) * this.options.zoomStep);
+        if (target > (zoom.value || zoom.min) && this.change('zoom', target)) {
+            this.stats.zoomAssists++;
+        }
+    }
+
+    // Returns false when skipped because an earlier change is still being applied
+    change(name, value) {
+        // One change at a time; a camera busy applying constraints can reject overlapping ones
+        if (this.pending) return false;
+
+        if (!(name in this.original)) {
+            this.original[name] = this.camera.getControls()[name].value;
+        }
+
+        console.log(`Camera assist: ${name} -> ${value}`);
+        this.pending = this.camera.setControl(name, value)
+            .then(() => this.notify())
+            .catch(error => console.warn(`Camera assist could not set ${name}:`, error.message))
+            .finally(() => {
+                this.pending = null;
+            });
+        return true;
+    }
+
+    // Put back every control the assist touched
+    async restore() {
+        const original = this.original;
+        this.original = {};
+        this.darkStreak = 0;
+        this.brightStreak = 0;
+        this.tinyStreak = 0;
+
+        if (this.pending) {
+            await this.pending;
+        }
+
+        const controls = this.camera.getControls();
+        for (const [name, value] of Object.entries(original)) {
+            if (controls[name] && value !== undefined) {
+                await this.camera.setControl(name, value).catch(() => {});
+            }
+        }
+
+        if (Object.keys(original).length > 0) {
+            this.notify();
+        }
+    }
+
+    // Called after the assist changed a control, so UIs can refresh theirs
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.camera.getControls()));
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+// Export for global use
+window.CameraAssist = CameraAssist;
+export { CameraAssist };
@@ -0,0 +1,241 @@
+// Camera Devices
+// Lists the device's cameras, remembers which one (and which resolution and frame rate per
+// camera) the user picked, and opens or reconfigures streams to match. Format changes are
+// applied to the live track when the browser allows it; otherwise, and for camera switches,
+// a new stream is opened and swapped in so the caller keeps its <video>, loop and overlay.
+// Also exposes the track's torch, zoom, focus mode and exposure compensation where the
+// browser reports them in getCapabilities() (mostly Chrome on Android).
+import { getLocalStorage } from './storage.js';
+
+const DEFAULT_OPTIONS = {
+    facingMode: 'environment',
+    width: 640,
+    height: 480,
+    frameRate: 30,
+    storageKey: 'logoDetection.camera'
+};
+
+const RESOLUTION_PRESETS = [
+    { label: '480p', width: 640, height: 480 },
+    { label: '720p', width: 1280, height: 720 },
+    { label: '1080p', width: 1920, height: 1080 }
+];
+
+const FRAME_RATE_PRESETS = [15, 24, 30];
+
+// Track capabilities given as { min, max, step } ranges
+const RANGE_CONTROLS = ['zoom', 'exposureCompensation'];
+
+class CameraDevices {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.storage = options.storage || getLocalStorage();
+        this.preference = this.loadPreference();
+        this.listeners = new Set();
+    }
+
+    loadPreference() {
+        let preference = null;
+
+        try {
+            preference = JSON.parse(this.storage.getItem(this.options.storageKey));
+        } catch (error) {
+            preference = null;
+        }
+
+        // deviceId null: pick by facing mode; formats are keyed by deviceId ('default' before one is known)
+        return { deviceId: null, facingMode: this.options.facingMode, formats: {}, ...preference };
+    }
+
+    savePreference() {
+        this.storage.setItem(this.options.storageKey, JSON.stringify(this.preference));
+        this.listeners.forEach(listener => listener(this.getPreference()));
+    }
+
+    getPreference() {
+        return { ...this.preference, ...this.getFormat() };
+    }
+
+    getFormat(deviceId = this.preference.deviceId) {
+        return {
+            width: this.options.width,
+            height: this.options.height,
+            frameRate: this.options.frameRate,
+            ...this.preference.formats[deviceId || 'default']
+        };
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Labels are empty until camera permission has been granted once
+    async list() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`
+            }));
+    }
+
+    getConstraints() {
+        const { width, height, frameRate } = this.getFormat();
+        const video = {
+            width: { ideal: width },
+            height: { ideal: height },
+            frameRate: { ideal: frameRate }
+        };
+
+        if (this.preference.deviceId) {
+            video.deviceId = { exact: this.preference.deviceId };
+        } else {
+            video.facingMode = this.preference.facingMode;
+        }
+
+        return { video, audio: false };
+    }
+
+    // Stops the previous stream first: many phones can't open two cameras at once
+    async open(previousStream = null) {
+        if (previousStream) {
+            previousStream.getTracks().forEach(track => track.stop());
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia(this.getConstraints());
+        } catch (error) {
+            // The remembered camera is gone (unplugged, other browser profile): fall back to facing mode
+            if (!this.preference.deviceId || (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError')) {
+                throw error;
+            }
+            console.warn('Remembered camera unavailable, falling back to facing mode');
+            this.preference.deviceId = null;
+            stream = await navigator.mediaDevices.getUserMedia(this.getConstraints());
+        }
+
+        this.remember(stream);
+        return stream;
+    }
+
+    // Keep the camera the browser actually picked, so the next start opens the same one
+    remember(stream) {
+        const track = stream.getVideoTracks()[0];
+        const settings = track && track.getSettings ? track.getSettings() : {};
+
+        if (settings.deviceId && settings.deviceId !== this.preference.deviceId) {
+            // Carry a format chosen before the camera was known over to its deviceId
+            const pending = this.preference.formats.default;
+            if (pending && !this.preference.formats[settings.deviceId]) {
+                this.preference.formats[settings.deviceId] = pending;
+            }
+            this.preference.deviceId = settings.deviceId;
+        }
+        if (settings.facingMode) {
+            this.preference.facingMode = settings.facingMode;
+        }
+        this.savePreference();
+    }
+
+    selectDevice(deviceId, stream = null) {
+        this.preference.deviceId = deviceId;
+        return this.open(stream);
+    }
+
+    // Front/back toggle; drops the remembered deviceId so the facing mode decides
+    flip(stream = null) {
+        this.preference.facingMode = this.preference.facingMode === 'user' ? 'environment' : 'user';
+        this.preference.deviceId = null;
+        return this.open(stream);
+    }
+
+    // format: { width, height, frameRate } (any subset). Resolves to the stream to use, which
+    // is the same one when the live track could be reconfigured in place; without a running
+    // stream the format is only remembered for the next start
+    async setFormat(format, stream = null) {
+        const key = this.preference.deviceId || 'default';
+        this.preference.formats[key] = { ...this.getFormat(), ...format };
+        this.savePreference();
+
+        if (!stream) {
+            return null;
+        }
+
+        const track = stream.getVideoTracks()[0];
+        if (track && track.applyConstraints) {
+            try {
+                const { video } = this.getConstraints();
+                await track.applyConstraints({ width: video.width, height: video.height, frameRate: video.frameRate });
+                return stream;
+            } catch (error) {
+                console.warn('Camera could not be reconfigured in place, restarting it:', error.message);
+            }
+        }
+
+        return this.open(stream);
+    }
+
+    // Supported controls with current values, e.g. { torch: { value }, zoom: { min, max, step, value },
+    // focusMode: { options, value }, exposureCompensation: { min, max, step, value } }
+    getControls(stream) {
+        const track = stream && stream.getVideoTracks()[0];
+        if (!track || !track.getCapabilities) {
+            return {};
+        }
+
+        const capabilities = track.getCapabilities();
+        const settings = track.getSettings();
+        const controls = {};
+
+        if (capabilities.torch) {
+            controls.torch = { value: !!settings.torch };
+        }
+
+        RANGE_CONTROLS.forEach(name => {
+            const range = capabilities[name];
+            if (range && range.max > range.min) {
+                controls[name] = { min: range.min, max: range.max, step: range.step || 0.1, value: settings[name] };
+            }
+        });
+
+        if (Array.isArray(capabilities.focusMode) && capabilities.focusMode.length > 0) {
+            controls.focusMode = { options: capabilities.focusMode, value: settings.focusMode };
+        }
+
+        return controls;
+    }
+
+    // Resolves to the value applied; ranges are clamped to what the camera supports
+    async applyControl(stream, name, value) {
+        const control = this.getControls(stream)[name];
+        if (!control) {
+            throw new Error(`Camera does not support ${name}`);
+        }
+
+        if (control.min !== undefined) {
+            value = Math.max(control.min, Math.min(control.max, value));
+        } else if (control.options && !control.options.includes(value)) {
+            throw new Error(`Camera does not support ${name} "${value}"`);
+        }
+
+        await stream.getVideoTracks()[0].applyConstraints({ advanced: [{ [name]: value }] });
+        return value;
+    }
+
+    // What the running track actually delivers: { deviceId, width, height, frameRate, facingMode }
+    getActiveSettings(stream) {
+        const track = stream && stream.getVideoTracks()[0];
+        return track && track.getSettings ? track.getSettings() : null;
+    }
+}
+
+// Export for global use
+window.CameraDevices = CameraDevices;
+export { CameraDevices, RESOLUTION_PRESETS, FRAME_RATE_PRESETS };
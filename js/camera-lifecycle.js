@@ -0,0 +1,318 @@
+// Camera Lifecycle
+// State machine around the camera stream: idle -> requesting -> live, with interrupted when
+// the track ends or stays muted (another app took the camera, a USB webcam was unplugged)
+// and failed when it can't come back on its own. Interrupted streams are reacquired with
+// jittered backoff; the camera permission is watched so a revoke fails the camera right away
+// and a later grant brings it back.
+import { computeBackoff } from './resilience.js';
+
+const CAMERA_STATES = {
+    IDLE: 'idle', // Not started, or stopped on purpose
+    REQUESTING: 'requesting', // Waiting for getUserMedia and the first video frame
+    LIVE: 'live',
+    INTERRUPTED: 'interrupted', // Lost the stream; reacquiring
+    FAILED: 'failed' // Gave up, or permission denied; needs the user
+};
+
+const DEFAULT_OPTIONS = {
+    requestTimeout: 15000, // Not applied while the permission prompt is showing
+    muteTimeout: 5000, // A track muted this long is treated as lost
+    maxAttempts: 6, // Reacquisition attempts before giving up
+    baseDelay: 1000,
+    maxDelay: 30000
+};
+
+// Errors a later attempt can get past: camera busy in another app, unplugged, slow to start
+const RETRYABLE_ERRORS = ['NotReadableError', 'AbortError', 'NotFoundError', 'TimeoutError'];
+
+function createTimeoutError(message) {
+    const error = new Error(message);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+function stopStream(stream) {
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+}
+
+// Attaches a stream to a <video> and waits for its first frame, which some devices never
+// deliver (the old code waited on onloadedmetadata forever)
+function attachStream(video, stream, timeout = DEFAULT_OPTIONS.requestTimeout) {
+    video.srcObject = stream;
+
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            video.onloadedmetadata = null;
+            reject(createTimeoutError('Camera stream did not start in time'));
+        }, timeout);
+
+        video.onloadedmetadata = () => {
+            clearTimeout(timer);
+            video.play();
+            resolve();
+        };
+    });
+}
+
+class CameraLifecycle {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.state = CAMERA_STATES.IDLE;
+        this.acquire = null; // (previousStream) => Promise<MediaStream>, set by start()
+        this.stream = null;
+        this.attempt = 0;
+        this.retryTimer = null;
+        this.muteTimer = null;
+        this.unwatch = () => {};
+        this.permission = null; // 'granted', 'denied', 'prompt' or null when unknown
+        this.permissionStatus = null;
+        this.generation = 0; // Bumped on stop so late results of an old attempt are dropped
+        this.listeners = new Set();
+
+        this.handleDeviceChange = () => {
+            // A camera was plugged (back) in: don't wait out the backoff
+            if (this.state === CAMERA_STATES.INTERRUPTED) {
+                this.reacquire();
+            }
+        };
+
+        this.stats = {
+            interruptions: 0,
+            reacquisitions: 0,
+            timeouts: 0
+        };
+    }
+
+    // Resolves with the live stream; rejects with the first attempt's error, after which a
+    // retryable error keeps being retried in the background
+    async start(acquire) {
+        await this.begin(acquire);
+        return this.request();
+    }
+
+    // Takes over a stream opened elsewhere, e.g. by a camera switch; acquire is what
+    // reacquires it later
+    async adopt(stream, acquire = this.acquire) {
+        await this.begin(acquire);
+        this.watch(stream);
+        this.setState(CAMERA_STATES.LIVE, { stream });
+    }
+
+    async begin(acquire) {
+        this.acquire = acquire;
+        this.attempt = 0;
+        this.clearTimers();
+        await this.monitorPermission();
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', this.handleDeviceChange);
+        }
+    }
+
+    async request() {
+        const generation = this.generation;
+        const previous = this.stream;
+        this.unwatch();
+        this.setState(CAMERA_STATES.REQUESTING);
+
+        let stream;
+        try {
+            stream = await this.withTimeout(this.acquire(previous));
+        } catch (error) {
+            if (generation === this.generation) {
+                this.handleFailure(error);
+            }
+            throw error;
+        }
+
+        if (generation !== this.generation) {
+            // Stopped while the request was in flight
+            stopStream(stream);
+            throw new Error('Camera was stopped while starting');
+        }
+
+        if (this.attempt > 0) {
+            this.stats.reacquisitions++;
+        }
+        this.attempt = 0;
+        this.stream = stream;
+        this.watch(stream);
+        this.setState(CAMERA_STATES.LIVE, { stream });
+        return stream;
+    }
+
+    // A stream that resolves after the timeout is stopped so it doesn't hold the camera
+    withTimeout(promise) {
+        if (this.permission === 'prompt') {
+            return promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.stats.timeouts++;
+                promise.then(stopStream, () => {});
+                reject(createTimeoutError('Camera did not start in time'));
+            }, this.options.requestTimeout);
+
+            promise.then(
+                stream => {
+                    clearTimeout(timer);
+                    resolve(stream);
+                },
+                error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    handleFailure(error) {
+        if (!RETRYABLE_ERRORS.includes(error.name) || this.attempt >= this.options.maxAttempts) {
+            stopStream(this.stream);
+            this.stream = null;
+            this.setState(CAMERA_STATES.FAILED, { error });
+            return;
+        }
+
+        const delay = computeBackoff(this.attempt, {
+            baseDelay: this.options.baseDelay,
+            maxDelay: this.options.maxDelay
+        });
+        this.attempt++;
+        console.warn(`Camera unavailable (${error.name}), retrying in ${delay}ms`);
+        this.setState(CAMERA_STATES.INTERRUPTED, { error, retryIn: delay });
+        this.retryTimer = setTimeout(() => this.reacquire(), delay);
+    }
+
+    reacquire() {
+        this.clearTimers();
+        this.request().catch(() => {
+            // handleFailure already scheduled the next attempt or failed the camera
+        });
+    }
+
+    watch(stream) {
+        this.unwatch();
+        this.stream = stream;
+
+        const track = stream.getVideoTracks()[0];
+        if (!track) return;
+
+        const onEnded = () => this.interrupt('ended');
+        const onMute = () => {
+            // Muted briefly while the OS reconfigures is normal; only a lasting mute is a loss
+            this.setState(CAMERA_STATES.INTERRUPTED, { reason: 'muted' });
+            this.muteTimer = setTimeout(() => this.interrupt('muted'), this.options.muteTimeout);
+        };
+        const onUnmute = () => {
+            clearTimeout(this.muteTimer);
+            if (this.state === CAMERA_STATES.INTERRUPTED && this.stream === stream) {
+                this.setState(CAMERA_STATES.LIVE, { stream });
+            }
+        };
+
+        track.addEventListener('ended', onEnded);
+        track.addEventListener('mute', onMute);
+        track.addEventListener('unmute', onUnmute);
+
+        this.unwatch = () => {
+            track.removeEventListener('ended', onEnded);
+            track.removeEventListener('mute', onMute);
+            track.removeEventListener('unmute', onUnmute);
+            clearTimeout(this.muteTimer);
+            this.unwatch = () => {};
+        };
+    }
+
+    interrupt(reason) {
+        console.warn(`Camera track ${reason}, reacquiring`);
+        this.stats.interruptions++;
+        this.attempt = 1;
+        this.setState(CAMERA_STATES.INTERRUPTED, { reason });
+        this.reacquire();
+    }
+
+    async monitorPermission() {
+        if (this.permissionStatus || !navigator.permissions || !navigator.permissions.query) {
+            return;
+        }
+
+        try {
+            this.permissionStatus = await navigator.permissions.query({ name: 'camera' });
+        } catch (error) {
+            return; // Browsers that can't query 'camera' (older Firefox)
+        }
+
+        this.permission = this.permissionStatus.state;
+        this.permissionStatus.onchange = () => {
+            this.permission = this.permissionStatus.state;
+
+            if (this.permission === 'denied' && this.state !== CAMERA_STATES.IDLE) {
+                this.clearTimers();
+                this.unwatch();
+                stopStream(this.stream);
+                this.stream = null;
+                const error = new Error('Camera permission was revoked');
+                error.name = 'NotAllowedError';
+                this.setState(CAMERA_STATES.FAILED, { error });
+            } else if (this.permission === 'granted' && this.state === CAMERA_STATES.FAILED) {
+                this.attempt = 0;
+                this.reacquire();
+            }
+        };
+    }
+
+    clearTimers() {
+        clearTimeout(this.retryTimer);
+        clearTimeout(this.muteTimer);
+        this.retryTimer = null;
+    }
+
+    // Stops watching and stops the stream; the caller's stop is final, no reacquisition
+    stop() {
+        this.generation++;
+        this.clearTimers();
+        this.unwatch();
+        stopStream(this.stream);
+        this.stream = null;
+        if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+            navigator.mediaDevices.removeEventListener('devicechange', this.handleDeviceChange);
+        }
+        this.setState(CAMERA_STATES.IDLE);
+    }
+
+    setState(state, detail = {}) {
+        const previous = this.state;
+        if (state === previous && state !== CAMERA_STATES.INTERRUPTED) return;
+
+        this.state = state;
+        console.log(`Camera: ${previous} -> ${state}`);
+        this.listeners.forEach(listener => listener(state, previous, detail));
+    }
+
+    // listener(state, previous, detail): detail.stream when live, detail.error when failed
+    onStateChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    isLive() {
+        return this.state === CAMERA_STATES.LIVE;
+    }
+
+    getStats() {
+        return {
+            cameraState: this.state,
+            cameraPermission: this.permission,
+            cameraInterruptions: this.stats.interruptions,
+            cameraReacquisitions: this.stats.reacquisitions,
+            cameraTimeouts: this.stats.timeouts
+        };
+    }
+}
+
+// Export for global use
+window.CameraLifecycle = CameraLifecycle;
+export { CameraLifecycle, CAMERA_STATES, attachStream };
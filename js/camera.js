@@ -1,9 +1,19 @@
 // Camera Management Module
-class CameraManager {
-    constructor() {
+import { VideoFrameSource } from './frame-sources.js';
+
+// A VideoFrameSource that opens the camera itself, so frames are captured and timed the same
+// way as for screen and page video sources
+class CameraManager extends VideoFrameSource {
+    // devices: optional CameraDevices (js/camera-devices.js) for camera choice, remembered
+    // preferences and runtime switching; without it the CONFIG constraints are used as-is.
+    // lifecycle: optional CameraLifecycle (js/camera-lifecycle.js) that reacquires the stream
+    // when the track ends or stays muted; without it a lost camera stays lost
+    constructor({ devices = null, lifecycle = null } = {}) {
+        super({ label: 'Camera', analysisWidth: CONFIG.DETECTION.ANALYSIS_WIDTH });
+        this.devices = devices;
+        this.lifecycle = lifecycle;
         this.stream = null;
-        this.video = null;
-        this.isActive = false;
+        this.isSwitching = false; // A new stream is being swapped in; no frames meanwhile
         this.constraints = {
             video: {
                 width: { ideal: CONFIG.CAMERA.WIDTH },
@@ -13,6 +23,14 @@ class CameraManager {
             },
             audio: false
         };
+        
+        if (this.lifecycle) {
+            // No frames unless the lifecycle says live; reacquired streams replace the old one
+            this.lifecycle.onStateChange((state) => {
+                this.isActive = state === 'live';
+                this.stream = this.lifecycle.stream;
+            });
+        }
     }
 
     async initialize() {
@@ -33,21 +51,13 @@ class CameraManager {
 
     async startCamera() {
         try {
-            // Request camera permission and stream
-            this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
-            
-            // Attach stream to video element
-            this.video.srcObject = this.stream;
-            
-            // Wait for video to be ready
-            await new Promise((resolve) => {
-                this.video.onloadedmetadata = () => {
-                    this.video.play();
-                    resolve();
-                };
-            });
+            if (this.lifecycle) {
+                await this.lifecycle.start(previous => this.acquireStream(previous));
+            } else {
+                this.stream = await this.acquireStream();
+                this.isActive = true;
+            }
 
-            this.isActive = true;
             this.updateStatus('Camera active', 'success');
             
             return true;
@@ -58,7 +68,133 @@ class CameraManager {
         }
     }
 
+    // Request camera permission and stream, and wait for its first frame
+    async acquireStream(previousStream = null) {
+        let stream;
+        if (this.devices) {
+            stream = await this.devices.open(previousStream);
+        } else {
+            if (previousStream) {
+                previousStream.getTracks().forEach(track => track.stop());
+            }
+            stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+        }
+
+        try {
+            await this.attachStream(stream);
+        } catch (error) {
+            stream.getTracks().forEach(track => track.stop());
+            throw error;
+        }
+        return stream;
+    }
+
+    async attachStream(stream) {
+        // Attach stream to video element
+        this.video.srcObject = stream;
+        
+        // Wait for video to be ready; some cameras never deliver a first frame
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.video.onloadedmetadata = null;
+                const error = new Error('Camera stream did not start in time');
+                error.name = 'TimeoutError';
+                reject(error);
+            }, CONFIG.CAMERA.START_TIMEOUT);
+            
+            this.video.onloadedmetadata = () => {
+                clearTimeout(timeout);
+                this.video.play();
+                resolve();
+            };
+        });
+    }
+
+    switchCamera(deviceId) {
+        return this.restart(() => this.devices.selectDevice(deviceId, this.stream));
+    }
+
+    // Front/back toggle
+    flipCamera() {
+        return this.restart(() => this.devices.flip(this.stream));
+    }
+
+    // format: { width, height, frameRate }; applied to the live track where possible
+    setFormat(format) {
+        return this.restart(() => this.devices.setFormat(format, this.stream));
+    }
+
+    // Swaps in a new stream on the same <video>, so the detection loop and overlay keep running
+    async restart(openStream) {
+        if (!this.devices) {
+            throw new Error('Camera switching needs a CameraDevices instance');
+        }
+        if (!this.isActive) {
+            return null;
+        }
+
+        this.isSwitching = true;
+        try {
+            const stream = await openStream();
+            if (stream !== this.stream) {
+                this.stream = stream;
+                await this.attachStream(stream);
+                if (this.lifecycle) {
+                    await this.lifecycle.adopt(stream);
+                }
+            }
+            this.updateStatus('Camera active', 'success');
+            return this.devices.getActiveSettings(this.stream);
+        } catch (error) {
+            console.error('Failed to switch camera:', error);
+            this.handleCameraError(error);
+            throw error;
+        } finally {
+            this.isSwitching = false;
+        }
+    }
+
+    // Torch, zoom, focus mode and exposure compensation the current track supports
+    getControls() {
+        return this.devices && this.isActive ? this.devices.getControls(this.stream) : {};
+    }
+
+    setControl(name, value) {
+        if (!this.devices || !this.isActive) {
+            return Promise.reject(new Error('Camera is not running'));
+        }
+        return this.devices.applyControl(this.stream, name, value);
+    }
+
+    setTorch(on) {
+        return this.setControl('torch', on);
+    }
+
+    setZoom(zoom) {
+        return this.setControl('zoom', zoom);
+    }
+
+    setFocusMode(mode) {
+        return this.setControl('focusMode', mode);
+    }
+
+    setExposureCompensation(value) {
+        return this.setControl('exposureCompensation', value);
+    }
+
+    // VideoFrameSource lifecycle; capture and frame timing are inherited
+    start() {
+        return this.startCamera();
+    }
+
+    stop() {
+        this.stopCamera();
+    }
+
     stopCamera() {
+        if (this.lifecycle) {
+            this.lifecycle.stop();
+        }
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
@@ -72,32 +208,9 @@ class CameraManager {
         this.updateStatus('Camera stopped', 'warning');
     }
 
-    captureFrame() {
-        if (!this.isActive || !this.video) {
-            return null;
-        }
-
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        canvas.width = this.video.videoWidth;
-        canvas.height = this.video.videoHeight;
-        
-        ctx.drawImage(this.video, 0, 0);
-        
-        return {
-            canvas,
-            imageData: ctx.getImageData(0, 0, canvas.width, canvas.height),
-            dataURL: canvas.toDataURL('image/jpeg', 0.8)
-        };
-    }
-
-    getVideoElement() {
-        return this.video;
-    }
-
+    // No frames while a new stream is swapped in
     isReady() {
-        return this.isActive && this.video && this.video.readyState >= 2;
+        return !this.isSwitching && super.isReady();
     }
 
     handleCameraError(error) {
@@ -116,6 +229,12 @@ class CameraManager {
             case 'OverconstrainedError':
                 message = 'Camera constraints not supported.';
                 break;
+            case 'NotReadableError':
+                message = 'Camera is in use by another app.';
+                break;
+            case 'TimeoutError':
+                message = 'Camera did not start in time.';
+                break;
             default:
                 message = `Camera error: ${error.message}`;
         }
@@ -156,3 +275,4 @@ class CameraManager {
 
 // Export for global use
 window.CameraManager = CameraManager;
+export { CameraManager };
@@ -0,0 +1,98 @@
+// Capture Benchmark
+// Measures what grabbing one frame costs on this device. "legacy" is the original capture:
+// a new full-resolution canvas, getImageData and a JPEG data URL on every tick. "current" is
+// CameraManager.captureFrame: a reused canvas and a small downsampled ImageData, with encoding
+// left to ImagePreprocessor for accepted frames only ("encode" is that per-upload cost).
+// Both paths run on the same frames, alternating, so lighting and load affect them equally.
+import { ImagePreprocessor } from './image-preprocessor.js';
+
+const DEFAULT_OPTIONS = {
+    frames: 60,
+    encodeEvery: 10, // Accepted frames are rare; encode one frame in this many
+    preprocessing: {}
+};
+
+function summarize(times, bytes) {
+    const sorted = [...times].sort((a, b) => a - b);
+    const total = times.reduce((sum, time) => sum + time, 0);
+
+    return {
+        frames: times.length,
+        avgMs: times.length > 0 ? Number((total / times.length).toFixed(2)) : 0,
+        p95Ms: sorted.length > 0 ? Number(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))].toFixed(2)) : 0,
+        bytesPerFrame: times.length > 0 ? Math.round(bytes / times.length) : 0
+    };
+}
+
+class CaptureBenchmark {
+    constructor(camera, options = {}) {
+        this.camera = camera;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.preprocessor = new ImagePreprocessor(this.options.preprocessing);
+    }
+
+    // The capture this repo started with, kept here only for comparison
+    captureLegacy(video) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        ctx.drawImage(video, 0, 0);
+
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const dataURL = canvas.toDataURL('image/jpeg', 0.8);
+        return imageData.data.length + dataURL.length;
+    }
+
+    nextFrame() {
+        return new Promise(resolve => this.camera.requestFrame(resolve));
+    }
+
+    // Resolves to { legacy, current, encode, speedup }; the camera must be running
+    async run() {
+        const video = this.camera.getVideoElement();
+        if (!this.camera.isReady()) {
+            throw new Error('Start the camera before benchmarking capture');
+        }
+
+        const legacy = { times: [], bytes: 0 };
+        const current = { times: [], bytes: 0 };
+        const encode = { times: [], bytes: 0 };
+
+        for (let i = 0; i < this.options.frames; i++) {
+            await this.nextFrame();
+
+            let start = performance.now();
+            legacy.bytes += this.captureLegacy(video);
+            legacy.times.push(performance.now() - start);
+
+            start = performance.now();
+            const frame = this.camera.captureFrame();
+            current.times.push(performance.now() - start);
+            if (!frame) continue;
+            current.bytes += frame.imageData.data.length;
+
+            if (i % this.options.encodeEvery === 0) {
+                start = performance.now();
+                const encoded = await this.preprocessor.process(frame.source);
+                encode.times.push(performance.now() - start);
+                encode.bytes += encoded.bytes.length;
+            }
+        }
+
+        const report = {
+            resolution: `${video.videoWidth}x${video.videoHeight}`,
+            legacy: summarize(legacy.times, legacy.bytes),
+            current: summarize(current.times, current.bytes),
+            encode: summarize(encode.times, encode.bytes)
+        };
+        report.speedup = report.current.avgMs > 0 ?
+            Number((report.legacy.avgMs / report.current.avgMs).toFixed(1)) : null;
+
+        return report;
+    }
+}
+
+// Export for global use
+window.CaptureBenchmark = CaptureBenchmark;
+export { CaptureBenchmark };
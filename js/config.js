@@ -4,15 +4,57 @@ const CONFIG = {
     AWS: {
         REGION: 'us-east-1',
         MODEL_ARN: 'arn:aws:rekognition:us-east-1:YOUR-ACCOUNT:project/YourProject/version/YourVersion/YOUR-VERSION-ID',
+        PROJECT_ARN: null, // Optional; looked up with DescribeProjects from the name in MODEL_ARN
+        MODEL_POLL_INTERVAL: 15000, // Re-check a STARTING model every 15 seconds
         // Credentials now handled by Amplify Auth
     },
 
+    // Detection Backend ('rekognition', 'proxy', 'fixture' or 'scripted')
+    // Override per page load with ?backend=fixture to run without a live model
+    BACKEND: {
+        TYPE: new URLSearchParams(window.location.search).get('backend') || 'rekognition',
+        PROXY_URL: 'http://localhost:8787', // Inference proxy (server/); API Gateway stage URL when deployed
+        FIXTURES: [
+            '/fixtures/logo-centered.json',
+            '/fixtures/no-logo.json',
+            '/fixtures/logo-top-left.json'
+        ],
+        LATENCY: 400, // Simulated round trip in ms for offline backends
+        MODEL_STATUSES: [], // Scripted model lifecycle, e.g. ['STARTING', 'STARTING', 'RUNNING']
+        SCRIPT: [
+            { detections: [] },
+            { detections: [{ name: 'Logo', confidence: 0.92, boundingBox: { left: 0.35, top: 0.3, width: 0.3, height: 0.25 } }] },
+            { error: 'ThrottlingException', latency: 100 },
+            { detections: [{ name: 'Logo', confidence: 0.85, boundingBox: { left: 0.1, top: 0.15, width: 0.25, height: 0.2 } }] }
+        ]
+    },
+
     // Camera Settings
     CAMERA: {
         WIDTH: 640,
         HEIGHT: 480,
         FRAME_RATE: 30,
-        FACING_MODE: 'environment' // Use back camera
+        FACING_MODE: 'environment', // Use back camera
+        START_TIMEOUT: 15000, // Give up on a stream that hasn't delivered a frame by then
+        MUTE_TIMEOUT: 5000, // A track muted this long (camera taken by another app) is reacquired
+        REACQUIRE_ATTEMPTS: 6, // Reacquisitions with backoff before the camera is marked failed
+        AUTO_ASSIST: false, // Torch on repeated dark frames, zoom in on repeated tiny detections
+        ASSIST_DARK_FRAMES: 3, // Consecutive too-dark frames before the torch goes on
+        ASSIST_TINY_AREA: 0.02, // Detections under 2% of the frame count as tiny
+        ASSIST_TINY_FRAMES: 2, // Consecutive tiny-detection scans before zooming in
+        ASSIST_MAX_ZOOM: 3
+    },
+
+    // Frame Sources besides the camera (js/frame-sources.js)
+    SOURCES: {
+        VIDEO_SELECTOR: 'video[data-logo-source]', // Page video scanned by the "video" source, e.g. an HLS player
+        SCREEN_FRAME_RATE: 5 // Frames per second requested from a screen, window or tab share
+    },
+
+    // Recorded video exposure reports (js/video-analysis.js)
+    VIDEO_ANALYSIS: {
+        SAMPLE_RATE: 1, // Samples per second of video; exposure is accurate to 1 / SAMPLE_RATE seconds
+        SEEK_TIMEOUT: 5000
     },
 
     // Smart Detection Settings
@@ -20,16 +62,85 @@ const CONFIG = {
         MOTION_THRESHOLD: 0.1,
         QUALITY_THRESHOLD: 0.7,
         SCAN_INTERVAL: 2000, // 2 seconds between scans
+        STABILITY_MOTION_THRESHOLD: 2, // m/s² of device acceleration treated as moving fast
+        STABILITY_ROTATION_THRESHOLD: 90, // deg/s of device rotation treated as moving fast
+        STABILITY_MIN_SCORE: 0.6, // Rolling stability score (0-1) needed to scan
+        STEADY_DURATION: 300, // ms the device must be held steady before the triggered scan
+        ROI_CENTER_CROP: 0.7, // Default upload region: central 70% of width and height
+        ROI_MARGIN: 0.5, // After a hit: last box grown by 50% of its size on each side
+        ROI_HOLD_TIME: 3000, // How long a hit keeps steering the region
+        FULL_FRAME_EVERY: 4, // Every 4th scan uploads the full frame (0 disables cropping)
         CONFIDENCE_THRESHOLD: 0.8,
+        // Per-label overrides, e.g. { background: { enabled: false }, SponsorA: { minConfidence: 0.6, displayName: 'Sponsor A' } };
+        // color (overlay, e.g. '#EF4444') and url (AR button target) are optional too
+        LABELS: {},
         CACHE_DURATION: 5000, // 5 seconds
-        MAX_RETRIES: 3
+        EMPTY_CACHE_DURATION: 5000, // Frames without a logo; lower it if logos appear in place
+        CACHE_SIZE: 50,
+        CACHE_HASH_TOLERANCE: 6, // Max differing bits (of 64) between frame hashes for a cache hit
+        MAX_RETRIES: 3,
+        MAX_IMAGE_EDGE: 800, // Frames are downscaled so their longest side fits before upload
+        TARGET_IMAGE_BYTES: 100 * 1024, // JPEG quality adapts to keep uploads near this size
+        JPEG_QUALITY: 0.8, // Starting quality
+        MIN_JPEG_QUALITY: 0.4,
+        CALIBRATION_DURATION: 3000, // ms of live feed sampled when calibrating thresholds
+        // Named threshold profiles on top of calibrated ones, e.g. { concourse: { motionThreshold: 0.04, qualityThreshold: 0.35 } }
+        CALIBRATION_PROFILES: {},
+        FRAME_WORKER: true, // Analyze and encode frames in a Web Worker where supported
+        ANALYSIS_WIDTH: 320, // Width frames are scored for motion and quality at (worker and main thread)
+        // Compare capture cost per frame, original versus current path; also ?benchmark=capture
+        BENCHMARK: new URLSearchParams(window.location.search).get('benchmark') === 'capture',
+        BENCHMARK_FRAMES: 60
+    },
+
+    // Adaptive performance tiers (boost / normal / saver / critical)
+    PERFORMANCE: {
+        LOW_BATTERY: 0.2, // Saver tier below 20% when not charging
+        CRITICAL_BATTERY: 0.1, // Critical tier below 10% when not charging
+        SLOW_FRAME_TIME: 50, // ms of capture + analysis per frame that counts as a slow device
+        DROPPED_FRAME_RATE: 0.15, // Share of dropped video frames that counts as overloaded
+        BOOST_WINDOW: 5000 // Boost tier for this long after a detection
+    },
+
+    // API Budget (pricing from cost-analysis-smart-detection.md)
+    BUDGET: {
+        PRICE_PER_1000_INFERENCES: 0.40,
+        HOSTING_PER_HOUR: 4.00,
+        INFERENCE_UNITS: 1,
+        OPERATING_HOURS_PER_MONTH: 720, // 24/7
+        SOFT_LIMITS: { SESSION: 500, DAY: 2000, MONTH: 40000 },
+        HARD_LIMITS: { USER_DAY: 3000, USER_MONTH: 60000, DEVICE_DAY: 5000, DEVICE_MONTH: 100000 },
+        HARD_LIMIT_ACTION: 'refuse', // 'refuse' or 'throttle'
+        THROTTLE_DELAY: 10000 // Delay per call when throttling past a hard cap
+    },
+
+    // Operating windows (cost analysis scenario 1); outside them Start is blocked and running
+    // detection stops. Set URL to load a campaign's { timeZone, windows, blackoutDates } JSON instead.
+    SCHEDULE: {
+        ENABLED: false,
+        URL: null, // e.g. '/schedules/example-campaign.json'
+        TIME_ZONE: null, // IANA zone such as 'America/Mexico_City'; null uses the device's zone
+        WINDOWS: [
+            { days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '21:00' },
+            { days: ['sat', 'sun'], start: '10:00', end: '22:00' }
+        ],
+        BLACKOUT_DATES: [], // 'YYYY-MM-DD' dates with no operation
+        CHECK_INTERVAL: 30000 // How often the window is re-checked while the app is open
+    },
+
+    // Local tracking between cloud scans
+    TRACKING: {
+        MIN_CONFIDENCE: 0.5, // Template match score (0-1) below which a frame counts as a miss
+        MAX_MISSES: 3 // Consecutive misses before tracking is lost and a fresh scan is requested
     },
 
     // AR Settings
     AR: {
         BUTTON_POSITION: { x: 0, y: 0, z: -3 },
         BUTTON_SIZE: { width: 2, height: 0.8 },
-        REDIRECT_URL: 'https://fmf.mx/'
+        REDIRECT_URL: 'https://fmf.mx/', // AR button target for labels without their own url
+        MAX_DETECTIONS: 5, // Logos drawn at once; the rest are dropped by priority
+        PRIORITY: [] // Label names drawn first when the frame is crowded, most important first
     },
 
     // UI Settings
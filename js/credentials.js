@@ -0,0 +1,97 @@
+// Refreshing Credential Provider
+// Temporary Cognito credentials expire after about an hour, so kiosk and event sessions
+// that run for hours must re-fetch them from Amplify instead of baking in the first set.
+import { fetchAuthSession } from 'aws-amplify/auth';
+import { ReauthenticationRequiredError } from './detection-errors.js';
+
+class RefreshingCredentialProvider {
+    constructor({ fetchSession = fetchAuthSession, refreshWindow = 5 * 60 * 1000 } = {}) {
+        this.fetchSession = fetchSession;
+        this.refreshWindow = refreshWindow; // Refresh this long before expiry
+        this.credentials = null;
+        this.identityId = null;
+        this.pending = null;
+        this.refreshCount = 0;
+
+        // Bound so it can be handed straight to an SDK v3 client as `credentials`
+        this.provide = () => this.getCredentials();
+    }
+
+    isExpiring() {
+        if (!this.credentials) return true;
+        if (!this.credentials.expiration) return false;
+        return new Date(this.credentials.expiration).getTime() - Date.now() < this.refreshWindow;
+    }
+
+    async getCredentials({ forceRefresh = false } = {}) {
+        if (!forceRefresh && !this.isExpiring()) {
+            return this.credentials;
+        }
+
+        // Concurrent callers share one in-flight refresh
+        if (!this.pending) {
+            this.pending = this.fetch(forceRefresh || !!this.credentials)
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+
+        return this.pending;
+    }
+
+    async fetch(forceRefresh) {
+        let session;
+
+        try {
+            session = await this.fetchSession({ forceRefresh });
+        } catch (error) {
+            // Refresh token revoked or expired too: only a new sign-in helps now
+            if (this.credentials) {
+                throw new ReauthenticationRequiredError(error);
+            }
+            throw error;
+        }
+
+        if (!session.credentials) {
+            const error = new Error('No AWS credentials in the Amplify session');
+            throw this.credentials ? new ReauthenticationRequiredError(error) : error;
+        }
+
+        if (this.credentials) {
+            this.refreshCount++;
+            console.log('Refreshed AWS credentials from Amplify');
+        }
+
+        this.credentials = session.credentials;
+        this.identityId = session.identityId || null;
+        return this.credentials;
+    }
+
+    refresh() {
+        return this.getCredentials({ forceRefresh: true });
+    }
+
+    getExpiration() {
+        return this.credentials && this.credentials.expiration ? new Date(this.credentials.expiration) : null;
+    }
+}
+
+// ID token for the inference proxy; Amplify renews it from the refresh token as needed
+async function fetchIdToken({ forceRefresh = false, fetchSession = fetchAuthSession } = {}) {
+    let session;
+
+    try {
+        session = await fetchSession({ forceRefresh });
+    } catch (error) {
+        throw new ReauthenticationRequiredError(error);
+    }
+
+    const idToken = session.tokens && session.tokens.idToken;
+    if (!idToken) {
+        throw new ReauthenticationRequiredError();
+    }
+
+    return idToken;
+}
+
+export { RefreshingCredentialProvider, fetchIdToken };
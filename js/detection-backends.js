@@ -0,0 +1,335 @@
+// Detection Backends
+// Every backend exposes the same contract: detectCustomLabels(params) resolves to a
+// DetectCustomLabels-shaped response ({ CustomLabels: [...] }) or rejects with an
+// error carrying the AWS error code, so callers can't tell live and offline apart.
+import { toCustomLabel } from './detection-results.js';
+
+const DEFAULT_STATUS_CODES = {
+    ThrottlingException: 400,
+    ProvisionedThroughputExceededException: 400,
+    ResourceNotFoundException: 400,
+    AccessDeniedException: 400,
+    InternalServerError: 500,
+    ServiceUnavailableException: 503
+};
+
+// Mimic both SDK error shapes: v2 uses code/statusCode, v3 uses name/$metadata
+function createBackendError(code, message, statusCode) {
+    const error = new Error(message || code);
+    error.name = code;
+    error.code = code;
+    error.statusCode = statusCode || DEFAULT_STATUS_CODES[code] || 400;
+    error.$metadata = { httpStatusCode: error.statusCode };
+    return error;
+}
+
+class DetectionBackend {
+    constructor(name) {
+        this.name = name;
+        this.calls = 0;
+    }
+
+    async initialize() {
+        return true;
+    }
+
+    async detectCustomLabels(params) {
+        throw new Error(`${this.name} backend does not implement detectCustomLabels`);
+    }
+
+    // Offline backends report a running model; the live backend asks DescribeProjectVersions
+    async describeModel() {
+        return {
+            Status: 'RUNNING',
+            StatusMessage: `Offline ${this.name} backend`,
+            MinInferenceUnits: 0,
+            MaxInferenceUnits: 0
+        };
+    }
+
+    // Label names the model can return; used to populate the label settings UI
+    async listLabels() {
+        return [];
+    }
+
+    getName() {
+        return this.name;
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Live backend: forwards the request to whichever AWS SDK client the caller wires in
+class RekognitionBackend extends DetectionBackend {
+    constructor({ send, describe, listLabels }) {
+        super('rekognition');
+        this.send = send;
+        this.describe = describe;
+        this.list = listLabels;
+    }
+
+    async detectCustomLabels(params) {
+        this.calls++;
+        return this.send(params);
+    }
+
+    async describeModel() {
+        return this.describe();
+    }
+
+    async listLabels() {
+        return this.list();
+    }
+}
+
+// Proxy backend: POSTs frames to the inference proxy (server/handler.js), which keeps the
+// model ARN server-side and applies per-user quotas before calling DetectCustomLabels
+class ProxyBackend extends DetectionBackend {
+    constructor({ url, getToken }) {
+        super('proxy');
+        this.url = (url || '').replace(/\/$/, '');
+        this.getToken = getToken;
+    }
+
+    async detectCustomLabels(params) {
+        this.calls++;
+
+        const body = await this.request('/detect', {
+            method: 'POST',
+            body: JSON.stringify({
+                image: this.bytesToBase64(params.Image.Bytes),
+                minConfidence: params.MinConfidence
+            })
+        });
+
+        // The proxy answers with normalized detections; map them back onto the shared contract
+        return { CustomLabels: (body.detections || []).map(toCustomLabel) };
+    }
+
+    async describeModel() {
+        return this.request('/model', { method: 'GET' });
+    }
+
+    async listLabels() {
+        const body = await this.request('/labels', { method: 'GET' });
+        return body.labels || [];
+    }
+
+    async request(path, init, isRetry = false) {
+        const token = await this.getToken({ forceRefresh: isRetry });
+        let response;
+
+        try {
+            response = await fetch(`${this.url}${path}`, {
+                ...init,
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                }
+            });
+        } catch (error) {
+            throw createBackendError('NetworkingError', `Inference proxy unreachable: ${error.message}`, 0);
+        }
+
+        const body = await response.json().catch(() => ({}));
+
+        // Expired ID token: fetch a fresh one and try once more
+        if (response.status === 401 && !isRetry) {
+            return this.request(path, init, true);
+        }
+
+        if (!response.ok) {
+            const error = body.error || {};
+            const code = response.status === 401 ? 'ExpiredTokenException' : (error.code || `HTTP${response.status}`);
+            throw createBackendError(code, error.message || `Inference proxy returned HTTP ${response.status}`, response.status);
+        }
+
+        return body;
+    }
+
+    bytesToBase64(bytes) {
+        let binary = '';
+        const chunkSize = 0x8000; // Stay under the argument limit of String.fromCharCode
+
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+
+        return btoa(binary);
+    }
+}
+
+// Replays recorded DetectCustomLabels responses loaded from JSON files
+class FixtureBackend extends DetectionBackend {
+    constructor({ urls = [], responses = [], latency = 0, loop = true } = {}) {
+        super('fixture');
+        this.urls = urls;
+        this.responses = [...responses];
+        this.latency = latency;
+        this.loop = loop;
+        this.index = 0;
+    }
+
+    async initialize() {
+        for (const url of this.urls) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load fixture ${url}: HTTP ${response.status}`);
+            }
+
+            // A fixture file holds either one recorded response or a sequence of them
+            const recorded = await response.json();
+            this.responses.push(...(Array.isArray(recorded) ? recorded : [recorded]));
+        }
+
+        if (this.responses.length === 0) {
+            throw new Error('Fixture backend has no recorded responses to replay');
+        }
+
+        console.log(`Fixture backend loaded ${this.responses.length} recorded responses`);
+        return true;
+    }
+
+    async detectCustomLabels(params) {
+        this.calls++;
+
+        if (this.latency > 0) {
+            await this.delay(this.latency);
+        }
+
+        if (this.index >= this.responses.length) {
+            if (!this.loop) {
+                return { CustomLabels: [] };
+            }
+            this.index = 0;
+        }
+
+        return this.responses[this.index++];
+    }
+
+    async listLabels() {
+        const names = new Set();
+        this.responses.forEach(response => {
+            (response.CustomLabels || []).forEach(label => names.add(label.Name));
+        });
+        return [...names];
+    }
+}
+
+// Returns configurable detections, latencies and errors step by step
+class ScriptedBackend extends DetectionBackend {
+    constructor({ script = [], latency = 0, loop = true, modelStatuses = [] } = {}) {
+        super('scripted');
+        this.script = [...script];
+        this.latency = latency;
+        this.loop = loop;
+        this.index = 0;
+
+        // Model lifecycle to report, one entry per describe call; the last one sticks
+        this.modelStatuses = [...modelStatuses];
+        this.statusIndex = 0;
+    }
+
+    // Append a step at runtime, e.g. from the console: backend.push({ error: 'ThrottlingException' })
+    push(step) {
+        this.script.push(step);
+    }
+
+    async detectCustomLabels(params) {
+        this.calls++;
+
+        const step = this.nextStep();
+        const latency = step.latency !== undefined ? step.latency : this.latency;
+
+        if (latency > 0) {
+            await this.delay(latency);
+        }
+
+        if (step.error) {
+            throw createBackendError(step.error, step.message || `Scripted ${step.error}`, step.statusCode);
+        }
+
+        return {
+            CustomLabels: (step.detections || []).map(toCustomLabel) // Scripts use the app's 0-1 range
+        };
+    }
+
+    async describeModel() {
+        if (this.modelStatuses.length === 0) {
+            return super.describeModel();
+        }
+
+        const status = this.modelStatuses[Math.min(this.statusIndex++, this.modelStatuses.length - 1)];
+        return {
+            Status: status,
+            StatusMessage: `Scripted model status ${status}`,
+            MinInferenceUnits: 1,
+            MaxInferenceUnits: 1
+        };
+    }
+
+    async listLabels() {
+        const names = new Set();
+        this.script.forEach(step => {
+            (step.detections || []).forEach(detection => names.add(detection.name));
+        });
+        return [...names];
+    }
+
+    nextStep() {
+        if (this.script.length === 0) {
+            return {};
+        }
+
+        if (this.index >= this.script.length) {
+            if (!this.loop) {
+                return {};
+            }
+            this.index = 0;
+        }
+
+        return this.script[this.index++];
+    }
+}
+
+function createDetectionBackend(options = {}) {
+    switch (options.type) {
+        case 'rekognition':
+            return new RekognitionBackend({
+                send: options.send,
+                describe: options.describe,
+                listLabels: options.listLabels
+            });
+        case 'proxy':
+            return new ProxyBackend({ url: options.proxyUrl, getToken: options.getToken });
+        case 'fixture':
+            return new FixtureBackend({
+                urls: options.fixtures,
+                responses: options.responses,
+                latency: options.latency,
+                loop: options.loop
+            });
+        case 'scripted':
+            return new ScriptedBackend({
+                script: options.script,
+                latency: options.latency,
+                loop: options.loop,
+                modelStatuses: options.modelStatuses
+            });
+        default:
+            throw new Error(`Unknown detection backend: ${options.type}`);
+    }
+}
+
+// Export for global use
+window.createDetectionBackend = createDetectionBackend;
+export {
+    DetectionBackend,
+    RekognitionBackend,
+    ProxyBackend,
+    FixtureBackend,
+    ScriptedBackend,
+    createDetectionBackend
+};
@@ -0,0 +1,583 @@
+// Shared Detection Core (AWS SDK v3)
+// Framework-agnostic: owns request building, result normalization, caching, retries
+// and stats for both the vanilla LogoApp and the React ARLogoDetection component.
+import { RekognitionClient, DetectCustomLabelsCommand } from '@aws-sdk/client-rekognition';
+import { createDetectionBackend } from './detection-backends.js';
+import { PerceptualCache } from './frame-cache.js';
+import { ImagePreprocessor, mapBoundingBox } from './image-preprocessor.js';
+import { normalizeCustomLabels } from './detection-results.js';
+import { describeProjectVersion, listProjectLabels } from './project-versions.js';
+import { LabelSettings } from './label-settings.js';
+import { BudgetManager } from './budget.js';
+import { RefreshingCredentialProvider, fetchIdToken } from './credentials.js';
+import { computeBackoff, CircuitBreaker, CIRCUIT_STATES } from './resilience.js';
+import {
+    BudgetExceededError,
+    CircuitOpenError,
+    ModelNotRunningError,
+    ReauthenticationRequiredError,
+    isExpiredCredentialsError,
+    isRetryableError,
+    toDetectionError
+} from './detection-errors.js';
+
+const DEFAULT_OPTIONS = {
+    region: 'us-east-1',
+    modelArn: null,
+    projectArn: null, // Looked up from the project name in modelArn when not set
+    modelPollInterval: 15000, // How often to re-check a STARTING model
+    modelStartTimeout: 20 * 60 * 1000, // Custom Labels models can take several minutes to start
+    confidenceThreshold: 0.8, // Default for labels without their own minConfidence
+    labels: {}, // Per-label { minConfidence, enabled, displayName }, keyed by label name
+    maxRetries: 3,
+    retryBaseDelay: 500, // Backoff ceiling doubles per attempt: 0.5s, 1s, 2s...
+    retryMaxDelay: 8000,
+    circuitFailureThreshold: 5, // Consecutive failed calls before scanning pauses
+    circuitCooldown: 30000, // First half-open probe after 30s, doubling while probes fail
+    circuitMaxCooldown: 300000,
+    cacheDuration: 5000,
+    emptyCacheDuration: null, // For frames without detections; null uses cacheDuration
+    maxCacheSize: 50,
+    cacheTolerance: 6, // Hamming distance between frame hashes still treated as the same frame
+    preprocessing: {}, // ImagePreprocessor options: maxEdge, targetBytes, quality, minQuality...
+    backend: {
+        type: 'rekognition'
+    },
+    budget: null // BudgetManager options; no budget enforcement when null
+};
+
+class DetectionCore {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            backend: { ...DEFAULT_OPTIONS.backend, ...options.backend },
+            preprocessing: { ...DEFAULT_OPTIONS.preprocessing, ...options.preprocessing }
+        };
+
+        this.client = null;
+        this.credentialProvider = null;
+        this.backend = null;
+        this.isInitialized = false;
+        this.modelArn = this.options.modelArn;
+        this.confidenceThreshold = this.options.confidenceThreshold;
+        this.maxRetries = this.options.maxRetries;
+
+        // Custom Labels model lifecycle
+        this.modelStatus = {
+            status: 'UNKNOWN',
+            statusMessage: null,
+            minInferenceUnits: null,
+            maxInferenceUnits: null,
+            f1Score: null,
+            checkedAt: null
+        };
+        this.modelStatusListeners = new Set();
+        this.modelPollTimer = null;
+
+        // Statistics
+        this.stats = {
+            apiCalls: 0,
+            detections: 0,
+            errors: 0,
+            retries: 0,
+            avgConfidence: 0,
+            bytesSent: 0,
+            lastBytesSent: 0
+        };
+
+        // Pauses scanning after repeated service failures
+        this.circuitBreaker = new CircuitBreaker({
+            failureThreshold: this.options.circuitFailureThreshold,
+            cooldown: this.options.circuitCooldown,
+            maxCooldown: this.options.circuitMaxCooldown,
+            probeWait: this.options.retryBaseDelay
+        });
+
+        // Spend tracking and hard caps
+        this.budget = this.options.budget ? new BudgetManager(this.options.budget) : null;
+
+        // Detection cache keyed on frame content
+        this.detectionCache = new PerceptualCache({
+            ttl: this.options.cacheDuration,
+            maxSize: this.options.maxCacheSize,
+            tolerance: this.options.cacheTolerance
+        });
+
+        // Downscales and encodes canvas/video frames for upload
+        this.defaultPreprocessor = new ImagePreprocessor(this.options.preprocessing);
+        this.preprocessor = this.defaultPreprocessor;
+
+        // Per-label thresholds; cached results were filtered with the old settings
+        this.labelSettings = new LabelSettings({ labels: this.options.labels });
+        this.labelSettings.onSettingsChange(() => this.clearCache());
+    }
+
+    async initialize() {
+        const backendOptions = this.options.backend;
+
+        try {
+            if (backendOptions.type === 'rekognition') {
+                this.client = await this.createClient();
+            } else if (backendOptions.type === 'proxy') {
+                // The proxy authenticates with the Cognito ID token; budget caps follow its subject
+                const idToken = await fetchIdToken();
+                if (this.budget) {
+                    this.budget.setUser(idToken.payload.sub);
+                }
+            }
+
+            const backend = createDetectionBackend({
+                ...backendOptions,
+                send: params => this.client.send(new DetectCustomLabelsCommand(params)),
+                describe: () => this.describeProjectVersion(),
+                listLabels: () => listProjectLabels(this.client, { modelArn: this.modelArn }),
+                getToken: async ({ forceRefresh }) => (await fetchIdToken({ forceRefresh })).toString()
+            });
+            await this.setBackend(backend);
+
+            // Find out whether the model can serve requests before anyone starts scanning
+            await this.refreshModelStatus();
+            if (this.modelStatus.status === 'STARTING') {
+                this.startModelPolling();
+            }
+
+            await this.refreshLabels();
+
+            console.log(`Detection core initialized with ${this.backend.getName()} backend`);
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize detection core:', error);
+            if (backendOptions.type !== 'rekognition') {
+                throw new Error(`${backendOptions.type} backend initialization failed: ${error.message}`);
+            }
+            throw new Error('AWS Rekognition initialization failed. Please check your Amplify configuration.');
+        }
+    }
+
+    async createClient() {
+        // Credentials come from Amplify Auth and are re-fetched before they expire
+        this.credentialProvider = new RefreshingCredentialProvider();
+        await this.credentialProvider.getCredentials();
+
+        // Budget caps are per Cognito identity
+        if (this.budget) {
+            this.budget.setUser(this.credentialProvider.identityId);
+        }
+
+        return new RekognitionClient({
+            region: this.options.region,
+            credentials: this.credentialProvider.provide
+        });
+    }
+
+    // Force a credential refresh after the service rejected an expired token
+    async refreshCredentials() {
+        try {
+            await this.credentialProvider.refresh();
+        } catch (error) {
+            console.error('Credential refresh failed:', error);
+            throw error instanceof ReauthenticationRequiredError ? error : new ReauthenticationRequiredError(error);
+        }
+    }
+
+    async setBackend(backend) {
+        await backend.initialize();
+        this.backend = backend;
+        this.isInitialized = true;
+        this.clearCache();
+    }
+
+    getBackend() {
+        return this.backend;
+    }
+
+    async describeProjectVersion() {
+        const { description, projectArn } = await describeProjectVersion(this.client, {
+            modelArn: this.modelArn,
+            projectArn: this.options.projectArn
+        });
+
+        this.options.projectArn = projectArn;
+        return description;
+    }
+
+    async refreshModelStatus() {
+        let status;
+
+        try {
+            const description = await this.backend.describeModel();
+            status = this.processModelDescription(description);
+        } catch (error) {
+            // Missing DescribeProjectVersions permission shouldn't block detection outright
+            console.warn('Could not describe Custom Labels model:', error);
+            status = {
+                ...this.modelStatus,
+                status: 'UNKNOWN',
+                statusMessage: error.message,
+                checkedAt: Date.now()
+            };
+        }
+
+        this.setModelStatus(status);
+        return this.modelStatus;
+    }
+
+    // Custom Labels versions have no model-wide confidence threshold: when MinConfidence is
+    // omitted, each label's assumed threshold from the evaluation applies
+    processModelDescription(description) {
+        return {
+            status: description.Status || 'UNKNOWN',
+            statusMessage: description.StatusMessage || null,
+            minInferenceUnits: description.MinInferenceUnits !== undefined ? description.MinInferenceUnits : null,
+            maxInferenceUnits: description.MaxInferenceUnits !== undefined ? description.MaxInferenceUnits : null,
+            f1Score: description.EvaluationResult && description.EvaluationResult.F1Score !== undefined ?
+                description.EvaluationResult.F1Score : null,
+            checkedAt: Date.now()
+        };
+    }
+
+    setModelStatus(status) {
+        const previous = this.modelStatus.status;
+        this.modelStatus = status;
+
+        if (previous !== status.status) {
+            console.log(`Custom Labels model status: ${previous} -> ${status.status}`);
+        }
+
+        this.modelStatusListeners.forEach(listener => listener(this.modelStatus));
+    }
+
+    onModelStatusChange(listener) {
+        this.modelStatusListeners.add(listener);
+        return () => this.modelStatusListeners.delete(listener);
+    }
+
+    getModelStatus() {
+        return this.modelStatus;
+    }
+
+    // UNKNOWN is allowed through: we could not check, so let DetectCustomLabels decide
+    isModelUsable() {
+        return this.modelStatus.status === 'RUNNING' || this.modelStatus.status === 'UNKNOWN';
+    }
+
+    startModelPolling() {
+        if (this.modelPollTimer) return;
+
+        const poll = async () => {
+            await this.refreshModelStatus();
+
+            if (this.modelStatus.status === 'STARTING') {
+                this.modelPollTimer = setTimeout(poll, this.options.modelPollInterval);
+            } else {
+                this.modelPollTimer = null;
+            }
+        };
+
+        this.modelPollTimer = setTimeout(poll, this.options.modelPollInterval);
+    }
+
+    stopModelPolling() {
+        if (this.modelPollTimer) {
+            clearTimeout(this.modelPollTimer);
+            this.modelPollTimer = null;
+        }
+    }
+
+    // Resolves once the model is usable; polls while it is STARTING
+    async waitForModel() {
+        const deadline = Date.now() + this.options.modelStartTimeout;
+
+        await this.refreshModelStatus();
+
+        while (this.modelStatus.status === 'STARTING') {
+            if (Date.now() >= deadline) {
+                throw new Error('Timed out waiting for the Custom Labels model to start');
+            }
+            await this.delay(this.options.modelPollInterval);
+            await this.refreshModelStatus();
+        }
+
+        if (!this.isModelUsable()) {
+            throw new Error(`Custom Labels model is ${this.modelStatus.status}` +
+                (this.modelStatus.statusMessage ? `: ${this.modelStatus.statusMessage}` : ''));
+        }
+
+        return this.modelStatus;
+    }
+
+    // Make the model's labels known to the settings UI before any of them is detected
+    async refreshLabels() {
+        try {
+            this.labelSettings.addKnownLabels(await this.backend.listLabels());
+        } catch (error) {
+            // Labels still show up in the settings as they get detected
+            console.warn('Could not list Custom Labels model labels:', error);
+        }
+    }
+
+    buildRequest(imageBytes) {
+        return {
+            Image: {
+                Bytes: imageBytes
+            },
+            ProjectVersionArn: this.modelArn,
+            // Low enough for every enabled label's own threshold; AWS expects 0-100 range
+            MinConfidence: this.labelSettings.getMinimumConfidence(this.confidenceThreshold) * 100
+        };
+    }
+
+    // Accepts a canvas/video frame (preferred: downscaled and encoded only on a cache miss),
+    // a JPEG data URL or encoded image bytes. Pass the frame's imageData to enable the
+    // perceptual cache; without it every call goes to the backend. A region crops frame
+    // sources before upload; returned boxes are always in full-frame coordinates. region can
+    // also be a function returning it, called only for frames that are really uploaded, so a
+    // ROI planner's scan count skips cache hits. captureScale (0-1, the performance tier's)
+    // shrinks frame sources below MAX_IMAGE_EDGE.
+    async detectLogo(image, { imageData = null, region = null, captureScale = 1 } = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Detection core not initialized');
+        }
+
+        // Check cache first
+        const frameHash = imageData ? this.detectionCache.computeHash(imageData) : null;
+        if (frameHash) {
+            const cachedResult = this.detectionCache.get(frameHash);
+            if (cachedResult) {
+                return cachedResult;
+            }
+        }
+
+        // Don't encode a frame that can't be sent yet: the circuit is cooling down or its
+        // half-open probe is still out
+        const retryAfter = this.circuitBreaker.getRetryAfter();
+        if (retryAfter > 0) {
+            throw new CircuitOpenError(retryAfter);
+        }
+
+        let frame = null;
+        if (this.isFrameSource(image)) {
+            frame = await this.preprocessor.process(image, {
+                region: typeof region === 'function' ? region() : region,
+                captureScale
+            });
+        }
+
+        let imageBytes = image;
+        if (frame) {
+            imageBytes = frame.bytes;
+        } else if (typeof image === 'string') {
+            imageBytes = this.dataUrlToBytes(image);
+        }
+        const params = this.buildRequest(imageBytes);
+        let result;
+
+        // Scanning is paused while the circuit is open; half-open lets a single probe through.
+        // Claimed only once the request is built, so a bad image can't leave the probe taken
+        if (!this.circuitBreaker.canRequest()) {
+            throw new CircuitOpenError(this.circuitBreaker.getRetryAfter());
+        }
+
+        try {
+            result = await this.callWithRetries(params);
+        } catch (error) {
+            const detectionError = toDetectionError(error);
+
+            // Only service-side trouble counts against the circuit; bad input, a stopped
+            // model, expired credentials or our own budget cap say nothing about Rekognition's health
+            if (detectionError.retryable) {
+                this.circuitBreaker.recordFailure();
+            } else {
+                this.circuitBreaker.releaseProbe();
+            }
+
+            if (detectionError instanceof ModelNotRunningError) {
+                await this.handleModelNotRunning();
+            }
+
+            throw detectionError;
+        }
+
+        this.circuitBreaker.recordSuccess();
+
+        // Process results, mapping boxes from the uploaded (cropped, downscaled) image back onto the full frame
+        const detections = this.processDetectionResults(result);
+        if (frame) {
+            detections.forEach(detection => {
+                if (detection.boundingBox) {
+                    detection.boundingBox = mapBoundingBox(detection.boundingBox, frame);
+                }
+            });
+        }
+
+        // Empty results too: an unchanged scene without a logo is the most common frame
+        if (frameHash) {
+            const { cacheDuration, emptyCacheDuration } = this.options;
+            const ttl = detections.length === 0 && emptyCacheDuration !== null ? emptyCacheDuration : cacheDuration;
+            this.detectionCache.set(frameHash, detections, ttl);
+        }
+
+        if (detections.length > 0) {
+            this.stats.detections++;
+
+            // Update average confidence
+            const totalConfidence = detections.reduce((sum, det) => sum + det.confidence, 0);
+            this.stats.avgConfidence = totalConfidence / detections.length;
+        }
+
+        return detections;
+    }
+
+    // Retries transient failures with jittered exponential backoff
+    async callWithRetries(params) {
+        // A half-open probe is a single call; retrying it would hammer a struggling service
+        const maxRetries = this.circuitBreaker.state === CIRCUIT_STATES.HALF_OPEN ? 0 : this.maxRetries;
+        let refreshedCredentials = false;
+
+        for (let attempt = 0; ; attempt++) {
+            // Cache hits are free; everything past this point is billed
+            if (this.budget) {
+                const decision = this.budget.checkCall();
+                if (!decision.allowed) {
+                    throw new BudgetExceededError(decision.reason);
+                }
+                if (decision.delay > 0) {
+                    console.log(`Budget cap reached, slowing down: ${decision.reason}`);
+                    await this.delay(decision.delay);
+                }
+            }
+
+            this.stats.apiCalls++;
+            this.stats.lastBytesSent = params.Image.Bytes.length;
+            this.stats.bytesSent += params.Image.Bytes.length;
+
+            try {
+                // Call Rekognition Custom Labels (or the configured offline backend)
+                const result = await this.backend.detectCustomLabels(params);
+
+                if (this.budget) {
+                    this.budget.recordCall();
+                }
+
+                return result;
+            } catch (error) {
+                console.error('Rekognition detection error:', error);
+                this.stats.errors++;
+
+                // Expired token: refresh once and repeat the call without spending a retry
+                if (isExpiredCredentialsError(error) && this.credentialProvider && !refreshedCredentials) {
+                    refreshedCredentials = true;
+                    await this.refreshCredentials();
+                    attempt--;
+                    continue;
+                }
+
+                if (attempt >= maxRetries || !isRetryableError(error)) {
+                    throw error;
+                }
+
+                const delay = computeBackoff(attempt, {
+                    baseDelay: this.options.retryBaseDelay,
+                    maxDelay: this.options.retryMaxDelay
+                });
+                this.stats.retries++;
+                console.log(`Retrying detection (${attempt + 1}/${maxRetries}) in ${delay}ms`);
+                await this.delay(delay);
+            }
+        }
+    }
+
+    // A stopped model fails every frame; re-check so callers see it isn't usable
+    async handleModelNotRunning() {
+        await this.refreshModelStatus();
+        if (this.modelStatus.status === 'UNKNOWN') {
+            this.setModelStatus({
+                ...this.modelStatus,
+                status: 'STOPPED',
+                statusMessage: 'DetectCustomLabels reports the model is not running'
+            });
+        }
+    }
+
+    // Swap in another encoder with the ImagePreprocessor contract (e.g. FrameAnalyzer, which
+    // encodes in a worker); null restores the main-thread one
+    setPreprocessor(preprocessor) {
+        this.preprocessor = preprocessor || this.defaultPreprocessor;
+    }
+
+    isFrameSource(image) {
+        return typeof image !== 'string' && !(image instanceof Uint8Array);
+    }
+
+    processDetectionResults(result) {
+        return this.labelSettings.apply(normalizeCustomLabels(result), this.confidenceThreshold);
+    }
+
+    dataUrlToBytes(dataUrl) {
+        // Remove data URL prefix
+        const base64Data = dataUrl.replace(/^data:image\/[a-z]+;base64,/, '');
+
+        // Convert base64 to binary
+        const binaryString = atob(base64Data);
+        const bytes = new Uint8Array(binaryString.length);
+
+        for (let i = 0; i < binaryString.length; i++) {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+
+        return bytes;
+    }
+
+    setConfidenceThreshold(threshold) {
+        this.confidenceThreshold = Math.max(0, Math.min(1, threshold));
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            ...this.detectionCache.getStats(),
+            ...this.preprocessor.getStats(),
+            avgBytesPerCall: this.stats.apiCalls > 0 ? Math.round(this.stats.bytesSent / this.stats.apiCalls) : 0,
+            backend: this.backend ? this.backend.getName() : null,
+            modelStatus: this.modelStatus.status,
+            credentialRefreshes: this.credentialProvider ? this.credentialProvider.refreshCount : 0,
+            ...this.circuitBreaker.getStats(),
+            budget: this.budget ? this.budget.getStats() : null,
+            successRate: this.stats.apiCalls > 0 ?
+                ((this.stats.apiCalls - this.stats.errors) / this.stats.apiCalls * 100).toFixed(1) : 0
+        };
+    }
+
+    clearCache() {
+        this.detectionCache.clear();
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    reset() {
+        this.stats = {
+            apiCalls: 0,
+            detections: 0,
+            errors: 0,
+            retries: 0,
+            avgConfidence: 0,
+            bytesSent: 0,
+            lastBytesSent: 0
+        };
+        this.detectionCache.reset();
+        this.preprocessor.reset();
+        this.circuitBreaker.reset();
+    }
+
+    destroy() {
+        this.stopModelPolling();
+        this.modelStatusListeners.clear();
+        this.labelSettings.listeners.clear();
+        this.labelSettings.settingsListeners.clear();
+    }
+}
+
+export { DetectionCore };
@@ -0,0 +1,146 @@
+// Typed Detection Errors
+// Friendly messages for the UI, while `code` keeps the original AWS error code so
+// callers can branch on it (error.message used to be the only thing that survived).
+
+class DetectionError extends Error {
+    constructor(message, { code = 'DetectionError', statusCode = null, retryable = false, cause = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.statusCode = statusCode;
+        this.retryable = retryable;
+        this.cause = cause;
+    }
+}
+
+class ThrottlingError extends DetectionError {}
+
+class ServiceUnavailableError extends DetectionError {}
+
+class ModelNotRunningError extends DetectionError {}
+
+class AccessDeniedError extends DetectionError {}
+
+class InvalidRequestError extends DetectionError {}
+
+class ReauthenticationRequiredError extends DetectionError {
+    constructor(cause = null) {
+        super('Your session has expired. Please sign in again', {
+            code: 'ReauthenticationRequired',
+            cause
+        });
+    }
+}
+
+class BudgetExceededError extends DetectionError {
+    constructor(reason) {
+        super(`API budget exceeded: ${reason}`, { code: 'BudgetExceeded' });
+        this.reason = reason;
+    }
+}
+
+class CircuitOpenError extends DetectionError {
+    constructor(retryAfter) {
+        super('Detection service degraded. Scanning paused, retrying automatically', {
+            code: 'CircuitOpen'
+        });
+        this.retryAfter = retryAfter;
+    }
+}
+
+const EXPIRED_CREDENTIAL_CODES = [
+    'ExpiredTokenException',
+    'ExpiredToken',
+    'TokenRefreshRequired'
+];
+
+const RETRYABLE_CODES = [
+    'ThrottlingException',
+    'ProvisionedThroughputExceededException',
+    'InternalServerError',
+    'ServiceUnavailableException',
+    'RequestTimeout',
+    'TimeoutError',
+    'NetworkingError'
+];
+
+function getErrorCode(error) {
+    // SDK v3 reports the AWS code as error.name; offline backends also set error.code
+    return error.code || error.name;
+}
+
+function getStatusCode(error) {
+    return error.$metadata ? error.$metadata.httpStatusCode : error.statusCode;
+}
+
+function isExpiredCredentialsError(error) {
+    return EXPIRED_CREDENTIAL_CODES.includes(getErrorCode(error));
+}
+
+function isRetryableError(error) {
+    if (error instanceof DetectionError) {
+        return error.retryable;
+    }
+
+    const statusCode = getStatusCode(error);
+    return RETRYABLE_CODES.includes(getErrorCode(error)) || statusCode >= 500;
+}
+
+// Wrap a raw SDK/backend error in the matching typed error
+function toDetectionError(error) {
+    if (error instanceof DetectionError) {
+        return error;
+    }
+
+    const code = getErrorCode(error);
+    const details = {
+        code,
+        statusCode: getStatusCode(error) || null,
+        retryable: isRetryableError(error),
+        cause: error
+    };
+
+    switch (code) {
+        case 'ThrottlingException':
+        case 'ProvisionedThroughputExceededException':
+            return new ThrottlingError('Too many requests. Please wait and try again', details);
+        case 'InternalServerError':
+        case 'ServiceUnavailableException':
+            return new ServiceUnavailableError('AWS service error. Please try again', details);
+        case 'ResourceNotFoundException':
+            return new ModelNotRunningError('Custom Labels model not found or not running', details);
+        case 'ExpiredTokenException':
+        case 'ExpiredToken':
+        case 'TokenRefreshRequired':
+            return new ReauthenticationRequiredError(error);
+        case 'AccessDeniedException':
+            return new AccessDeniedError('Access denied. Check AWS credentials and permissions', details);
+        case 'InvalidParameterException':
+        case 'InvalidImageFormatException':
+        case 'ImageTooLargeException':
+            return new InvalidRequestError('Invalid image format or parameters', details);
+        case 'LimitExceededException':
+            return new ThrottlingError('Service limit exceeded', details);
+        case 'QuotaExceeded':
+            // Per-user quota enforced by the inference proxy
+            return new BudgetExceededError(error.message);
+        default:
+            return new DetectionError(`AWS Error: ${error.message || code}`, details);
+    }
+}
+
+export {
+    DetectionError,
+    ThrottlingError,
+    ServiceUnavailableError,
+    ModelNotRunningError,
+    AccessDeniedError,
+    InvalidRequestError,
+    ReauthenticationRequiredError,
+    BudgetExceededError,
+    CircuitOpenError,
+    getErrorCode,
+    isExpiredCredentialsError,
+    isRetryableError,
+    toDetectionError
+};
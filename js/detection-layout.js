@@ -0,0 +1,102 @@
+// Detection Layout
+// Decides what the overlay draws when several logos are in frame: at most maxCount
+// detections, picked by priority (labels listed in `priority` first, in that order, then
+// everything else by confidence), each in its label's color, with the label tags moved
+// apart so they never cover one another. Used by AROverlay and the React component.
+
+// Tailwind 500 shades; a label keeps its color across frames and sessions
+const DEFAULT_COLORS = ['#4F46E5', '#10B981', '#F59E0B', '#EF4444', '#06B6D4', '#EC4899', '#84CC16', '#F97316'];
+
+const DEFAULT_OPTIONS = {
+    maxCount: 5, // Crowded frames draw only the top detections
+    priority: [], // Label names, most important first
+    colors: DEFAULT_COLORS,
+    labelHeight: 25,
+    labelPadding: 5 // Horizontal text padding inside a tag
+};
+
+function overlaps(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+class DetectionLayout {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // The detections worth drawing, most important first
+    select(detections) {
+        const { priority, maxCount } = this.options;
+        const rank = (detection) => {
+            const index = priority.indexOf(detection.name);
+            return index === -1 ? priority.length : index;
+        };
+
+        return [...(detections || [])]
+            .sort((a, b) => rank(a) - rank(b) || b.confidence - a.confidence)
+            .slice(0, maxCount);
+    }
+
+    // The label's own color (label settings) or a fixed palette entry derived from its name
+    colorFor(detection) {
+        if (detection.color) {
+            return detection.color;
+        }
+
+        const { colors } = this.options;
+        let hash = 0;
+        for (let i = 0; i < detection.name.length; i++) {
+            hash = (hash * 31 + detection.name.charCodeAt(i)) >>> 0;
+        }
+        return colors[hash % colors.length];
+    }
+
+    formatLabel(detection) {
+        return `${detection.displayName || detection.name} (${Math.round(detection.confidence * 100)}%)`;
+    }
+
+    // Boxes and tags in canvas pixels for already-selected detections. measureText(text)
+    // returns the rendered text width; getLabel(detection, index) the tag text.
+    // Returns [{ detection, color, box: { x, y, width, height }, label: { text, x, y, width, height } }]
+    layout(detections, { width, height, measureText, getLabel = (detection) => this.formatLabel(detection) }) {
+        const { labelHeight, labelPadding } = this.options;
+        const placed = [];
+
+        return detections.filter(detection => detection.boundingBox).map((detection, index) => {
+            const { left, top, width: boxWidth, height: boxHeight } = detection.boundingBox;
+            const box = {
+                x: left * width,
+                y: top * height,
+                width: boxWidth * width,
+                height: boxHeight * height
+            };
+
+            const text = getLabel(detection, index);
+            const label = {
+                text,
+                x: Math.max(0, Math.min(box.x, width - measureText(text) - labelPadding * 2)),
+                y: 0,
+                width: measureText(text) + labelPadding * 2,
+                height: labelHeight
+            };
+
+            // Preferred spot is just above the box, then just below it; otherwise step
+            // downwards from the top of the box until the tag is clear of the others
+            const candidates = [box.y - labelHeight, box.y + box.height];
+            for (let y = box.y; y < height; y += labelHeight) {
+                candidates.push(y);
+            }
+            const fits = (y) => y >= 0 && y + labelHeight <= height &&
+                !placed.some(other => overlaps({ ...label, y }, other));
+            const y = candidates.find(fits);
+            label.y = y !== undefined ? y : Math.max(0, box.y - labelHeight);
+
+            placed.push(label);
+            return { detection, color: this.colorFor(detection), box, label };
+        });
+    }
+}
+
+// Export for global use
+window.DetectionLayout = DetectionLayout;
+export { DetectionLayout, DEFAULT_COLORS };
@@ -0,0 +1,44 @@
+// Detection Result Normalization
+// Pure functions shared by the browser detection core and the inference proxy server,
+// so both speak the same detection shape: { name, confidence (0-1), boundingBox, timestamp }.
+
+function normalizeCustomLabels(result) {
+    if (!result || !result.CustomLabels || result.CustomLabels.length === 0) {
+        return [];
+    }
+
+    return result.CustomLabels.map(label => ({
+        name: label.Name,
+        confidence: label.Confidence / 100, // Convert to 0-1 range
+        boundingBox: label.Geometry && label.Geometry.BoundingBox ? {
+            left: label.Geometry.BoundingBox.Left,
+            top: label.Geometry.BoundingBox.Top,
+            width: label.Geometry.BoundingBox.Width,
+            height: label.Geometry.BoundingBox.Height
+        } : null,
+        timestamp: Date.now()
+    }));
+}
+
+// Inverse of normalizeCustomLabels, for backends that produce normalized detections
+function toCustomLabel(detection) {
+    const label = {
+        Name: detection.name,
+        Confidence: detection.confidence * 100
+    };
+
+    if (detection.boundingBox) {
+        label.Geometry = {
+            BoundingBox: {
+                Left: detection.boundingBox.left,
+                Top: detection.boundingBox.top,
+                Width: detection.boundingBox.width,
+                Height: detection.boundingBox.height
+            }
+        };
+    }
+
+    return label;
+}
+
+export { normalizeCustomLabels, toCustomLabel };
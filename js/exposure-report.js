@@ -0,0 +1,210 @@
+// Exposure Report
+// Turns detections sampled along a recorded video into sponsor exposure per label: seconds
+// on screen, share of the frame covered by the logo's boundingBox, the longest continuous
+// exposure and confidence per segment. A sample stands for the interval until the next one,
+// so totals are accurate to one sample interval. Exports as JSON and CSV.
+
+const CSV_COLUMNS = [
+    'type',
+    'label',
+    'display_name',
+    'start',
+    'end',
+    'duration',
+    'on_screen_seconds',
+    'share_of_duration',
+    'longest_exposure',
+    'average_area_share',
+    'max_area_share',
+    'average_confidence',
+    'min_confidence',
+    'max_confidence'
+];
+
+function round(value, digits = 3) {
+    return Number(value.toFixed(digits));
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ExposureTimeline {
+    // sampleInterval: seconds between samples; source: { name, duration, width, height } for the report
+    constructor({ sampleInterval = 1, source = {} } = {}) {
+        this.sampleInterval = sampleInterval;
+        this.source = source;
+        this.samples = []; // { time, labels: Map(name -> { displayName, confidence, area }) }
+
+        this.stats = {
+            detected: 0, // Samples sent to detectLogo (cache hits included)
+            carried: 0, // Unchanged frames that reused the previous sample's detections
+            errors: 0,
+            skipped: {} // Gating reason -> samples without a detection call
+        };
+    }
+
+    // detections: as returned by detectLogo; carried marks detections reused from the last sample
+    addSample(time, detections, { carried = false } = {}) {
+        const labels = new Map();
+
+        detections.forEach(detection => {
+            const entry = labels.get(detection.name) || {
+                displayName: detection.displayName || detection.name,
+                confidence: 0,
+                area: 0
+            };
+            const box = detection.boundingBox;
+
+            // Several boxes of one label add up; the frame can't be covered more than once
+            entry.confidence = Math.max(entry.confidence, detection.confidence);
+            entry.area = Math.min(1, entry.area + (box ? box.width * box.height : 0));
+            labels.set(detection.name, entry);
+        });
+
+        this.samples.push({ time, labels });
+        if (carried) {
+            this.stats.carried++;
+        } else {
+            this.stats.detected++;
+        }
+    }
+
+    // A sample that wasn't sent for detection and has nothing to carry over
+    addSkipped(time, reason) {
+        this.samples.push({ time, labels: new Map() });
+        this.stats.skipped[reason] = (this.stats.skipped[reason] || 0) + 1;
+    }
+
+    addError(time) {
+        this.samples.push({ time, labels: new Map() });
+        this.stats.errors++;
+    }
+
+    // Detections of the latest sample, for carrying over to an unchanged frame
+    getLastDetections() {
+        const last = this.samples[this.samples.length - 1];
+        if (!last) {
+            return [];
+        }
+
+        return [...last.labels.entries()].map(([name, entry]) => ({
+            name,
+            displayName: entry.displayName,
+            confidence: entry.confidence,
+            // The summed area is all that's kept; one box of that size is equivalent here
+            boundingBox: { left: 0, top: 0, width: Math.sqrt(entry.area), height: Math.sqrt(entry.area) }
+        }));
+    }
+
+    buildReport() {
+        const duration = this.source.duration || (this.samples.length * this.sampleInterval);
+        const names = new Set();
+        this.samples.forEach(sample => sample.labels.forEach((entry, name) => names.add(name)));
+
+        const labels = [...names].map(name => this.buildLabel(name, duration))
+            .sort((a, b) => b.onScreenSeconds - a.onScreenSeconds);
+
+        return {
+            source: {
+                ...this.source,
+                duration: round(duration),
+                sampleInterval: this.sampleInterval,
+                samples: this.samples.length
+            },
+            generatedAt: new Date().toISOString(),
+            samples: {
+                detected: this.stats.detected,
+                carried: this.stats.carried,
+                errors: this.stats.errors,
+                skipped: { ...this.stats.skipped }
+            },
+            labels
+        };
+    }
+
+    buildLabel(name, duration) {
+        const segments = [];
+        let current = null;
+        let displayName = name;
+
+        this.samples.forEach(sample => {
+            const entry = sample.labels.get(name);
+            if (!entry) {
+                current = null;
+                return;
+            }
+
+            displayName = entry.displayName;
+            const end = Math.min(duration, sample.time + this.sampleInterval);
+            if (!current) {
+                current = { start: sample.time, end, confidences: [], areas: [] };
+                segments.push(current);
+            }
+            current.end = end;
+            current.confidences.push(entry.confidence);
+            current.areas.push(entry.area);
+        });
+
+        const visible = segments.flatMap(segment => segment.areas);
+        const onScreenSeconds = segments.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+
+        return {
+            label: name,
+            displayName,
+            onScreenSeconds: round(onScreenSeconds),
+            shareOfDuration: duration > 0 ? round(onScreenSeconds / duration) : 0,
+            longestExposure: round(Math.max(0, ...segments.map(segment => segment.end - segment.start))),
+            averageAreaShare: round(average(visible), 4),
+            maxAreaShare: round(Math.max(0, ...visible), 4),
+            segments: segments.map(segment => ({
+                start: round(segment.start),
+                end: round(segment.end),
+                duration: round(segment.end - segment.start),
+                averageConfidence: round(average(segment.confidences)),
+                minConfidence: round(Math.min(...segment.confidences)),
+                maxConfidence: round(Math.max(...segment.confidences)),
+                averageAreaShare: round(average(segment.areas), 4)
+            }))
+        };
+    }
+}
+
+// One "summary" row per label, then one "segment" row per continuous exposure
+function reportToCsv(report) {
+    const rows = [CSV_COLUMNS];
+
+    report.labels.forEach(label => {
+        rows.push([
+            'summary', label.label, label.displayName, '', '', '',
+            label.onScreenSeconds, label.shareOfDuration, label.longestExposure,
+            label.averageAreaShare, label.maxAreaShare, '', '', ''
+        ]);
+
+        label.segments.forEach(segment => {
+            rows.push([
+                'segment', label.label, label.displayName, segment.start, segment.end, segment.duration,
+                '', '', '', segment.averageAreaShare, '',
+                segment.averageConfidence, segment.minConfidence, segment.maxConfidence
+            ]);
+        });
+    });
+
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+function reportToJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+// Export for global use
+window.ExposureTimeline = ExposureTimeline;
+export { ExposureTimeline, reportToCsv, reportToJson };
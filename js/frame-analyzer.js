@@ -0,0 +1,190 @@
+// Frame Analyzer
+// Moves per-frame motion/quality analysis and upload encoding off the main thread: the
+// video frame is grabbed as an ImageBitmap and transferred to js/frame-worker.js, which
+// returns the scores SmartDetection needs plus a downscaled copy for the tracker and cache.
+// Also stands in for the core's ImagePreprocessor, so a frame that passes is encoded by the
+// worker from the bitmap it already holds. Without Worker/OffscreenCanvas support, or once
+// the worker fails, isAvailable() turns false and callers use the main-thread path.
+import { ImagePreprocessor } from './image-preprocessor.js';
+
+const DEFAULT_OPTIONS = {
+    analysisWidth: 320, // Width the worker scores frames at; also the width of the returned pixels
+    preprocessing: {}, // ImagePreprocessor options, used in the worker and for fallback encodes
+    timeout: 5000 // A worker that stays silent this long is treated as broken
+};
+
+class FrameAnalyzer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.worker = null;
+        this.failed = false;
+        this.nextId = 1;
+        this.pending = new Map(); // Request id -> { resolve, reject, timer }
+
+        // Encodes frames that didn't come from the worker (canvas fallback, data sources)
+        this.fallback = new ImagePreprocessor(this.options.preprocessing);
+        this.workerStats = null;
+
+        this.stats = {
+            framesAnalyzed: 0,
+            workerErrors: 0
+        };
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    start() {
+        if (this.worker || this.failed) {
+            return this.isAvailable();
+        }
+
+        if (!FrameAnalyzer.isSupported()) {
+            this.failed = true;
+            console.log('Frame worker unsupported; analyzing frames on the main thread');
+            return false;
+        }
+
+        try {
+            this.worker = new Worker(new URL('./frame-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            this.fail(error);
+            return false;
+        }
+
+        this.worker.onmessage = event => this.handleMessage(event.data);
+        this.worker.onerror = event => this.fail(new Error(event.message || 'Frame worker crashed'));
+        this.worker.postMessage({
+            type: 'configure',
+            options: {
+                analysisWidth: this.options.analysisWidth,
+                preprocessing: this.options.preprocessing
+            }
+        });
+
+        return true;
+    }
+
+    isAvailable() {
+        return this.worker !== null && !this.failed;
+    }
+
+    request(message, transfer = []) {
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => this.fail(new Error('Frame worker timed out')), this.options.timeout);
+            this.pending.set(id, { resolve, reject, timer });
+            this.worker.postMessage({ ...message, id }, transfer);
+        });
+    }
+
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) {
+            return;
+        }
+
+        clearTimeout(request.timer);
+        this.pending.delete(message.id);
+
+        if (message.type === 'error') {
+            this.stats.workerErrors++;
+            request.reject(new Error(message.message));
+        } else {
+            request.resolve(message);
+        }
+    }
+
+    fail(error) {
+        if (this.failed) {
+            return;
+        }
+
+        console.warn('Frame worker failed, falling back to the main thread:', error.message);
+        this.failed = true;
+
+        this.terminate(error);
+    }
+
+    terminate(error = new Error('Frame worker terminated')) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+        this.pending.clear();
+    }
+
+    // Resolves to { source, imageData, analysis, width, height }: source is a handle for
+    // detectLogo, imageData the downscaled pixels and analysis { difference, sharpness, brightness, luminance }
+    async analyze(video, scale = 1) {
+        const width = Math.round(video.videoWidth * scale);
+        const height = Math.round(video.videoHeight * scale);
+        if (!width || !height) {
+            return null;
+        }
+
+        const bitmap = await createImageBitmap(video, { resizeWidth: width, resizeHeight: height });
+        if (!this.isAvailable()) {
+            bitmap.close();
+            throw new Error('Frame worker is not available');
+        }
+
+        const result = await this.request({ type: 'analyze', bitmap }, [bitmap]);
+        this.stats.framesAnalyzed++;
+
+        return {
+            source: { frameId: result.id, width, height },
+            imageData: result.imageData,
+            analysis: result.analysis,
+            width,
+            height
+        };
+    }
+
+    // ImagePreprocessor contract, so the detection core can use this as its preprocessor.
+    // Worker frames were captured at the capture scale already; only fallbacks apply it here
+    async process(source, { region = null, captureScale = 1 } = {}) {
+        if (source.frameId === undefined) {
+            return this.fallback.process(source, { region, captureScale });
+        }
+
+        const { frame, stats } = await this.request({ type: 'encode', frameId: source.frameId, region });
+        this.workerStats = stats;
+        return frame;
+    }
+
+    getStats() {
+        return {
+            ...this.fallback.getStats(),
+            ...(this.workerStats || {}),
+            frameWorker: this.isAvailable() ? 'worker' : 'main-thread',
+            workerFrames: this.stats.framesAnalyzed,
+            workerErrors: this.stats.workerErrors
+        };
+    }
+
+    reset() {
+        this.fallback.reset();
+        this.workerStats = null;
+        this.stats = {
+            framesAnalyzed: 0,
+            workerErrors: 0
+        };
+        if (this.isAvailable()) {
+            this.worker.postMessage({ type: 'reset' });
+        }
+    }
+}
+
+// Export for global use
+window.FrameAnalyzer = FrameAnalyzer;
+export { FrameAnalyzer };
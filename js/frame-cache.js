@@ -0,0 +1,156 @@
+// Perceptual Frame Cache
+// Keys detection results on a 64-bit difference hash (dHash) of the frame content, so
+// visually identical frames hit regardless of JPEG encoding and different frames miss.
+
+const HASH_COLUMNS = 9; // 9 columns give 8 left/right comparisons per row
+const HASH_ROWS = 8;
+
+class PerceptualCache {
+    constructor({ ttl = 5000, maxSize = 50, tolerance = 6 } = {}) {
+        this.ttl = ttl;
+        this.maxSize = maxSize;
+        this.tolerance = tolerance; // Max Hamming distance (out of 64 bits) for a hit
+        this.entries = [];
+
+        this.stats = {
+            hits: 0,
+            misses: 0
+        };
+    }
+
+    computeHash(imageData) {
+        const cells = this.downsample(imageData);
+        let high = 0;
+        let low = 0;
+
+        for (let row = 0; row < HASH_ROWS; row++) {
+            for (let col = 0; col < HASH_COLUMNS - 1; col++) {
+                const bit = cells[row * HASH_COLUMNS + col] > cells[row * HASH_COLUMNS + col + 1] ? 1 : 0;
+                const index = row * (HASH_COLUMNS - 1) + col;
+
+                if (index < 32) {
+                    high = (high << 1) | bit;
+                } else {
+                    low = (low << 1) | bit;
+                }
+            }
+        }
+
+        return [high >>> 0, low >>> 0];
+    }
+
+    // Average luminance over a 9x8 grid of blocks, sampling a few pixels per block
+    downsample(imageData) {
+        const { data, width, height } = imageData;
+        const cells = new Float32Array(HASH_COLUMNS * HASH_ROWS);
+        const blockWidth = width / HASH_COLUMNS;
+        const blockHeight = height / HASH_ROWS;
+        const step = Math.max(1, Math.floor(Math.min(blockWidth, blockHeight) / 8));
+
+        for (let row = 0; row < HASH_ROWS; row++) {
+            for (let col = 0; col < HASH_COLUMNS; col++) {
+                const startX = Math.floor(col * blockWidth);
+                const endX = Math.floor((col + 1) * blockWidth);
+                const startY = Math.floor(row * blockHeight);
+                const endY = Math.floor((row + 1) * blockHeight);
+                let total = 0;
+                let count = 0;
+
+                for (let y = startY; y < endY; y += step) {
+                    for (let x = startX; x < endX; x += step) {
+                        const i = (y * width + x) * 4;
+                        total += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                        count++;
+                    }
+                }
+
+                cells[row * HASH_COLUMNS + col] = count > 0 ? total / count : 0;
+            }
+        }
+
+        return cells;
+    }
+
+    hammingDistance(a, b) {
+        return this.popCount(a[0] ^ b[0]) + this.popCount(a[1] ^ b[1]);
+    }
+
+    popCount(value) {
+        let v = value >>> 0;
+        v = v - ((v >>> 1) & 0x55555555);
+        v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+        return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+    }
+
+    get(hash) {
+        this.evictExpired();
+
+        // Closest entry within tolerance wins
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const entry of this.entries) {
+            const distance = this.hammingDistance(hash, entry.hash);
+            if (distance <= this.tolerance && distance < bestDistance) {
+                best = entry;
+                bestDistance = distance;
+            }
+        }
+
+        if (best) {
+            this.stats.hits++;
+            return best.data;
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    // ttl: this entry's lifetime when it differs from the cache's
+    set(hash, data, ttl = this.ttl) {
+        // Limit cache size to prevent memory issues
+        while (this.entries.length >= this.maxSize) {
+            this.entries.shift();
+        }
+
+        this.entries.push({
+            hash,
+            data,
+            expiresAt: Date.now() + ttl
+        });
+    }
+
+    evictExpired() {
+        const now = Date.now();
+        this.entries = this.entries.filter(entry => now < entry.expiresAt);
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            cacheSize: this.entries.length,
+            cacheHits: this.stats.hits,
+            cacheMisses: this.stats.misses,
+            cacheHitRate: lookups > 0 ? (this.stats.hits / lookups * 100).toFixed(1) : 0
+        };
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    reset() {
+        this.clear();
+        this.stats = {
+            hits: 0,
+            misses: 0
+        };
+    }
+}
+
+export { PerceptualCache };
@@ -0,0 +1,151 @@
+// Frame Quality
+// Luminance-based frame scores shared by SmartDetection, the frame worker and the React
+// component, plus the reasons a frame is skipped and the coaching shown for them.
+
+const SKIP_REASONS = {
+    ACCEPTED: 'accepted',
+    UNSTABLE: 'unstable',
+    THROTTLED: 'throttled',
+    NO_MOTION: 'no-motion',
+    TOO_BLURRY: 'too-blurry',
+    TOO_DARK: 'too-dark',
+    TOO_BRIGHT: 'too-bright'
+};
+
+// Average luminance outside this range lowers the brightness score
+const DARK_LUMINANCE = 50;
+const BRIGHT_LUMINANCE = 200;
+
+// Only reasons the user can act on get a message; throttled and no-motion frames are routine
+const GUIDANCE = {
+    [SKIP_REASONS.UNSTABLE]: 'Hold steady',
+    [SKIP_REASONS.TOO_BLURRY]: 'Move closer to the logo',
+    [SKIP_REASONS.TOO_DARK]: 'Too dark, try the flashlight',
+    [SKIP_REASONS.TOO_BRIGHT]: 'Too bright, avoid glare and direct light'
+};
+
+// Fills (or allocates) a per-pixel luminance buffer for the frame
+function toLuminance(imageData, target = null) {
+    const pixels = imageData.width * imageData.height;
+    const luma = target && target.length === pixels ? target : new Float32Array(pixels);
+    const data = imageData.data;
+
+    for (let i = 0, p = 0; p < pixels; i += 4, p++) {
+        luma[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+
+    return luma;
+}
+
+// Mean luminance change of every 4th pixel, 0-1
+function calculateFrameDifference(luma, previousLuma) {
+    let totalDiff = 0;
+    let count = 0;
+
+    for (let p = 0; p < luma.length; p += 4) {
+        totalDiff += Math.abs(luma[p] - previousLuma[p]);
+        count++;
+    }
+
+    return count > 0 ? (totalDiff / count) / 255 : 0;
+}
+
+// Mean Sobel gradient magnitude on every other pixel, 0-1
+function calculateSharpness(luma, width, height) {
+    let sharpness = 0;
+    let count = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x += 2) {
+            const p = y * width + x;
+            const tl = luma[p - width - 1];
+            const tm = luma[p - width];
+            const tr = luma[p - width + 1];
+            const ml = luma[p - 1];
+            const mr = luma[p + 1];
+            const bl = luma[p + width - 1];
+            const bm = luma[p + width];
+            const br = luma[p + width + 1];
+
+            const gx = -tl + tr - 2 * ml + 2 * mr - bl + br;
+            const gy = -tl - 2 * tm - tr + bl + 2 * bm + br;
+
+            sharpness += Math.sqrt(gx * gx + gy * gy);
+            count++;
+        }
+    }
+
+    return count > 0 ? (sharpness / count) / 255 : 0;
+}
+
+// Average luminance (0-255) of every 16th pixel
+function calculateLuminance(luma) {
+    let total = 0;
+    let count = 0;
+
+    for (let p = 0; p < luma.length; p += 16) {
+        total += luma[p];
+        count++;
+    }
+
+    return count > 0 ? total / count : 0;
+}
+
+// 1 inside the optimal range, falling off towards black and white
+function scoreBrightness(luminance) {
+    if (luminance < DARK_LUMINANCE) return luminance / DARK_LUMINANCE * 0.5;
+    if (luminance > BRIGHT_LUMINANCE) return Math.max(0, 1 - (luminance - BRIGHT_LUMINANCE) / 55);
+    return 1;
+}
+
+// { sharpness, brightness, luminance } of a frame, for callers without the worker
+function measureFrame(imageData) {
+    const luma = toLuminance(imageData);
+    const luminance = calculateLuminance(luma);
+
+    return {
+        sharpness: calculateSharpness(luma, imageData.width, imageData.height),
+        brightness: scoreBrightness(luminance),
+        luminance
+    };
+}
+
+// Accepted when the weighted score clears the threshold; otherwise names the likely cause
+function classifyQuality({ sharpness, brightness, luminance }, threshold) {
+    if (sharpness * 0.7 + brightness * 0.3 > threshold) {
+        return SKIP_REASONS.ACCEPTED;
+    }
+    if (luminance < DARK_LUMINANCE) {
+        return SKIP_REASONS.TOO_DARK;
+    }
+    if (luminance > BRIGHT_LUMINANCE) {
+        return SKIP_REASONS.TOO_BRIGHT;
+    }
+    return SKIP_REASONS.TOO_BLURRY;
+}
+
+function getGuidance(reason) {
+    return GUIDANCE[reason] || null;
+}
+
+// Coaching only changes on decisions that say something about the frame; routine skips
+// keep the current message and an accepted frame clears it
+function nextGuidance(current, reason) {
+    if (reason === SKIP_REASONS.THROTTLED || reason === SKIP_REASONS.NO_MOTION) {
+        return current;
+    }
+    return getGuidance(reason);
+}
+
+export {
+    SKIP_REASONS,
+    toLuminance,
+    calculateFrameDifference,
+    calculateSharpness,
+    calculateLuminance,
+    scoreBrightness,
+    measureFrame,
+    classifyQuality,
+    getGuidance,
+    nextGuidance
+};
@@ -0,0 +1,255 @@
+// Frame Sources
+// Anything the detection loop can scan: a shared screen, window or tab (getDisplayMedia),
+// a MediaStream, or a <video> already on the page such as an HLS player. CameraManager
+// (js/camera.js) extends VideoFrameSource too, so the loop, SmartDetection and the overlay
+// don't care where frames come from:
+//   start(), stop(), isReady(), captureFrame() -> { canvas, source, imageData, width, height },
+//   requestFrame(callback) -> cancel, getVideoElement(), setCaptureScale(scale), captureScale
+// plus onEnded(listener) for sources that can go away on their own.
+
+const DEFAULT_OPTIONS = {
+    video: null, // <video> to read from; stream sources create a hidden one when omitted
+    analysisWidth: 320, // Gating pixels are never wider than this
+    startTimeout: 15000, // Stream sources that deliver no frame by then fail to start
+    frameRate: 5, // Screen capture rate; logos on a page rarely need more
+    label: 'Video'
+};
+
+function createTimeoutError(message) {
+    const error = new Error(message);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+// Reads frames from a <video> element someone else plays, e.g. an HLS player on the page
+class VideoFrameSource {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.video = this.options.video;
+        this.label = this.options.label;
+        this.isActive = false;
+        this.captureScale = 1; // Fraction of the video resolution frames are uploaded at
+        this.captureCanvas = null;
+        this.captureContext = null;
+        this.listeners = new Set();
+    }
+
+    async start() {
+        if (!this.video) {
+            throw new Error(`${this.label} source has no video element`);
+        }
+
+        this.isActive = true;
+        return true;
+    }
+
+    stop() {
+        this.isActive = false;
+    }
+
+    isReady() {
+        return this.isActive && this.video && this.video.readyState >= 2 && this.video.videoWidth > 0;
+    }
+
+    // Only a small downsampled copy is read back, for motion/quality gating, the tracker and
+    // the cache hash. The video element itself is the upload source: ImagePreprocessor crops
+    // and encodes straight from it, and only for frames that are accepted
+    captureFrame() {
+        if (!this.isReady()) {
+            return null;
+        }
+
+        // One canvas for every capture; frames are processed one at a time
+        if (!this.captureCanvas) {
+            this.captureCanvas = document.createElement('canvas');
+            this.captureContext = this.captureCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        const canvas = this.captureCanvas;
+        const ctx = this.captureContext;
+
+        const { videoWidth, videoHeight } = this.video;
+        const scale = Math.min(this.captureScale, this.options.analysisWidth / videoWidth);
+        const analysisWidth = Math.max(1, Math.round(videoWidth * scale));
+        const analysisHeight = Math.max(1, Math.round(videoHeight * scale));
+        if (canvas.width !== analysisWidth || canvas.height !== analysisHeight) {
+            canvas.width = analysisWidth;
+            canvas.height = analysisHeight;
+        }
+
+        ctx.drawImage(this.video, 0, 0, analysisWidth, analysisHeight);
+
+        let imageData;
+        try {
+            imageData = ctx.getImageData(0, 0, analysisWidth, analysisHeight);
+        } catch (error) {
+            // A cross-origin video without CORS headers taints the canvas; nothing can read it
+            throw new Error(`${this.label} source is cross-origin; serve it with CORS and crossorigin="anonymous"`);
+        }
+
+        // width/height are the source's, so regions of interest are in video pixels
+        return {
+            canvas,
+            source: this.video,
+            imageData,
+            width: videoWidth,
+            height: videoHeight
+        };
+    }
+
+    // Calls back once the video presents a new frame, so the loop never analyzes the same frame
+    // twice; requestAnimationFrame where requestVideoFrameCallback is missing. The timeout keeps
+    // the loop alive while a stalled or swapped stream presents nothing. Returns a cancel function
+    requestFrame(callback, timeout = 1000) {
+        const video = this.video;
+        let timer = null;
+        let cancelFrame;
+
+        if (video && video.requestVideoFrameCallback) {
+            const handle = video.requestVideoFrameCallback(() => {
+                clearTimeout(timer);
+                callback();
+            });
+            cancelFrame = () => video.cancelVideoFrameCallback(handle);
+        } else {
+            const handle = requestAnimationFrame(() => {
+                clearTimeout(timer);
+                callback();
+            });
+            cancelFrame = () => cancelAnimationFrame(handle);
+        }
+
+        timer = setTimeout(() => {
+            cancelFrame();
+            callback();
+        }, timeout);
+
+        return () => {
+            clearTimeout(timer);
+            cancelFrame();
+        };
+    }
+
+    getVideoElement() {
+        return this.video;
+    }
+
+    // Lower capture scale means smaller uploads (detectLogo's captureScale, or the worker's
+    // scaled bitmap) and, once the scaled video is narrower than the analysis width, cheaper
+    // motion/quality analysis too
+    setCaptureScale(scale) {
+        this.captureScale = Math.max(0.1, Math.min(1, scale));
+    }
+
+    // The source stopped delivering for good (share stopped, stream ended)
+    onEnded(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notifyEnded() {
+        this.isActive = false;
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Plays a MediaStream (a WebRTC call, captureStream() of a player, ...) and reads it
+class MediaStreamFrameSource extends VideoFrameSource {
+    constructor(options = {}) {
+        super({ label: 'Stream', ...options });
+        this.stream = this.options.stream || null;
+        this.ownsStream = false; // Only streams this source opened are stopped with it
+        this.handleTrackEnded = () => this.notifyEnded();
+    }
+
+    async start() {
+        if (!this.stream) {
+            throw new Error(`${this.label} source has no stream`);
+        }
+
+        if (!this.video) {
+            this.video = document.createElement('video');
+            this.video.muted = true;
+            this.video.playsInline = true;
+        }
+
+        const track = this.stream.getVideoTracks()[0];
+        if (!track) {
+            throw new Error(`${this.label} source has no video track`);
+        }
+        track.addEventListener('ended', this.handleTrackEnded);
+
+        this.video.srcObject = this.stream;
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.video.onloadedmetadata = null;
+                reject(createTimeoutError(`${this.label} did not start in time`));
+            }, this.options.startTimeout);
+
+            this.video.onloadedmetadata = () => {
+                clearTimeout(timeout);
+                this.video.play();
+                resolve();
+            };
+        });
+
+        this.isActive = true;
+        return true;
+    }
+
+    stop() {
+        if (this.stream) {
+            const track = this.stream.getVideoTracks()[0];
+            if (track) {
+                track.removeEventListener('ended', this.handleTrackEnded);
+            }
+            if (this.ownsStream) {
+                this.stream.getTracks().forEach(track => track.stop());
+                this.stream = null;
+            }
+        }
+
+        if (this.video) {
+            this.video.srcObject = null;
+        }
+
+        super.stop();
+    }
+}
+
+// A screen, window or tab the user picks in the browser's share dialog. Stopping the share
+// from the browser's own UI ends the source
+class DisplayFrameSource extends MediaStreamFrameSource {
+    constructor(options = {}) {
+        super({ label: 'Screen share', ...options });
+    }
+
+    static isSupported() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getDisplayMedia);
+    }
+
+    // Must run inside a user gesture (click handler) or the browser refuses
+    async start() {
+        if (!DisplayFrameSource.isSupported()) {
+            throw new Error('Screen capture is not supported in this browser');
+        }
+
+        this.stream = await navigator.mediaDevices.getDisplayMedia({
+            video: { frameRate: { ideal: this.options.frameRate } },
+            audio: false
+        });
+        this.ownsStream = true;
+
+        try {
+            return await super.start();
+        } catch (error) {
+            this.stop();
+            throw error;
+        }
+    }
+}
+
+// Export for global use
+window.VideoFrameSource = VideoFrameSource;
+window.MediaStreamFrameSource = MediaStreamFrameSource;
+window.DisplayFrameSource = DisplayFrameSource;
+export { VideoFrameSource, MediaStreamFrameSource, DisplayFrameSource };
@@ -0,0 +1,139 @@
+// Frame Worker
+// Off-main-thread half of FrameAnalyzer (js/frame-analyzer.js). Holds the latest frame as a
+// transferred ImageBitmap, scores motion, sharpness and brightness on reused luminance
+// buffers, and encodes the held frame for upload with the shared ImagePreprocessor.
+import { ImagePreprocessor } from './image-preprocessor.js';
+import {
+    toLuminance,
+    calculateFrameDifference,
+    calculateSharpness,
+    calculateLuminance,
+    scoreBrightness
+} from './frame-quality.js';
+
+class FrameWorker {
+    constructor() {
+        this.analysisWidth = 320;
+        this.preprocessor = new ImagePreprocessor();
+        this.canvas = null;
+        this.ctx = null;
+        this.frame = null; // { id, bitmap } of the last analyzed frame
+
+        // Luminance of the current and previous frame, swapped instead of reallocated
+        this.luma = null;
+        this.previousLuma = null;
+        this.hasPrevious = false;
+    }
+
+    configure({ analysisWidth, preprocessing }) {
+        if (analysisWidth) {
+            this.analysisWidth = analysisWidth;
+        }
+        this.preprocessor = new ImagePreprocessor(preprocessing);
+    }
+
+    async handle(message) {
+        switch (message.type) {
+            case 'configure':
+                this.configure(message.options);
+                return;
+            case 'analyze':
+                this.analyze(message.id, message.bitmap);
+                return;
+            case 'encode':
+                await this.encode(message.id, message.frameId, message.region);
+                return;
+            case 'reset':
+                this.reset();
+                return;
+            default:
+                throw new Error(`Unknown frame worker message: ${message.type}`);
+        }
+    }
+
+    analyze(id, bitmap) {
+        const scale = Math.min(1, this.analysisWidth / bitmap.width);
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        if (!this.canvas) {
+            this.canvas = new OffscreenCanvas(width, height);
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        this.ctx.drawImage(bitmap, 0, 0, width, height);
+        const imageData = this.ctx.getImageData(0, 0, width, height);
+        const hadPrevious = this.updateLuma(imageData);
+        const luminance = calculateLuminance(this.luma);
+
+        // The same frame-quality.js scores SmartDetection computes on the main thread
+        const analysis = {
+            difference: hadPrevious ? calculateFrameDifference(this.luma, this.previousLuma) : null, // null: first frame
+            sharpness: calculateSharpness(this.luma, width, height),
+            brightness: scoreBrightness(luminance),
+            luminance
+        };
+
+        // Keep the full-size bitmap until the next frame in case it gets uploaded
+        if (this.frame) {
+            this.frame.bitmap.close();
+        }
+        this.frame = { id, bitmap };
+
+        // The downscaled pixels feed the tracker and the perceptual cache on the main thread
+        self.postMessage({ type: 'analyzed', id, analysis, imageData }, [imageData.data.buffer]);
+    }
+
+    updateLuma(imageData) {
+        const pixels = imageData.width * imageData.height;
+
+        if (!this.luma || this.luma.length !== pixels) {
+            this.luma = new Float32Array(pixels);
+            this.previousLuma = new Float32Array(pixels);
+            this.hasPrevious = false;
+        } else {
+            [this.luma, this.previousLuma] = [this.previousLuma, this.luma];
+        }
+
+        toLuminance(imageData, this.luma);
+
+        const hadPrevious = this.hasPrevious;
+        this.hasPrevious = true;
+        return hadPrevious;
+    }
+
+    async encode(id, frameId, region) {
+        if (!this.frame || this.frame.id !== frameId) {
+            throw new Error('Frame is no longer held by the frame worker');
+        }
+
+        const frame = await this.preprocessor.process(this.frame.bitmap, { region });
+        self.postMessage(
+            { type: 'encoded', id, frame, stats: this.preprocessor.getStats() },
+            [frame.bytes.buffer]
+        );
+    }
+
+    reset() {
+        this.hasPrevious = false;
+        this.preprocessor.reset();
+        if (this.frame) {
+            this.frame.bitmap.close();
+            this.frame = null;
+        }
+    }
+}
+
+const worker = new FrameWorker();
+
+self.onmessage = event => {
+    const { id } = event.data;
+
+    Promise.resolve()
+        .then(() => worker.handle(event.data))
+        .catch(error => self.postMessage({ type: 'error', id, message: error.message }));
+};
@@ -0,0 +1,169 @@
+// Image Preprocessing
+// Shrinks frames before upload: downscale to a maximum edge, then pick a JPEG quality that
+// lands near a byte budget. Bytes come straight from canvas.toBlob, skipping the base64
+// round trip of toDataURL + atob.
+
+const DEFAULT_OPTIONS = {
+    maxEdge: 800, // Longest side in pixels after downscaling; smaller frames are left alone
+    targetBytes: 100 * 1024, // Aim for ~100 KB per request
+    quality: 0.8, // Starting JPEG quality; adapted frame to frame
+    minQuality: 0.4,
+    maxQuality: 0.92,
+    qualityStep: 0.1,
+    maxEncodeAttempts: 3 // Re-encodes allowed per frame while over the byte budget
+};
+
+// Width and height of anything drawImage accepts
+function getSourceSize(source) {
+    if (source.videoWidth !== undefined) {
+        return { width: source.videoWidth, height: source.videoHeight };
+    }
+    if (source.naturalWidth !== undefined) {
+        return { width: source.naturalWidth, height: source.naturalHeight };
+    }
+    return { width: source.width, height: source.height };
+}
+
+// Maps a normalized box from the uploaded image back onto the (normalized) source frame
+function mapBoundingBox(box, frame) {
+    const { region, scale, sourceWidth, sourceHeight } = frame;
+
+    return {
+        left: (region.x + box.left * frame.width / scale) / sourceWidth,
+        top: (region.y + box.top * frame.height / scale) / sourceHeight,
+        width: box.width * frame.width / scale / sourceWidth,
+        height: box.height * frame.height / scale / sourceHeight
+    };
+}
+
+class ImagePreprocessor {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.quality = this.options.quality;
+        this.canvas = null;
+
+        this.stats = {
+            framesEncoded: 0,
+            encodes: 0,
+            overBudget: 0
+        };
+    }
+
+    getCanvas(width, height) {
+        // Reused between frames; resizing only when the output size changes
+        if (!this.canvas) {
+            // Inside the frame worker there is no DOM, only OffscreenCanvas
+            this.canvas = typeof document !== 'undefined'
+                ? document.createElement('canvas')
+                : new OffscreenCanvas(width, height);
+        }
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        return this.canvas;
+    }
+
+    // Resolves to { bytes, width, height, scale, quality, region, sourceWidth, sourceHeight }.
+    // region ({ x, y, width, height } in source pixels) crops before downscaling; null = full frame.
+    // captureScale (0-1) shrinks the upload further, e.g. the performance tier's capture scale
+    async process(source, { region = null, captureScale = 1 } = {}) {
+        const { width: sourceWidth, height: sourceHeight } = getSourceSize(source);
+        if (!sourceWidth || !sourceHeight) {
+            throw new Error('Frame source has no dimensions yet');
+        }
+
+        region = this.clampRegion(region, sourceWidth, sourceHeight);
+        const scale = Math.min(1, this.options.maxEdge / Math.max(region.width, region.height)) * captureScale;
+        const width = Math.max(1, Math.round(region.width * scale));
+        const height = Math.max(1, Math.round(region.height * scale));
+
+        const canvas = this.getCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, region.x, region.y, region.width, region.height, 0, 0, width, height);
+
+        const { targetBytes, minQuality, maxQuality, qualityStep, maxEncodeAttempts } = this.options;
+        let quality = this.quality;
+        let bytes = await this.encode(canvas, quality);
+        let attempts = 1;
+
+        while (bytes.length > targetBytes && quality > minQuality && attempts < maxEncodeAttempts) {
+            quality = Math.max(minQuality, quality - qualityStep);
+            bytes = await this.encode(canvas, quality);
+            attempts++;
+        }
+
+        if (bytes.length > targetBytes) {
+            this.stats.overBudget++;
+        }
+
+        // Next frame starts from what fit; creep back up while there's headroom
+        this.quality = bytes.length < targetBytes * 0.7 ?
+            Math.min(maxQuality, quality + qualityStep / 2) : quality;
+        this.stats.framesEncoded++;
+
+        return {
+            bytes,
+            width,
+            height,
+            scale,
+            quality,
+            region,
+            sourceWidth,
+            sourceHeight
+        };
+    }
+
+    clampRegion(region, sourceWidth, sourceHeight) {
+        if (!region) {
+            return { x: 0, y: 0, width: sourceWidth, height: sourceHeight };
+        }
+
+        const x = Math.max(0, Math.min(sourceWidth - 1, Math.round(region.x)));
+        const y = Math.max(0, Math.min(sourceHeight - 1, Math.round(region.y)));
+        return {
+            x,
+            y,
+            width: Math.max(1, Math.min(sourceWidth - x, Math.round(region.width))),
+            height: Math.max(1, Math.min(sourceHeight - y, Math.round(region.height)))
+        };
+    }
+
+    encode(canvas, quality) {
+        this.stats.encodes++;
+
+        if (!canvas.toBlob) {
+            return canvas.convertToBlob({ type: 'image/jpeg', quality })
+                .then(blob => blob.arrayBuffer())
+                .then(buffer => new Uint8Array(buffer));
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Frame could not be encoded as JPEG'));
+                    return;
+                }
+                blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+            }, 'image/jpeg', quality);
+        });
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            jpegQuality: this.quality
+        };
+    }
+
+    reset() {
+        this.quality = this.options.quality;
+        this.stats = {
+            framesEncoded: 0,
+            encodes: 0,
+            overBudget: 0
+        };
+    }
+}
+
+export { ImagePreprocessor, getSourceSize, mapBoundingBox };
@@ -0,0 +1,130 @@
+// Per-Label Detection Settings
+// Each Custom Labels label can have its own minimum confidence, be switched off entirely
+// (e.g. a "background" class) and carry a display name, an overlay color and the URL its
+// AR button opens. Configured defaults come from CONFIG; edits made in the settings UI are
+// persisted in localStorage on top of them.
+import { getLocalStorage } from './storage.js';
+
+const DEFAULT_OPTIONS = {
+    labels: {}, // { [labelName]: { minConfidence, enabled, displayName, color, url } }
+    storageKey: 'logoDetection.labels'
+};
+
+class LabelSettings {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.storage = options.storage || getLocalStorage();
+
+        this.defaults = { ...this.options.labels };
+        this.overrides = this.loadOverrides();
+
+        // Labels the model is known to have: reported by the backend or seen in results
+        this.knownLabels = new Set([...Object.keys(this.defaults), ...Object.keys(this.overrides)]);
+        this.listeners = new Set();
+        this.settingsListeners = new Set();
+    }
+
+    loadOverrides() {
+        try {
+            return JSON.parse(this.storage.getItem(this.options.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveOverrides() {
+        this.storage.setItem(this.options.storageKey, JSON.stringify(this.overrides));
+    }
+
+    // Effective settings for one label; minConfidence null means "use the global threshold",
+    // color null a palette color (js/detection-layout.js), url null the default AR redirect
+    get(name) {
+        return {
+            name,
+            minConfidence: null,
+            enabled: true,
+            displayName: name,
+            color: null,
+            url: null,
+            ...this.defaults[name],
+            ...this.overrides[name]
+        };
+    }
+
+    getAll() {
+        return [...this.knownLabels].sort().map(name => this.get(name));
+    }
+
+    update(name, changes) {
+        this.overrides[name] = { ...this.overrides[name], ...changes };
+        this.knownLabels.add(name);
+        this.saveOverrides();
+        this.notify({ settingsChanged: true });
+    }
+
+    // Drop UI edits for a label and fall back to the configured defaults
+    resetLabel(name) {
+        delete this.overrides[name];
+        this.saveOverrides();
+        this.notify({ settingsChanged: true });
+    }
+
+    addKnownLabels(names) {
+        const before = this.knownLabels.size;
+        names.forEach(name => this.knownLabels.add(name));
+
+        if (this.knownLabels.size !== before) {
+            this.notify();
+        }
+    }
+
+    // Lowest threshold any enabled label needs, so MinConfidence doesn't filter it server-side
+    getMinimumConfidence(defaultMinConfidence) {
+        return this.getAll().reduce((minimum, label) => {
+            if (!label.enabled || label.minConfidence === null) {
+                return minimum;
+            }
+            return Math.min(minimum, label.minConfidence);
+        }, defaultMinConfidence);
+    }
+
+    // Drops disabled and below-threshold detections and attaches display names, colors and URLs
+    apply(detections, defaultMinConfidence) {
+        this.addKnownLabels(detections.map(detection => detection.name));
+
+        return detections
+            .map(detection => ({ detection, settings: this.get(detection.name) }))
+            .filter(({ detection, settings }) => {
+                const minConfidence = settings.minConfidence !== null ? settings.minConfidence : defaultMinConfidence;
+                return settings.enabled && detection.confidence >= minConfidence;
+            })
+            .map(({ detection, settings }) => ({
+                ...detection,
+                displayName: settings.displayName || detection.name,
+                color: settings.color,
+                url: settings.url
+            }));
+    }
+
+    // Any change to the label list, including newly known labels (for the settings UI)
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Only edits to a label's settings; a newly seen label changes nothing already filtered
+    onSettingsChange(listener) {
+        this.settingsListeners.add(listener);
+        return () => this.settingsListeners.delete(listener);
+    }
+
+    notify({ settingsChanged = false } = {}) {
+        const labels = this.getAll();
+        if (settingsChanged) {
+            this.settingsListeners.forEach(listener => listener(labels));
+        }
+        this.listeners.forEach(listener => listener(labels));
+    }
+}
+
+export { LabelSettings };
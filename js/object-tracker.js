@@ -0,0 +1,214 @@
+// Local Object Tracker
+// Keeps overlays on the logo between cloud scans. Template matching with normalized
+// cross-correlation on a small grayscale copy of each captured frame: the last detection's
+// box is sampled into a template and searched for around its previous position. Tracking
+// is translation-only; when the match stays poor the tracker reports the logo as lost.
+
+const DEFAULT_OPTIONS = {
+    workingWidth: 160, // Frames are matched at this width; plenty for a translation estimate
+    templateGrid: 24, // Template is sampled on a grid x grid lattice inside the box
+    searchRadius: 12, // Pixels (at working width) searched around the previous position
+    minConfidence: 0.5, // Matches below this count as misses
+    maxMisses: 3, // Consecutive misses before the track is lost
+    templateUpdate: 0.1, // Blend factor for refreshing the template on confident matches
+    updateConfidence: 0.8 // Only matches above this refresh the template
+};
+
+class TemplateTracker {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.template = null;
+        this.box = null; // Normalized { left, top, width, height }
+        this.confidence = 0;
+        this.misses = 0;
+        this.lostListeners = new Set();
+
+        this.stats = {
+            tracksStarted: 0,
+            tracksLost: 0,
+            framesTracked: 0
+        };
+    }
+
+    isTracking() {
+        return this.template !== null;
+    }
+
+    // Begin tracking a normalized box in the frame it was detected in
+    start(imageData, boundingBox) {
+        const gray = this.toGray(imageData);
+        const box = this.toPixels(boundingBox, gray);
+
+        if (box.width < 2 || box.height < 2) {
+            this.stop();
+            return false;
+        }
+
+        this.template = this.normalize(this.samplePatch(gray, box));
+        this.box = { ...boundingBox };
+        this.confidence = 1;
+        this.misses = 0;
+        this.stats.tracksStarted++;
+        return true;
+    }
+
+    stop() {
+        this.template = null;
+        this.box = null;
+        this.confidence = 0;
+        this.misses = 0;
+    }
+
+    // Resolves the box in a new frame: { boundingBox, confidence, lost }
+    update(imageData) {
+        if (!this.isTracking()) {
+            return { boundingBox: null, confidence: 0, lost: true };
+        }
+
+        const gray = this.toGray(imageData);
+        const previous = this.toPixels(this.box, gray);
+        const radius = this.options.searchRadius;
+        let best = { score: -1, x: previous.x, y: previous.y, patch: null };
+
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const x = previous.x + dx;
+                const y = previous.y + dy;
+                if (x < 0 || y < 0 || x + previous.width > gray.width || y + previous.height > gray.height) {
+                    continue;
+                }
+
+                const patch = this.normalize(this.samplePatch(gray, { x, y, width: previous.width, height: previous.height }));
+                const score = this.correlate(this.template, patch);
+                if (score > best.score) {
+                    best = { score, x, y, patch };
+                }
+            }
+        }
+
+        this.confidence = Math.max(0, best.score);
+        this.stats.framesTracked++;
+
+        if (this.confidence < this.options.minConfidence) {
+            this.misses++;
+            if (this.misses >= this.options.maxMisses) {
+                this.lose();
+                return { boundingBox: null, confidence: this.confidence, lost: true };
+            }
+            // Hold the last position through short misses (motion blur, occlusion)
+            return { boundingBox: { ...this.box }, confidence: this.confidence, lost: false };
+        }
+
+        this.misses = 0;
+        this.box = {
+            ...this.box,
+            left: best.x / gray.width,
+            top: best.y / gray.height
+        };
+
+        // Follow gradual changes in lighting and perspective
+        if (this.confidence >= this.options.updateConfidence) {
+            this.refreshTemplate(best.patch);
+        }
+
+        return { boundingBox: { ...this.box }, confidence: this.confidence, lost: false };
+    }
+
+    lose() {
+        this.stats.tracksLost++;
+        this.stop();
+        this.lostListeners.forEach(listener => listener());
+    }
+
+    onLost(listener) {
+        this.lostListeners.add(listener);
+        return () => this.lostListeners.delete(listener);
+    }
+
+    // Luminance at working resolution, nearest-neighbour sampled from the RGBA frame
+    toGray(imageData) {
+        const scale = Math.min(1, this.options.workingWidth / imageData.width);
+        const width = Math.max(1, Math.round(imageData.width * scale));
+        const height = Math.max(1, Math.round(imageData.height * scale));
+        const data = new Float32Array(width * height);
+        const source = imageData.data;
+
+        for (let y = 0; y < height; y++) {
+            const sy = Math.min(imageData.height - 1, Math.floor(y / scale));
+            for (let x = 0; x < width; x++) {
+                const sx = Math.min(imageData.width - 1, Math.floor(x / scale));
+                const i = (sy * imageData.width + sx) * 4;
+                data[y * width + x] = 0.299 * source[i] + 0.587 * source[i + 1] + 0.114 * source[i + 2];
+            }
+        }
+
+        return { data, width, height };
+    }
+
+    toPixels(box, gray) {
+        return {
+            x: Math.round(box.left * gray.width),
+            y: Math.round(box.top * gray.height),
+            width: Math.max(1, Math.round(box.width * gray.width)),
+            height: Math.max(1, Math.round(box.height * gray.height))
+        };
+    }
+
+    samplePatch(gray, box) {
+        const grid = this.options.templateGrid;
+        const patch = new Float32Array(grid * grid);
+
+        for (let j = 0; j < grid; j++) {
+            const y = Math.min(gray.height - 1, Math.floor(box.y + (j + 0.5) * box.height / grid));
+            for (let i = 0; i < grid; i++) {
+                const x = Math.min(gray.width - 1, Math.floor(box.x + (i + 0.5) * box.width / grid));
+                patch[j * grid + i] = gray.data[y * gray.width + x];
+            }
+        }
+
+        return patch;
+    }
+
+    // Zero mean, unit length: correlation then reduces to a dot product
+    normalize(patch) {
+        let mean = 0;
+        for (let i = 0; i < patch.length; i++) mean += patch[i];
+        mean /= patch.length;
+
+        let norm = 0;
+        for (let i = 0; i < patch.length; i++) {
+            patch[i] -= mean;
+            norm += patch[i] * patch[i];
+        }
+
+        norm = Math.sqrt(norm) || 1; // Flat patches correlate as 0
+        for (let i = 0; i < patch.length; i++) patch[i] /= norm;
+        return patch;
+    }
+
+    correlate(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+        return sum;
+    }
+
+    refreshTemplate(patch) {
+        const alpha = this.options.templateUpdate;
+        for (let i = 0; i < this.template.length; i++) {
+            this.template[i] = (1 - alpha) * this.template[i] + alpha * patch[i];
+        }
+        this.normalize(this.template);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            tracking: this.isTracking(),
+            trackingConfidence: Number(this.confidence.toFixed(2))
+        };
+    }
+}
+
+// Export for global use
+window.TemplateTracker = TemplateTracker;
+export { TemplateTracker };
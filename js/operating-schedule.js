@@ -0,0 +1,243 @@
+// Operating Schedule
+// Weekly operating windows in a campaign's time zone, with blackout dates, so scanning (and
+// its API spend) is limited to the hours a venue is open - scenario 1 of
+// cost-analysis-smart-detection.md. Windows may cross midnight; such a window belongs to the
+// day it starts on, and a blackout date cancels every window starting on that date.
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    timeZone: null, // IANA zone, e.g. 'America/New_York'; null uses the device's zone
+    windows: [], // [{ days: ['mon', 'tue', ...], start: '09:00', end: '18:00' }]
+    blackoutDates: [], // ['2026-12-25', ...] in the schedule's time zone
+    lookahead: 14 // Days searched for the next opening
+};
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value);
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+        throw new Error(`Invalid schedule time "${value}", expected HH:MM`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseDay(day) {
+    const index = typeof day === 'number' ? day : DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+    if (index < 0 || index > 6) {
+        throw new Error(`Invalid schedule day "${day}"`);
+    }
+    return index;
+}
+
+function formatDate({ year, month, day }) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+class OperatingSchedule {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.windows = this.options.windows.map(window => ({
+            days: (window.days || DAY_NAMES).map(parseDay),
+            start: parseTime(window.start),
+            end: parseTime(window.end)
+        }));
+        this.blackoutDates = new Set(this.options.blackoutDates);
+        this.formatter = this.options.timeZone ? new Intl.DateTimeFormat('en-US', {
+            timeZone: this.options.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        }) : null;
+
+        this.lastTick = null;
+        this.stats = {
+            scheduledTime: 0, // ms the schedule was open while the app was loaded
+            activeTime: 0, // ms detection actually ran inside open windows
+            outsideStartsBlocked: 0,
+            autoStops: 0
+        };
+    }
+
+    // Campaign schedules can live in their own JSON file with the same keys as the options
+    static async load(url, overrides = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load schedule ${url}: HTTP ${response.status}`);
+        }
+        return new OperatingSchedule({ ...(await response.json()), ...overrides });
+    }
+
+    // Wall-clock { year, month, day, minutes, weekday } of an instant in the schedule's zone
+    getZonedTime(date) {
+        if (!this.formatter) {
+            return {
+                year: date.getFullYear(),
+                month: date.getMonth() + 1,
+                day: date.getDate(),
+                minutes: date.getHours() * 60 + date.getMinutes(),
+                weekday: date.getDay()
+            };
+        }
+
+        const parts = {};
+        this.formatter.formatToParts(date).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            minutes: parts.hour * 60 + parts.minute,
+            weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+        };
+    }
+
+    // Instant at which the zone's clock shows the given wall-clock time
+    toInstant({ year, month, day }, minutes) {
+        if (!this.formatter) {
+            return new Date(year, month - 1, day, 0, minutes);
+        }
+
+        const wall = Date.UTC(year, month - 1, day, 0, minutes);
+        const offsetAt = instant => {
+            const zoned = this.getZonedTime(new Date(instant));
+            return Date.UTC(zoned.year, zoned.month - 1, zoned.day, 0, zoned.minutes) - Math.floor(instant / 60000) * 60000;
+        };
+
+        // Second pass settles instants next to a DST change
+        const guess = wall - offsetAt(wall);
+        return new Date(wall - offsetAt(guess));
+    }
+
+    // Calendar date `offset` days from the given one, with its weekday
+    addDays({ year, month, day }, offset) {
+        const date = new Date(Date.UTC(year, month - 1, day + offset));
+        return {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            weekday: date.getUTCDay()
+        };
+    }
+
+    isBlackout(date) {
+        return this.blackoutDates.has(formatDate(date));
+    }
+
+    // The window open at `now` as { start, end } instants, or null
+    getCurrentWindow(now = new Date()) {
+        const today = this.getZonedTime(now);
+
+        // Windows starting yesterday can still be open after midnight
+        for (const offset of [0, -1]) {
+            const date = this.addDays(today, offset);
+            if (this.isBlackout(date)) continue;
+
+            for (const window of this.windows) {
+                if (!window.days.includes(date.weekday)) continue;
+
+                const end = window.end > window.start ? window.end : window.end + 24 * 60;
+                const start = this.toInstant(date, window.start);
+                const finish = this.toInstant(date, end);
+                if (now >= start && now < finish) {
+                    return { start, end: finish };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    isOpen(now = new Date()) {
+        return !this.options.enabled || this.getCurrentWindow(now) !== null;
+    }
+
+    // Start of the next window after `now`, or null when none opens within the lookahead
+    getNextOpening(now = new Date()) {
+        const today = this.getZonedTime(now);
+        let next = null;
+
+        for (let offset = 0; offset <= this.options.lookahead && !next; offset++) {
+            const date = this.addDays(today, offset);
+            if (this.isBlackout(date)) continue;
+
+            this.windows.forEach(window => {
+                if (!window.days.includes(date.weekday)) return;
+
+                const start = this.toInstant(date, window.start);
+                if (start > now && (!next || start < next)) {
+                    next = start;
+                }
+            });
+        }
+
+        return next;
+    }
+
+    // Local-time label for an instant, e.g. "Mon 09:00", in the schedule's zone
+    formatTime(date) {
+        return date.toLocaleString(undefined, {
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZone: this.options.timeZone || undefined
+        });
+    }
+
+    // Called periodically; accumulates scheduled versus actually active time
+    recordTick(active, now = Date.now()) {
+        if (this.lastTick !== null) {
+            const elapsed = now - this.lastTick;
+            if (this.isOpen(new Date(now))) {
+                this.stats.scheduledTime += elapsed;
+                if (active) {
+                    this.stats.activeTime += elapsed;
+                }
+            }
+        }
+        this.lastTick = now;
+    }
+
+    recordBlockedStart() {
+        this.stats.outsideStartsBlocked++;
+    }
+
+    recordAutoStop() {
+        this.stats.autoStops++;
+    }
+
+    getStats() {
+        const nextOpening = this.isOpen() ? null : this.getNextOpening();
+
+        return {
+            scheduleOpen: this.isOpen(),
+            nextOpening: nextOpening ? nextOpening.toISOString() : null,
+            scheduledTime: this.stats.scheduledTime,
+            activeTime: this.stats.activeTime,
+            scheduleUtilization: this.stats.scheduledTime > 0 ?
+                (this.stats.activeTime / this.stats.scheduledTime * 100).toFixed(1) : 0,
+            outsideStartsBlocked: this.stats.outsideStartsBlocked,
+            autoStops: this.stats.autoStops
+        };
+    }
+
+    reset() {
+        this.lastTick = null;
+        this.stats = {
+            scheduledTime: 0,
+            activeTime: 0,
+            outsideStartsBlocked: 0,
+            autoStops: 0
+        };
+    }
+}
+
+// Export for global use
+window.OperatingSchedule = OperatingSchedule;
+export { OperatingSchedule };
@@ -0,0 +1,184 @@
+// Adaptive Performance Controller
+// Item 7 of cost-analysis-smart-detection.md: scales scanning to the device. Battery Status
+// readings, measured frame-processing time and the video's dropped-frame rate pick a
+// performance tier; recent detections allow a faster tier when nothing holds it back.
+// Listeners apply the tier (SmartDetection thresholds, camera capture resolution).
+
+// Factors applied to the configured SmartDetection settings, plus the capture scale
+const PERFORMANCE_TIERS = {
+    boost: { scanIntervalFactor: 0.5, motionFactor: 0.5, qualityFactor: 0.9, captureScale: 1 },
+    normal: { scanIntervalFactor: 1, motionFactor: 1, qualityFactor: 1, captureScale: 1 },
+    saver: { scanIntervalFactor: 2, motionFactor: 1.5, qualityFactor: 1.1, captureScale: 0.75 },
+    critical: { scanIntervalFactor: 4, motionFactor: 2, qualityFactor: 1.2, captureScale: 0.5 }
+};
+
+// Slowest first; the controller picks the slowest tier any signal asks for
+const TIER_ORDER = ['critical', 'saver', 'normal', 'boost'];
+
+const DEFAULT_OPTIONS = {
+    lowBattery: 0.2, // Below this (and not charging): saver
+    criticalBattery: 0.1, // Below this (and not charging): critical
+    slowFrameTime: 50, // Average ms per frame above which the device counts as slow
+    droppedFrameRate: 0.15, // Share of dropped video frames treated as overloaded
+    boostWindow: 5000, // A detection this recent makes another one likely
+    frameWindow: 30, // Frame timings kept for the rolling average
+    evaluateInterval: 2000 // Minimum ms between tier changes, so it doesn't flap
+};
+
+class PerformanceController {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.tier = 'normal';
+        this.battery = null;
+        this.frameTimes = [];
+        this.droppedRate = 0;
+        this.lastVideoQuality = null;
+        this.lastDetectionTime = 0;
+        this.lastEvaluation = 0;
+        this.listeners = new Set();
+
+        this.stats = {
+            tierChanges: 0
+        };
+
+        this.handleBatteryChange = () => this.evaluate(true);
+    }
+
+    // Battery Status API is Chromium-only; elsewhere the battery signal is simply absent
+    async start() {
+        if (this.battery || typeof navigator === 'undefined' || typeof navigator.getBattery !== 'function') {
+            return;
+        }
+
+        try {
+            this.battery = await navigator.getBattery();
+            this.battery.addEventListener('levelchange', this.handleBatteryChange);
+            this.battery.addEventListener('chargingchange', this.handleBatteryChange);
+            this.evaluate(true);
+        } catch (error) {
+            console.warn('Battery status unavailable:', error);
+        }
+    }
+
+    stop() {
+        if (this.battery) {
+            this.battery.removeEventListener('levelchange', this.handleBatteryChange);
+            this.battery.removeEventListener('chargingchange', this.handleBatteryChange);
+            this.battery = null;
+        }
+    }
+
+    // Time spent capturing and analysing one frame on the main thread
+    recordFrameTime(ms) {
+        this.frameTimes.push(ms);
+        if (this.frameTimes.length > this.options.frameWindow) {
+            this.frameTimes.shift();
+        }
+        this.evaluate();
+    }
+
+    // Dropped-frame rate since the previous sample, from HTMLVideoElement.getVideoPlaybackQuality
+    sampleVideo(video) {
+        if (!video || typeof video.getVideoPlaybackQuality !== 'function') {
+            return;
+        }
+
+        const quality = video.getVideoPlaybackQuality();
+        const last = this.lastVideoQuality;
+        this.lastVideoQuality = quality;
+
+        if (last) {
+            const total = quality.totalVideoFrames - last.totalVideoFrames;
+            const dropped = quality.droppedVideoFrames - last.droppedVideoFrames;
+            if (total > 0) {
+                this.droppedRate = dropped / total;
+            }
+        }
+    }
+
+    recordDetections(detections) {
+        if (detections.length > 0) {
+            this.lastDetectionTime = Date.now();
+            this.evaluate(true);
+        }
+    }
+
+    getAverageFrameTime() {
+        if (this.frameTimes.length === 0) {
+            return 0;
+        }
+        return this.frameTimes.reduce((sum, ms) => sum + ms, 0) / this.frameTimes.length;
+    }
+
+    // Slowest tier any signal asks for; boost only when nothing holds the device back
+    computeTier() {
+        const { lowBattery, criticalBattery, slowFrameTime, droppedFrameRate, boostWindow } = this.options;
+        const candidates = ['normal'];
+
+        if (this.battery && !this.battery.charging) {
+            if (this.battery.level < criticalBattery) {
+                candidates.push('critical');
+            } else if (this.battery.level < lowBattery) {
+                candidates.push('saver');
+            }
+        }
+
+        const frameTime = this.getAverageFrameTime();
+        if (frameTime > slowFrameTime * 2) {
+            candidates.push('critical');
+        } else if (frameTime > slowFrameTime || this.droppedRate > droppedFrameRate) {
+            candidates.push('saver');
+        }
+
+        const slowest = TIER_ORDER.find(tier => candidates.includes(tier));
+        if (slowest === 'normal' && Date.now() - this.lastDetectionTime <= boostWindow) {
+            return 'boost';
+        }
+        return slowest;
+    }
+
+    evaluate(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastEvaluation < this.options.evaluateInterval) {
+            return;
+        }
+        this.lastEvaluation = now;
+
+        const tier = this.computeTier();
+        if (tier !== this.tier) {
+            const previous = this.tier;
+            this.tier = tier;
+            this.stats.tierChanges++;
+            console.log(`Performance tier: ${previous} -> ${tier}`);
+            this.listeners.forEach(listener => listener(tier, this.getTierSettings()));
+        }
+    }
+
+    getTier() {
+        return this.tier;
+    }
+
+    getTierSettings() {
+        return PERFORMANCE_TIERS[this.tier];
+    }
+
+    onTierChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            performanceTier: this.tier,
+            avgFrameTime: Number(this.getAverageFrameTime().toFixed(1)),
+            droppedFrameRate: Number(this.droppedRate.toFixed(3)),
+            batteryLevel: this.battery ? this.battery.level : null,
+            batteryCharging: this.battery ? this.battery.charging : null
+        };
+    }
+}
+
+// Export for global use
+window.PerformanceController = PerformanceController;
+export { PerformanceController, PERFORMANCE_TIERS };
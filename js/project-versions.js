@@ -0,0 +1,81 @@
+// Custom Labels Project Version Lookup
+// Shared by the browser detection core and the inference proxy server.
+import {
+    DescribeProjectsCommand,
+    DescribeProjectVersionsCommand,
+    ListDatasetLabelsCommand
+} from '@aws-sdk/client-rekognition';
+
+function parseModelArn(modelArn) {
+    // arn:aws:rekognition:<region>:<account>:project/<project>/version/<version>/<timestamp>
+    const match = /^arn:aws:rekognition:[^:]+:[^:]+:project\/([^/]+)\/version\/([^/]+)\/\d+$/.exec(modelArn || '');
+    if (!match) {
+        throw new Error(`Not a Custom Labels project version ARN: ${modelArn}`);
+    }
+
+    return {
+        projectName: match[1],
+        versionName: match[2]
+    };
+}
+
+// Resolves to { description, projectArn }; pass the returned projectArn back in to skip
+// the DescribeProjects lookup next time
+async function describeProjectVersion(client, { modelArn, projectArn = null }) {
+    const { projectName, versionName } = parseModelArn(modelArn);
+
+    if (!projectArn) {
+        const projects = await client.send(new DescribeProjectsCommand({
+            ProjectNames: [projectName]
+        }));
+        const project = (projects.ProjectDescriptions || [])[0];
+        if (!project) {
+            throw new Error(`Custom Labels project ${projectName} not found`);
+        }
+        projectArn = project.ProjectArn;
+    }
+
+    const result = await client.send(new DescribeProjectVersionsCommand({
+        ProjectArn: projectArn,
+        VersionNames: [versionName]
+    }));
+    const description = (result.ProjectVersionDescriptions || [])[0];
+    if (!description) {
+        throw new Error(`Model version ${versionName} not found in project ${projectName}`);
+    }
+
+    return { description, projectArn };
+}
+
+// Label names from the project's training dataset. DescribeProjectVersions only points at
+// manifests in S3, so ListDatasetLabels is the direct source; projects created before
+// datasets existed have none and resolve to []
+async function listProjectLabels(client, { modelArn }) {
+    const { projectName } = parseModelArn(modelArn);
+
+    const projects = await client.send(new DescribeProjectsCommand({
+        ProjectNames: [projectName]
+    }));
+    const project = (projects.ProjectDescriptions || [])[0];
+    const datasets = (project && project.Datasets) || [];
+    const dataset = datasets.find(entry => entry.DatasetType === 'TRAIN') || datasets[0];
+    if (!dataset) {
+        return [];
+    }
+
+    const labels = [];
+    let nextToken;
+
+    do {
+        const page = await client.send(new ListDatasetLabelsCommand({
+            DatasetArn: dataset.DatasetArn,
+            NextToken: nextToken
+        }));
+        (page.DatasetLabelDescriptions || []).forEach(label => labels.push(label.LabelName));
+        nextToken = page.NextToken;
+    } while (nextToken);
+
+    return labels;
+}
+
+export { parseModelArn, describeProjectVersion, listProjectLabels };
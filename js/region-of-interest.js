@@ -0,0 +1,111 @@
+// Region of Interest Planner
+// Picks the part of each frame worth uploading: a center-weighted crop by default, the
+// last hits' bounding boxes (all of them) plus a margin while logos are being followed, and
+// the full frame every few scans so logos outside the ROI are still found. Regions are in
+// source pixels.
+
+const DEFAULT_OPTIONS = {
+    centerCrop: 0.7, // Fraction of width/height kept by the default center crop
+    margin: 0.5, // Added on every side of the last box, as a fraction of its size
+    minSize: 0.3, // Smallest ROI edge, as a fraction of the frame edge
+    holdTime: 3000, // How long (ms) a hit keeps steering the ROI
+    fullFrameEvery: 4 // Every Nth scan uploads the full frame; 0 disables ROI cropping
+};
+
+class RegionOfInterest {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.lastHit = null;
+        this.scanCount = 0;
+
+        this.stats = {
+            fullFrameScans: 0,
+            centerScans: 0,
+            trackedScans: 0
+        };
+    }
+
+    // Region for the next upload, or null for the full frame
+    next(frameWidth, frameHeight) {
+        const { fullFrameEvery } = this.options;
+
+        // The first scan, and every Nth after it, sees the whole frame
+        if (fullFrameEvery <= 0 || this.scanCount++ % fullFrameEvery === 0) {
+            this.stats.fullFrameScans++;
+            return null;
+        }
+
+        if (this.lastHit && Date.now() - this.lastHit.time <= this.options.holdTime) {
+            this.stats.trackedScans++;
+            return this.around(this.lastHit.box, frameWidth, frameHeight);
+        }
+
+        this.stats.centerScans++;
+        return this.center(frameWidth, frameHeight);
+    }
+
+    center(frameWidth, frameHeight) {
+        const width = Math.round(frameWidth * this.options.centerCrop);
+        const height = Math.round(frameHeight * this.options.centerCrop);
+
+        return {
+            x: Math.round((frameWidth - width) / 2),
+            y: Math.round((frameHeight - height) / 2),
+            width,
+            height
+        };
+    }
+
+    // Normalized full-frame box -> expanded pixel region, clamped to the frame
+    around(box, frameWidth, frameHeight) {
+        const { margin, minSize } = this.options;
+        const width = Math.min(1, Math.max(minSize, box.width * (1 + 2 * margin)));
+        const height = Math.min(1, Math.max(minSize, box.height * (1 + 2 * margin)));
+        const left = Math.min(1 - width, Math.max(0, box.left + box.width / 2 - width / 2));
+        const top = Math.min(1 - height, Math.max(0, box.top + box.height / 2 - height / 2));
+
+        return {
+            x: Math.round(left * frameWidth),
+            y: Math.round(top * frameHeight),
+            width: Math.round(width * frameWidth),
+            height: Math.round(height * frameHeight)
+        };
+    }
+
+    // Feed back each scan's (full-frame) detections; a miss drops back to the center crop.
+    // Several logos are followed together through the union of their boxes
+    record(detections) {
+        const boxes = detections.map(detection => detection.boundingBox).filter(Boolean);
+        if (boxes.length === 0) {
+            this.lastHit = null;
+            return;
+        }
+
+        const left = Math.min(...boxes.map(box => box.left));
+        const top = Math.min(...boxes.map(box => box.top));
+        const right = Math.max(...boxes.map(box => box.left + box.width));
+        const bottom = Math.max(...boxes.map(box => box.top + box.height));
+        this.lastHit = {
+            box: { left, top, width: right - left, height: bottom - top },
+            time: Date.now()
+        };
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+
+    reset() {
+        this.lastHit = null;
+        this.scanCount = 0;
+        this.stats = {
+            fullFrameScans: 0,
+            centerScans: 0,
+            trackedScans: 0
+        };
+    }
+}
+
+// Export for global use
+window.RegionOfInterest = RegionOfInterest;
+export { RegionOfInterest };
@@ -0,0 +1,142 @@
+// Resilience: jittered exponential backoff and a circuit breaker for detection calls
+
+// "Full jitter" backoff: a random delay between 0 and base * 2^attempt, capped at max
+function computeBackoff(attempt, { baseDelay = 500, maxDelay = 8000 } = {}) {
+    const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+}
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed', // Calls flow normally
+    OPEN: 'open', // Calls are rejected until the cooldown elapses
+    HALF_OPEN: 'half-open' // One probe call decides whether to close or re-open
+};
+
+class CircuitBreaker {
+    // probeWait: retry hint while the half-open probe is still out
+    constructor({ failureThreshold = 5, cooldown = 30000, maxCooldown = 300000, probeWait = 500 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.probeWait = probeWait;
+        this.baseCooldown = cooldown;
+        this.maxCooldown = maxCooldown;
+
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.cooldown = cooldown;
+        this.openedAt = 0;
+        this.probeInFlight = false;
+        this.listeners = new Set();
+
+        this.stats = {
+            opened: 0,
+            rejected: 0,
+            probes: 0
+        };
+    }
+
+    // Whether a call may go out now; moves OPEN -> HALF_OPEN once the cooldown has elapsed
+    canRequest() {
+        if (this.state === CIRCUIT_STATES.CLOSED) {
+            return true;
+        }
+
+        if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.cooldown) {
+            this.setState(CIRCUIT_STATES.HALF_OPEN);
+        }
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.probeInFlight) {
+            this.probeInFlight = true;
+            this.stats.probes++;
+            return true;
+        }
+
+        this.stats.rejected++;
+        return false;
+    }
+
+    // 0 when a call may go out now (a closed circuit, or a probe is due); callers can check
+    // this before preparing a call without claiming the probe
+    getRetryAfter() {
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+            return this.probeInFlight ? this.probeWait : 0;
+        }
+        if (this.state !== CIRCUIT_STATES.OPEN) {
+            return 0;
+        }
+        return Math.max(0, this.cooldown - (Date.now() - this.openedAt));
+    }
+
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.probeInFlight = false;
+        this.cooldown = this.baseCooldown;
+
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.setState(CIRCUIT_STATES.CLOSED);
+        }
+    }
+
+    recordFailure() {
+        this.consecutiveFailures++;
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+            // Probe failed: back off harder before the next one
+            this.probeInFlight = false;
+            this.cooldown = Math.min(this.maxCooldown, this.cooldown * 2);
+            this.open();
+        } else if (this.state === CIRCUIT_STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold) {
+            this.open();
+        }
+    }
+
+    // A call that was let through ended without telling us anything about service health
+    releaseProbe() {
+        this.probeInFlight = false;
+    }
+
+    open() {
+        this.openedAt = Date.now();
+        this.stats.opened++;
+        this.setState(CIRCUIT_STATES.OPEN);
+    }
+
+    setState(state) {
+        const previous = this.state;
+        this.state = state;
+        console.log(`Circuit breaker: ${previous} -> ${state}`);
+        this.listeners.forEach(listener => listener(state, previous));
+    }
+
+    onStateChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    isDegraded() {
+        return this.state !== CIRCUIT_STATES.CLOSED;
+    }
+
+    getStats() {
+        return {
+            circuitState: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            circuitOpened: this.stats.opened,
+            circuitRejected: this.stats.rejected,
+            circuitProbes: this.stats.probes
+        };
+    }
+
+    reset() {
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.cooldown = this.baseCooldown;
+        this.probeInFlight = false;
+        this.stats = {
+            opened: 0,
+            rejected: 0,
+            probes: 0
+        };
+    }
+}
+
+export { computeBackoff, CircuitBreaker, CIRCUIT_STATES };
@@ -1,64 +1,167 @@
 // Smart Detection System for Cost Optimization
+// Frame scores come from js/frame-quality.js, the same functions the frame worker and the
+// React component use, so a threshold or calibration profile accepts the same frames everywhere
+import {
+    SKIP_REASONS,
+    toLuminance,
+    calculateFrameDifference,
+    measureFrame,
+    classifyQuality
+} from './frame-quality.js';
+
 class SmartDetection {
-    constructor() {
-        this.lastFrame = null;
+    // stabilitySensor: optional StabilitySensor (js/stability-sensor.js) for device-motion gating
+    // regionOfInterest: optional RegionOfInterest (js/region-of-interest.js) choosing the crop to upload
+    // performanceController: optional PerformanceController (js/performance-controller.js) scaling the thresholds
+    constructor({ stabilitySensor = null, regionOfInterest = null, performanceController = null } = {}) {
+        this.lastLuma = null; // Luminance of the previous frame
+        this.spareLuma = null; // Buffer the next frame's luminance is written into
         this.lastScanTime = 0;
         this.isEnabled = true;
-        this.motionThreshold = CONFIG.DETECTION.MOTION_THRESHOLD;
-        this.qualityThreshold = CONFIG.DETECTION.QUALITY_THRESHOLD;
-        this.scanInterval = CONFIG.DETECTION.SCAN_INTERVAL;
+        this.stabilitySensor = stabilitySensor;
+        this.regionOfInterest = regionOfInterest;
+        this.performanceController = performanceController;
+        this.scanRequested = false;
+
+        // Configured values; the thresholds below are these scaled by the performance tier
+        this.baseSettings = {
+            motionThreshold: CONFIG.DETECTION.MOTION_THRESHOLD,
+            qualityThreshold: CONFIG.DETECTION.QUALITY_THRESHOLD,
+            scanInterval: CONFIG.DETECTION.SCAN_INTERVAL
+        };
+        this.profile = 'default'; // Calibration profile the thresholds came from
+        this.applyPerformanceTier();
         
         // Performance tracking
         this.stats = {
             framesAnalyzed: 0,
             framesSkipped: 0,
             motionDetected: 0,
-            qualityPassed: 0
+            qualityPassed: 0,
+            unstableSkipped: 0,
+            steadyScans: 0,
+            reasons: this.createReasonCounts()
         };
+
+        // Scan as soon as the user holds the device steady instead of waiting out the interval
+        if (this.stabilitySensor) {
+            this.stabilitySensor.onSteady(() => this.requestScan());
+        }
+
+        if (this.performanceController) {
+            this.performanceController.onTierChange(() => this.applyPerformanceTier());
+        }
+    }
+
+    applyPerformanceTier() {
+        const tier = this.performanceController ? this.performanceController.getTierSettings() : null;
+
+        this.motionThreshold = this.baseSettings.motionThreshold * (tier ? tier.motionFactor : 1);
+        this.qualityThreshold = Math.min(1, this.baseSettings.qualityThreshold * (tier ? tier.qualityFactor : 1));
+        this.scanInterval = this.baseSettings.scanInterval * (tier ? tier.scanIntervalFactor : 1);
+    }
+
+    createReasonCounts() {
+        // Why a frame was or wasn't sent; the same strings the UI guidance is keyed on
+        return Object.fromEntries(Object.values(SKIP_REASONS).map(reason => [reason, 0]));
     }
 
+    // frameData: { imageData } from the camera, or from FrameAnalyzer with an `analysis` of
+    // { difference, sharpness, brightness, luminance } already computed in the frame worker.
+    // Returns { process, reason, sharpness, brightness }; the scores are null when the frame
+    // was skipped before the quality check.
     shouldProcessFrame(frameData) {
         if (!this.isEnabled) {
-            return true; // Process all frames if smart detection is disabled
+            // Process all frames if smart detection is disabled
+            return { process: true, reason: SKIP_REASONS.ACCEPTED, sharpness: null, brightness: null };
         }
 
         this.stats.framesAnalyzed++;
 
-        // Time-based throttling
+        // Device stability: a shaking phone produces blurred frames
+        if (this.stabilitySensor && !this.stabilitySensor.isStable()) {
+            this.stats.unstableSkipped++;
+            return this.skip(SKIP_REASONS.UNSTABLE);
+        }
+
+        // Time-based throttling (skipped for the first frame after the device settles)
         const now = Date.now();
-        if (now - this.lastScanTime < this.scanInterval) {
-            this.stats.framesSkipped++;
-            return false;
+        const steadyScan = this.scanRequested;
+        if (!steadyScan && now - this.lastScanTime < this.scanInterval) {
+            return this.skip(SKIP_REASONS.THROTTLED);
         }
 
-        // Motion detection
-        if (!this.detectMotion(frameData.imageData)) {
-            this.stats.framesSkipped++;
-            return false;
+        // Motion detection; a just-settled device has little pixel motion, so it doesn't gate steady scans
+        const moved = this.detectMotion(frameData.imageData, frameData.analysis);
+        if (!steadyScan && !moved) {
+            return this.skip(SKIP_REASONS.NO_MOTION);
         }
 
         // Quality assessment
-        if (!this.assessImageQuality(frameData.imageData)) {
-            this.stats.framesSkipped++;
-            return false;
+        const quality = this.measureQuality(frameData.imageData, frameData.analysis);
+        const reason = classifyQuality(quality, this.qualityThreshold);
+        if (reason !== SKIP_REASONS.ACCEPTED) {
+            return this.skip(reason, quality);
         }
 
         this.lastScanTime = now;
         this.stats.qualityPassed++;
-        return true;
+        this.stats.reasons[SKIP_REASONS.ACCEPTED]++;
+        if (steadyScan) {
+            this.scanRequested = false;
+            this.stats.steadyScans++;
+        }
+        return { process: true, reason, sharpness: quality.sharpness, brightness: quality.brightness };
     }
 
-    detectMotion(currentImageData) {
-        if (!this.lastFrame) {
-            this.lastFrame = this.copyImageData(currentImageData);
-            this.stats.motionDetected++;
-            return true;
+    // Raw scores of every frame, ignoring throttling and thresholds; feeds ThresholdCalibrator
+    sampleFrame(frameData) {
+        const quality = this.measureQuality(frameData.imageData, frameData.analysis);
+        const difference = frameData.analysis ?
+            frameData.analysis.difference : this.compareToLastFrame(frameData.imageData);
+
+        return { difference, ...quality };
+    }
+
+    skip(reason, quality = null) {
+        this.stats.framesSkipped++;
+        this.stats.reasons[reason]++;
+        return {
+            process: false,
+            reason,
+            sharpness: quality ? quality.sharpness : null,
+            brightness: quality ? quality.brightness : null
+        };
+    }
+
+    // Ask for a cloud scan on the next usable frame, e.g. when local tracking lost the logo
+    requestScan() {
+        this.scanRequested = true;
+    }
+
+    // Crop for a frame that passed shouldProcessFrame; null uploads the full frame
+    getRegionOfInterest(frameWidth, frameHeight) {
+        if (!this.isEnabled || !this.regionOfInterest) {
+            return null;
         }
+        return this.regionOfInterest.next(frameWidth, frameHeight);
+    }
 
-        const diff = this.calculateFrameDifference(currentImageData, this.lastFrame);
-        this.lastFrame = this.copyImageData(currentImageData);
+    // Full-frame detections of the last scan steer the next ROI and the performance tier
+    recordDetections(detections) {
+        if (this.regionOfInterest) {
+            this.regionOfInterest.record(detections);
+        }
+        if (this.performanceController) {
+            this.performanceController.recordDetections(detections);
+        }
+    }
+
+    detectMotion(currentImageData, analysis = null) {
+        // The frame worker diffs against its own previous frame; null means there was none
+        const difference = analysis ? analysis.difference : this.compareToLastFrame(currentImageData);
 
-        if (diff > this.motionThreshold) {
+        if (difference === null || difference > this.motionThreshold) {
             this.stats.motionDetected++;
             return true;
         }
@@ -66,137 +169,54 @@ class SmartDetection {
         return false;
     }
 
-    calculateFrameDifference(frame1, frame2) {
-        const data1 = frame1.data;
-        const data2 = frame2.data;
-        let totalDiff = 0;
-        let pixelCount = 0;
-
-        // Sample every 4th pixel for performance (RGBA = 4 values per pixel)
-        for (let i = 0; i < data1.length; i += 16) {
-            const r1 = data1[i];
-            const g1 = data1[i + 1];
-            const b1 = data1[i + 2];
-            
-            const r2 = data2[i];
-            const g2 = data2[i + 1];
-            const b2 = data2[i + 2];
-
-            // Calculate luminance difference
-            const lum1 = 0.299 * r1 + 0.587 * g1 + 0.114 * b1;
-            const lum2 = 0.299 * r2 + 0.587 * g2 + 0.114 * b2;
-            
-            totalDiff += Math.abs(lum1 - lum2);
-            pixelCount++;
-        }
+    // Luminance change against the previous frame, 0-1; null for the first frame or when the
+    // capture size changed (camera switch, performance tier). The two buffers are reused
+    compareToLastFrame(imageData) {
+        const luma = toLuminance(imageData, this.spareLuma);
+        const difference = this.lastLuma && this.lastLuma.length === luma.length ?
+            calculateFrameDifference(luma, this.lastLuma) : null;
 
-        return pixelCount > 0 ? (totalDiff / pixelCount) / 255 : 0;
+        this.spareLuma = this.lastLuma;
+        this.lastLuma = luma;
+        return difference;
     }
 
-    assessImageQuality(imageData) {
-        // Calculate image sharpness using edge detection
-        const sharpness = this.calculateSharpness(imageData);
-        
-        // Calculate brightness to avoid too dark/bright images
-        const brightness = this.calculateBrightness(imageData);
-        
-        // Quality score based on sharpness and brightness
-        const qualityScore = (sharpness * 0.7) + (brightness * 0.3);
-        
-        return qualityScore > this.qualityThreshold;
-    }
-
-    calculateSharpness(imageData) {
-        const data = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
-        let sharpness = 0;
-        let count = 0;
-
-        // Sobel edge detection (simplified)
-        for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x += 4) { // Sample every 4th pixel
-                const idx = (y * width + x) * 4;
-                
-                // Get luminance values for 3x3 grid
-                const tl = this.getLuminance(data, idx - width * 4 - 4);
-                const tm = this.getLuminance(data, idx - width * 4);
-                const tr = this.getLuminance(data, idx - width * 4 + 4);
-                const ml = this.getLuminance(data, idx - 4);
-                const mm = this.getLuminance(data, idx);
-                const mr = this.getLuminance(data, idx + 4);
-                const bl = this.getLuminance(data, idx + width * 4 - 4);
-                const bm = this.getLuminance(data, idx + width * 4);
-                const br = this.getLuminance(data, idx + width * 4 + 4);
-
-                // Sobel operators
-                const gx = (-1 * tl) + (1 * tr) + (-2 * ml) + (2 * mr) + (-1 * bl) + (1 * br);
-                const gy = (-1 * tl) + (-2 * tm) + (-1 * tr) + (1 * bl) + (2 * bm) + (1 * br);
-                
-                sharpness += Math.sqrt(gx * gx + gy * gy);
-                count++;
-            }
-        }
-
-        return count > 0 ? (sharpness / count) / 255 : 0;
-    }
-
-    calculateBrightness(imageData) {
-        const data = imageData.data;
-        let totalBrightness = 0;
-        let count = 0;
-
-        // Sample every 16th pixel for performance
-        for (let i = 0; i < data.length; i += 64) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            
-            // Calculate luminance
-            const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
-            totalBrightness += luminance;
-            count++;
-        }
-
-        const avgBrightness = count > 0 ? totalBrightness / count : 0;
-        
-        // Normalize brightness score (optimal range: 50-200)
-        if (avgBrightness < 50) return avgBrightness / 50 * 0.5;
-        if (avgBrightness > 200) return Math.max(0, 1 - (avgBrightness - 200) / 55);
-        return 1; // Optimal brightness range
+    assessImageQuality(imageData, analysis = null) {
+        return classifyQuality(this.measureQuality(imageData, analysis), this.qualityThreshold) === SKIP_REASONS.ACCEPTED;
     }
 
-    getLuminance(data, index) {
-        if (index < 0 || index >= data.length - 2) return 0;
-        return 0.299 * data[index] + 0.587 * data[index + 1] + 0.114 * data[index + 2];
-    }
+    // { sharpness, brightness, luminance }, from the worker's analysis when there is one
+    measureQuality(imageData, analysis = null) {
+        if (analysis) {
+            return {
+                sharpness: analysis.sharpness,
+                brightness: analysis.brightness,
+                luminance: analysis.luminance
+            };
+        }
 
-    copyImageData(imageData) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
-        
-        const newImageData = ctx.createImageData(imageData.width, imageData.height);
-        newImageData.data.set(imageData.data);
-        
-        return newImageData;
+        return measureFrame(imageData);
     }
 
     setEnabled(enabled) {
         this.isEnabled = enabled;
     }
 
+    // Also takes a calibration profile ({ name, motionThreshold, qualityThreshold, ... })
     updateSettings(settings) {
+        if (settings.name !== undefined) {
+            this.profile = settings.name;
+        }
         if (settings.motionThreshold !== undefined) {
-            this.motionThreshold = settings.motionThreshold;
+            this.baseSettings.motionThreshold = settings.motionThreshold;
         }
         if (settings.qualityThreshold !== undefined) {
-            this.qualityThreshold = settings.qualityThreshold;
+            this.baseSettings.qualityThreshold = settings.qualityThreshold;
         }
         if (settings.scanInterval !== undefined) {
-            this.scanInterval = settings.scanInterval;
+            this.baseSettings.scanInterval = settings.scanInterval;
         }
+        this.applyPerformanceTier();
     }
 
     getStats() {
@@ -205,6 +225,12 @@ class SmartDetection {
         
         return {
             ...this.stats,
+            reasons: { ...this.stats.reasons },
+            ...(this.stabilitySensor ? this.stabilitySensor.getStats() : {}),
+            ...(this.regionOfInterest ? this.regionOfInterest.getStats() : {}),
+            ...(this.performanceController ? this.performanceController.getStats() : {}),
+            scanInterval: this.scanInterval,
+            calibrationProfile: this.profile,
             efficiency: `${efficiency}%`,
             motionRate: this.stats.framesAnalyzed > 0 ? 
                 (this.stats.motionDetected / this.stats.framesAnalyzed * 100).toFixed(1) : 0,
@@ -214,16 +240,25 @@ class SmartDetection {
     }
 
     reset() {
-        this.lastFrame = null;
+        this.lastLuma = null;
+        this.spareLuma = null;
         this.lastScanTime = 0;
+        this.scanRequested = false;
+        if (this.regionOfInterest) {
+            this.regionOfInterest.reset();
+        }
         this.stats = {
             framesAnalyzed: 0,
             framesSkipped: 0,
             motionDetected: 0,
-            qualityPassed: 0
+            qualityPassed: 0,
+            unstableSkipped: 0,
+            steadyScans: 0,
+            reasons: this.createReasonCounts()
         };
     }
 }
 
 // Export for global use
 window.SmartDetection = SmartDetection;
+export { SmartDetection };
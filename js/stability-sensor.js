@@ -0,0 +1,255 @@
+// Device Stability Sensor
+// Pixel differences can't tell a shaking phone from a moving scene, so this stage reads
+// devicemotion/deviceorientation and keeps a rolling stability score (1 = perfectly still).
+// Frames are skipped while the device moves fast and listeners hear about the moment it
+// is held steady. Without sensors (desktops) every frame counts as stable.
+
+const DEFAULT_OPTIONS = {
+    windowSize: 500, // Rolling window in ms
+    motionThreshold: 2, // m/s² of linear acceleration at which the score reaches 0
+    rotationThreshold: 90, // deg/s of rotation at which the score reaches 0
+    minScore: 0.6, // Below this the device counts as moving
+    steadyDuration: 300, // Score must stay above minScore this long to count as held steady
+    sensorTimeout: 1000 // No events within this long after start(): no sensors, fall back
+};
+
+const GRAVITY = 9.81;
+
+const SENSOR_STATES = {
+    IDLE: 'idle', // start() not called yet
+    WAITING: 'waiting', // Listening, no events yet
+    ACTIVE: 'active',
+    UNAVAILABLE: 'unavailable', // No API or no events: every frame counts as stable
+    DENIED: 'denied' // iOS permission prompt declined
+};
+
+class StabilitySensor {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.state = SENSOR_STATES.IDLE;
+        this.samples = [];
+        this.hasRotationRate = false;
+        this.lastOrientation = null;
+        this.steadySince = null;
+        this.isSteady = true;
+        this.sensorTimer = null;
+        this.steadyListeners = new Set();
+
+        this.stats = {
+            motionSamples: 0,
+            steadyTriggers: 0
+        };
+
+        this.handleMotion = this.handleMotion.bind(this);
+        this.handleOrientation = this.handleOrientation.bind(this);
+    }
+
+    isSupported() {
+        return typeof window !== 'undefined' && typeof window.DeviceMotionEvent !== 'undefined';
+    }
+
+    // iOS 13+ only delivers motion events after an explicit prompt
+    needsPermission() {
+        return this.isSupported() && typeof window.DeviceMotionEvent.requestPermission === 'function';
+    }
+
+    // Must run inside a user gesture (e.g. the Start Detection click) for the iOS prompt to show
+    async requestPermission() {
+        if (!this.needsPermission()) {
+            return 'granted';
+        }
+
+        try {
+            const motion = await window.DeviceMotionEvent.requestPermission();
+            if (window.DeviceOrientationEvent && typeof window.DeviceOrientationEvent.requestPermission === 'function') {
+                await window.DeviceOrientationEvent.requestPermission();
+            }
+
+            if (motion !== 'granted') {
+                this.state = SENSOR_STATES.DENIED;
+            }
+            return motion;
+        } catch (error) {
+            // Thrown when not called from a user gesture
+            console.warn('Motion sensor permission request failed:', error);
+            this.state = SENSOR_STATES.DENIED;
+            return 'denied';
+        }
+    }
+
+    start() {
+        if (this.state === SENSOR_STATES.ACTIVE || this.state === SENSOR_STATES.WAITING) {
+            return;
+        }
+
+        if (!this.isSupported() || this.state === SENSOR_STATES.DENIED) {
+            this.state = this.state === SENSOR_STATES.DENIED ? SENSOR_STATES.DENIED : SENSOR_STATES.UNAVAILABLE;
+            console.log(`Device stability sensor ${this.state}: gating on pixel motion only`);
+            return;
+        }
+
+        this.state = SENSOR_STATES.WAITING;
+        window.addEventListener('devicemotion', this.handleMotion);
+        window.addEventListener('deviceorientation', this.handleOrientation);
+
+        // Desktop browsers expose DeviceMotionEvent but never fire it
+        this.sensorTimer = setTimeout(() => {
+            if (this.state === SENSOR_STATES.WAITING) {
+                this.state = SENSOR_STATES.UNAVAILABLE;
+                this.removeListeners();
+                console.log('No motion sensor events: device stability gating disabled');
+            }
+        }, this.options.sensorTimeout);
+    }
+
+    stop() {
+        this.removeListeners();
+        clearTimeout(this.sensorTimer);
+        this.sensorTimer = null;
+
+        if (this.state === SENSOR_STATES.ACTIVE || this.state === SENSOR_STATES.WAITING) {
+            this.state = SENSOR_STATES.IDLE;
+        }
+        this.samples = [];
+        this.lastOrientation = null;
+        this.steadySince = null;
+        this.isSteady = true;
+    }
+
+    removeListeners() {
+        if (typeof window === 'undefined') return;
+        window.removeEventListener('devicemotion', this.handleMotion);
+        window.removeEventListener('deviceorientation', this.handleOrientation);
+    }
+
+    handleMotion(event) {
+        let acceleration = null;
+
+        if (event.acceleration && event.acceleration.x !== null) {
+            acceleration = this.magnitude(event.acceleration.x, event.acceleration.y, event.acceleration.z);
+        } else if (event.accelerationIncludingGravity && event.accelerationIncludingGravity.x !== null) {
+            // No linear acceleration on this device: approximate by removing gravity's magnitude
+            const { x, y, z } = event.accelerationIncludingGravity;
+            acceleration = Math.abs(this.magnitude(x, y, z) - GRAVITY);
+        }
+
+        let rotationRate = null;
+        if (event.rotationRate && event.rotationRate.alpha !== null) {
+            this.hasRotationRate = true;
+            rotationRate = this.magnitude(event.rotationRate.alpha, event.rotationRate.beta, event.rotationRate.gamma);
+        }
+
+        if (acceleration !== null || rotationRate !== null) {
+            this.addSample({ acceleration, rotationRate });
+        }
+    }
+
+    // Orientation deltas stand in for rotationRate on devices that don't report it
+    handleOrientation(event) {
+        if (this.hasRotationRate || event.alpha === null) {
+            return;
+        }
+
+        const now = Date.now();
+        const orientation = { alpha: event.alpha, beta: event.beta, gamma: event.gamma, timestamp: now };
+        const last = this.lastOrientation;
+        this.lastOrientation = orientation;
+
+        if (!last || now === last.timestamp) {
+            return;
+        }
+
+        // Alpha wraps at 360
+        const alpha = Math.abs(((orientation.alpha - last.alpha + 540) % 360) - 180);
+        const degrees = this.magnitude(alpha, orientation.beta - last.beta, orientation.gamma - last.gamma);
+        this.addSample({ rotationRate: degrees / ((now - last.timestamp) / 1000) });
+    }
+
+    // Public so tests and simulators can inject sensor data: { acceleration, rotationRate, timestamp }
+    addSample({ acceleration = null, rotationRate = null, timestamp = Date.now() }) {
+        if (this.state !== SENSOR_STATES.ACTIVE) {
+            clearTimeout(this.sensorTimer);
+            this.state = SENSOR_STATES.ACTIVE;
+        }
+
+        this.samples.push({ acceleration, rotationRate, timestamp });
+        this.stats.motionSamples++;
+        this.pruneSamples(timestamp);
+        this.updateSteadiness(timestamp);
+    }
+
+    pruneSamples(now) {
+        const cutoff = now - this.options.windowSize;
+        while (this.samples.length > 0 && this.samples[0].timestamp < cutoff) {
+            this.samples.shift();
+        }
+    }
+
+    getScore() {
+        if (this.samples.length === 0) {
+            return 1;
+        }
+
+        const acceleration = this.rms(this.samples.map(sample => sample.acceleration));
+        const rotation = this.rms(this.samples.map(sample => sample.rotationRate));
+        const level = Math.max(acceleration / this.options.motionThreshold, rotation / this.options.rotationThreshold);
+
+        return Math.max(0, 1 - level);
+    }
+
+    // Frames may be scanned; always true when there are no sensors to ask
+    isStable() {
+        if (this.state !== SENSOR_STATES.ACTIVE) {
+            return true;
+        }
+        return this.getScore() >= this.options.minScore;
+    }
+
+    updateSteadiness(now) {
+        if (this.getScore() < this.options.minScore) {
+            this.steadySince = null;
+            this.isSteady = false;
+            return;
+        }
+
+        if (this.steadySince === null) {
+            this.steadySince = now;
+        }
+
+        // Moving -> held steady long enough: tell listeners once
+        if (!this.isSteady && now - this.steadySince >= this.options.steadyDuration) {
+            this.isSteady = true;
+            this.stats.steadyTriggers++;
+            this.steadyListeners.forEach(listener => listener());
+        }
+    }
+
+    onSteady(listener) {
+        this.steadyListeners.add(listener);
+        return () => this.steadyListeners.delete(listener);
+    }
+
+    magnitude(x, y, z) {
+        return Math.sqrt((x || 0) * (x || 0) + (y || 0) * (y || 0) + (z || 0) * (z || 0));
+    }
+
+    rms(values) {
+        const present = values.filter(value => value !== null);
+        if (present.length === 0) {
+            return 0;
+        }
+        return Math.sqrt(present.reduce((sum, value) => sum + value * value, 0) / present.length);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            sensorState: this.state,
+            stabilityScore: this.state === SENSOR_STATES.ACTIVE ? Number(this.getScore().toFixed(2)) : null
+        };
+    }
+}
+
+// Export for global use
+window.StabilitySensor = StabilitySensor;
+export { StabilitySensor, SENSOR_STATES };
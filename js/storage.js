@@ -0,0 +1,20 @@
+// localStorage with an in-memory fallback for modules that persist small bits of state
+
+function getLocalStorage() {
+    try {
+        if (window.localStorage) {
+            return window.localStorage;
+        }
+    } catch (error) {
+        // Storage can be disabled (private mode, sandboxed iframes)
+    }
+
+    // Fall back to in-memory values for this page load
+    const memory = new Map();
+    return {
+        getItem: key => (memory.has(key) ? memory.get(key) : null),
+        setItem: (key, value) => memory.set(key, String(value))
+    };
+}
+
+export { getLocalStorage };
@@ -0,0 +1,192 @@
+// Video Analysis
+// Steps through a local video file (match footage) at a fixed sampling rate and feeds every
+// sample through the same gating and detection as the live loop. Frames SmartDetection finds
+// unchanged reuse the previous sample's detections instead of another API call; frames it
+// rejects for quality count as nothing on screen. The result is an ExposureTimeline
+// (js/exposure-report.js).
+import { VideoFrameSource } from './frame-sources.js';
+import { ExposureTimeline } from './exposure-report.js';
+import {
+    BudgetExceededError,
+    CircuitOpenError,
+    ReauthenticationRequiredError,
+    ThrottlingError
+} from './detection-errors.js';
+
+const DEFAULT_OPTIONS = {
+    sampleRate: 1, // Samples per second of video
+    analysisWidth: 320, // Gating pixels are never wider than this (same as the live sources)
+    seekTimeout: 5000, // A seek that never lands fails the analysis instead of hanging it
+    throttleDelay: 2000, // Wait after a ThrottlingError, as the live loop does
+    maxRetries: 3 // Per sample, for throttling and an open circuit
+};
+
+function createTimeoutError(message) {
+    const error = new Error(message);
+    error.name = 'TimeoutError';
+    return error;
+}
+
+class VideoAnalyzer {
+    // detector: RekognitionService or DetectionCore (detectLogo)
+    // gate: SmartDetection, or anything with shouldProcessFrame({ imageData }) -> { process, reason }
+    constructor({ detector, gate, ...options } = {}) {
+        this.detector = detector;
+        this.gate = gate;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.video = null;
+        this.objectUrl = null;
+        this.isCancelled = false;
+        this.isRunning = false;
+    }
+
+    // Opens the file in a hidden <video> and waits for its duration and dimensions
+    async load(file) {
+        this.unload();
+
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.preload = 'auto';
+        this.objectUrl = URL.createObjectURL(file);
+
+        await new Promise((resolve, reject) => {
+            this.video.onloadeddata = () => resolve();
+            this.video.onerror = () => reject(new Error(`Cannot play ${file.name}; the browser doesn't support this video format`));
+            this.video.src = this.objectUrl;
+        });
+
+        this.video.onloadeddata = null;
+        this.video.onerror = null;
+        return this.video;
+    }
+
+    unload() {
+        if (this.video) {
+            this.video.removeAttribute('src');
+            this.video.load();
+            this.video = null;
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+
+    seek(time) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.video.onseeked = null;
+                reject(createTimeoutError(`Seeking to ${time.toFixed(1)}s did not finish in time`));
+            }, this.options.seekTimeout);
+
+            this.video.onseeked = () => {
+                clearTimeout(timer);
+                this.video.onseeked = null;
+                resolve();
+            };
+            this.video.currentTime = time;
+        });
+    }
+
+    // Resolves to the ExposureTimeline; cancel() stops early and keeps what was analyzed.
+    // onProgress({ time, duration, sample, samples }) is called after every sample
+    async analyze(file, { onProgress = null } = {}) {
+        if (this.isRunning) {
+            throw new Error('A video is already being analyzed');
+        }
+
+        this.isRunning = true;
+        this.isCancelled = false;
+
+        try {
+            await this.load(file);
+
+            const { duration, videoWidth, videoHeight } = this.video;
+            if (!Number.isFinite(duration) || duration <= 0) {
+                throw new Error(`${file.name} has no usable duration`);
+            }
+
+            const interval = 1 / this.options.sampleRate;
+            const samples = Math.ceil(duration / interval);
+            const timeline = new ExposureTimeline({
+                sampleInterval: interval,
+                source: { name: file.name, duration, width: videoWidth, height: videoHeight }
+            });
+            const source = new VideoFrameSource({
+                video: this.video,
+                analysisWidth: this.options.analysisWidth,
+                label: file.name
+            });
+            await source.start();
+
+            for (let sample = 0; sample < samples && !this.isCancelled; sample++) {
+                const time = sample * interval;
+                await this.seek(time);
+                await this.analyzeSample(timeline, source.captureFrame(), time);
+
+                if (onProgress) {
+                    onProgress({ time, duration, sample: sample + 1, samples });
+                }
+            }
+
+            source.stop();
+            return timeline;
+        } finally {
+            this.isRunning = false;
+            this.unload();
+        }
+    }
+
+    async analyzeSample(timeline, frame, time) {
+        if (!frame) {
+            timeline.addSkipped(time, 'no-frame');
+            return;
+        }
+
+        const decision = this.gate.shouldProcessFrame(frame);
+        if (!decision.process) {
+            if (decision.reason === 'no-motion' || decision.reason === 'throttled') {
+                // Same picture as the last sample: whatever was on screen still is
+                timeline.addSample(time, timeline.getLastDetections(), { carried: true });
+            } else {
+                timeline.addSkipped(time, decision.reason);
+            }
+            return;
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const detections = await this.detector.detectLogo(frame.source, { imageData: frame.imageData });
+                timeline.addSample(time, detections);
+                return;
+            } catch (error) {
+                // Nothing later in the video will succeed either
+                if (error instanceof ReauthenticationRequiredError || error instanceof BudgetExceededError) {
+                    throw error;
+                }
+
+                const retryable = error instanceof CircuitOpenError || error instanceof ThrottlingError;
+                if (!retryable || attempt >= this.options.maxRetries || this.isCancelled) {
+                    console.warn(`Video analysis failed at ${time.toFixed(1)}s:`, error);
+                    timeline.addError(time);
+                    return;
+                }
+
+                await this.delay(error instanceof CircuitOpenError ? error.retryAfter : this.options.throttleDelay);
+            }
+        }
+    }
+
+    cancel() {
+        this.isCancelled = true;
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for global use
+window.VideoAnalyzer = VideoAnalyzer;
+export { VideoAnalyzer };
@@ -0,0 +1,47 @@
+// Cognito ID token verification for the inference proxy
+import { CognitoJwtVerifier } from 'aws-jwt-verify';
+import { JwtExpiredError } from 'aws-jwt-verify/error';
+import { SERVER_CONFIG } from './config.js';
+import { HttpError } from './http.js';
+
+let verifier = null;
+
+function getVerifier() {
+    if (!verifier) {
+        // Caches the User Pool's JWKS across warm Lambda invocations
+        verifier = CognitoJwtVerifier.create({
+            userPoolId: SERVER_CONFIG.USER_POOL_ID,
+            clientId: SERVER_CONFIG.CLIENT_ID,
+            tokenUse: 'id'
+        });
+    }
+    return verifier;
+}
+
+function getBearerToken(headers) {
+    const header = headers.authorization || headers.Authorization || '';
+    const match = /^Bearer\s+(.+)$/.exec(header);
+    return match ? match[1] : null;
+}
+
+// Resolves to { userId, email } or rejects with a 401 HttpError
+async function authenticate(headers = {}) {
+    const token = getBearerToken(headers);
+    if (!token) {
+        throw new HttpError(401, 'UnauthorizedException', 'Missing bearer token');
+    }
+
+    try {
+        const payload = await getVerifier().verify(token);
+        return {
+            userId: payload.sub,
+            email: payload.email || null
+        };
+    } catch (error) {
+        // The browser retries once with a refreshed token on any 401
+        const code = error instanceof JwtExpiredError ? 'ExpiredTokenException' : 'UnauthorizedException';
+        throw new HttpError(401, code, `Invalid ID token: ${error.message}`);
+    }
+}
+
+export { authenticate };
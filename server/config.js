@@ -0,0 +1,25 @@
+// Inference Proxy Configuration
+// Read from the environment: Lambda environment variables in production, the shell locally.
+// The model ARN lives here only; browsers in proxy mode never see it.
+
+const SERVER_CONFIG = {
+    REGION: process.env.AWS_REGION || 'us-east-1',
+    MODEL_ARN: process.env.MODEL_ARN || '',
+    PROJECT_ARN: process.env.PROJECT_ARN || null, // Optional; derived from MODEL_ARN via DescribeProjects when unset
+
+    // Cognito User Pool whose ID tokens the proxy accepts (the same pool Amplify signs users into)
+    USER_POOL_ID: process.env.COGNITO_USER_POOL_ID || '',
+    CLIENT_ID: process.env.COGNITO_CLIENT_ID || '',
+
+    // Per-user quota; QUOTA_TABLE switches from in-memory counts to a shared DynamoDB table
+    QUOTA_PER_DAY: Number(process.env.QUOTA_PER_DAY || 3000),
+    QUOTA_TABLE: process.env.QUOTA_TABLE || null,
+
+    MIN_CONFIDENCE: Number(process.env.MIN_CONFIDENCE || 30), // Floor for client-requested confidence (0-100)
+    MAX_IMAGE_BYTES: 4 * 1024 * 1024, // DetectCustomLabels limit for raw image bytes
+
+    ALLOWED_ORIGIN: process.env.ALLOWED_ORIGIN || '*',
+    PORT: Number(process.env.PORT || 8787)
+};
+
+export { SERVER_CONFIG };
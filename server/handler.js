@@ -0,0 +1,159 @@
+// Inference Proxy Lambda Handler
+// Routes (API Gateway REST or HTTP API, proxy integration):
+//   POST /detect  { image: <base64 JPEG/PNG>, minConfidence: 0-100 } -> { detections, remainingQuota }
+//   GET  /model   -> DescribeProjectVersions subset for the model status panel
+//   GET  /labels  -> { labels: [...] } label names from the training dataset
+// Every route requires a Cognito ID token: Authorization: Bearer <token>
+import { RekognitionClient, DetectCustomLabelsCommand } from '@aws-sdk/client-rekognition';
+import { normalizeCustomLabels } from '../js/detection-results.js';
+import { describeProjectVersion, listProjectLabels } from '../js/project-versions.js';
+import { SERVER_CONFIG } from './config.js';
+import { authenticate } from './auth.js';
+import { createQuotaStore } from './quota.js';
+import { HttpError, CORS_HEADERS, jsonResponse, errorResponse } from './http.js';
+
+// Created once per Lambda instance and reused across warm invocations
+const rekognition = new RekognitionClient({ region: SERVER_CONFIG.REGION });
+const quota = createQuotaStore();
+let projectArn = SERVER_CONFIG.PROJECT_ARN;
+
+function getRoute(event) {
+    // HTTP API (v2) events carry requestContext.http; REST API (v1) events carry httpMethod
+    const method = event.requestContext && event.requestContext.http
+        ? event.requestContext.http.method
+        : event.httpMethod;
+    const path = event.rawPath || event.path || '';
+
+    return { method, path: path.replace(/\/$/, '') };
+}
+
+function parseBody(event) {
+    if (!event.body) {
+        throw new HttpError(400, 'InvalidParameterException', 'Request body is required');
+    }
+
+    const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new HttpError(400, 'InvalidParameterException', 'Request body must be JSON');
+    }
+}
+
+// Rekognition errors keep their AWS code so the browser maps them onto the same typed errors
+function toHttpError(error) {
+    if (error instanceof HttpError) {
+        return error;
+    }
+
+    const code = error.name || 'InternalServerError';
+    const status = error.$metadata && error.$metadata.httpStatusCode;
+
+    if (code === 'ThrottlingException' || code === 'ProvisionedThroughputExceededException') {
+        return new HttpError(429, code, error.message);
+    }
+    if (!status || status >= 500) {
+        return new HttpError(502, code, error.message);
+    }
+    // Permission problems are the proxy's, not the caller's
+    if (code === 'AccessDeniedException') {
+        return new HttpError(502, code, 'Inference proxy is not allowed to call Rekognition');
+    }
+    return new HttpError(400, code, error.message);
+}
+
+// Failures that weren't the caller's fault and are worth retrying
+function isRetryable(error) {
+    const status = error.$metadata && error.$metadata.httpStatusCode;
+    return error.name === 'ThrottlingException' || error.name === 'ProvisionedThroughputExceededException' ||
+        !status || status >= 500;
+}
+
+async function detect(user, body) {
+    if (typeof body.image !== 'string' || body.image.length === 0) {
+        throw new HttpError(400, 'InvalidParameterException', 'image must be a base64 encoded string');
+    }
+
+    const bytes = Buffer.from(body.image, 'base64');
+    if (bytes.length > SERVER_CONFIG.MAX_IMAGE_BYTES) {
+        throw new HttpError(400, 'ImageTooLargeException', `Image exceeds ${SERVER_CONFIG.MAX_IMAGE_BYTES} bytes`);
+    }
+
+    const minConfidence = Number.isFinite(body.minConfidence)
+        ? Math.min(100, Math.max(SERVER_CONFIG.MIN_CONFIDENCE, body.minConfidence))
+        : SERVER_CONFIG.MIN_CONFIDENCE;
+
+    // Count the call before it's made so concurrent requests can't overshoot the quota
+    const remainingQuota = await quota.consume(user.userId);
+
+    let result;
+    try {
+        result = await rekognition.send(new DetectCustomLabelsCommand({
+            ProjectVersionArn: SERVER_CONFIG.MODEL_ARN,
+            Image: { Bytes: bytes },
+            MinConfidence: minConfidence
+        }));
+    } catch (error) {
+        // The browser retries throttled and failed calls; those retries shouldn't use up the quota
+        if (isRetryable(error)) {
+            await quota.refund(user.userId).catch(refundError => {
+                console.warn('Could not refund quota:', refundError);
+            });
+        }
+        throw error;
+    }
+
+    return {
+        detections: normalizeCustomLabels(result),
+        remainingQuota
+    };
+}
+
+async function describeModel() {
+    const lookup = await describeProjectVersion(rekognition, {
+        modelArn: SERVER_CONFIG.MODEL_ARN,
+        projectArn
+    });
+    projectArn = lookup.projectArn;
+
+    // Only what the model status panel needs; the ARNs stay server-side
+    const { Status, StatusMessage, MinInferenceUnits, MaxInferenceUnits, EvaluationResult } = lookup.description;
+    return {
+        Status,
+        StatusMessage,
+        MinInferenceUnits,
+        MaxInferenceUnits,
+        EvaluationResult: EvaluationResult ? { F1Score: EvaluationResult.F1Score } : undefined
+    };
+}
+
+async function handler(event) {
+    const { method, path } = getRoute(event);
+
+    if (method === 'OPTIONS') {
+        return { statusCode: 204, headers: CORS_HEADERS, body: '' };
+    }
+
+    try {
+        const user = await authenticate(event.headers || {});
+
+        if (method === 'POST' && path.endsWith('/detect')) {
+            return jsonResponse(200, await detect(user, parseBody(event)));
+        }
+        if (method === 'GET' && path.endsWith('/model')) {
+            return jsonResponse(200, await describeModel());
+        }
+        if (method === 'GET' && path.endsWith('/labels')) {
+            return jsonResponse(200, {
+                labels: await listProjectLabels(rekognition, { modelArn: SERVER_CONFIG.MODEL_ARN })
+            });
+        }
+
+        throw new HttpError(404, 'NotFound', `No route for ${method} ${path}`);
+    } catch (error) {
+        return errorResponse(toHttpError(error));
+    }
+}
+
+export { handler };
@@ -0,0 +1,44 @@
+// HTTP helpers for the inference proxy (API Gateway proxy-integration response shape)
+import { SERVER_CONFIG } from './config.js';
+
+// Carries the status code and the error code the browser's ProxyBackend maps onto typed errors
+class HttpError extends Error {
+    constructor(statusCode, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.code = code;
+    }
+}
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': SERVER_CONFIG.ALLOWED_ORIGIN,
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+function jsonResponse(statusCode, body) {
+    return {
+        statusCode,
+        headers: {
+            ...CORS_HEADERS,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+function errorResponse(error) {
+    if (!(error instanceof HttpError)) {
+        console.error('Inference proxy error:', error);
+    }
+
+    return jsonResponse(error.statusCode || 500, {
+        error: {
+            code: error.code || 'InternalServerError',
+            message: error.message
+        }
+    });
+}
+
+export { HttpError, CORS_HEADERS, jsonResponse, errorResponse };
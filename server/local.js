@@ -0,0 +1,42 @@
+// Runs the inference proxy handler as a plain HTTP server for local development:
+//   MODEL_ARN=... COGNITO_USER_POOL_ID=... COGNITO_CLIENT_ID=... npm run proxy
+import http from 'node:http';
+import { SERVER_CONFIG } from './config.js';
+import { handler } from './handler.js';
+import { errorResponse } from './http.js';
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (request, response) => {
+    let result;
+
+    try {
+        const url = new URL(request.url, `http://${request.headers.host}`);
+
+        // Shape the request like an API Gateway HTTP API (v2) event
+        result = await handler({
+            rawPath: url.pathname,
+            requestContext: { http: { method: request.method } },
+            headers: request.headers,
+            body: await readBody(request),
+            isBase64Encoded: false
+        });
+    } catch (error) {
+        // A broken request body or a handler bug still gets an answer (500) instead of hanging
+        result = errorResponse(error);
+    }
+
+    response.writeHead(result.statusCode, result.headers);
+    response.end(result.body);
+});
+
+server.listen(SERVER_CONFIG.PORT, () => {
+    console.log(`Inference proxy listening on http://localhost:${SERVER_CONFIG.PORT}`);
+});
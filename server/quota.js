@@ -0,0 +1,116 @@
+// Per-user daily quotas for the inference proxy
+// Unlike the browser's BudgetManager these can't be bypassed by clearing localStorage.
+import { DynamoDBClient, UpdateItemCommand } from '@aws-sdk/client-dynamodb';
+import { SERVER_CONFIG } from './config.js';
+import { HttpError } from './http.js';
+
+function getDay(now = new Date()) {
+    return now.toISOString().slice(0, 10); // UTC day, e.g. 2024-05-01
+}
+
+function quotaExceeded(limit) {
+    return new HttpError(429, 'QuotaExceeded', `Daily limit of ${limit} detections per user reached`);
+}
+
+// Counts per process: fine locally, but each Lambda instance keeps its own counts
+class MemoryQuotaStore {
+    constructor({ limit }) {
+        this.limit = limit;
+        this.counts = new Map();
+    }
+
+    async consume(userId) {
+        const key = `${userId}#${getDay()}`;
+        const count = this.counts.get(key) || 0;
+
+        if (count >= this.limit) {
+            throw quotaExceeded(this.limit);
+        }
+
+        this.counts.set(key, count + 1);
+        return this.limit - count - 1;
+    }
+
+    // Gives back a call that Rekognition failed to serve; a count that already rolled over
+    // to the next day has nothing to give back
+    async refund(userId) {
+        const key = `${userId}#${getDay()}`;
+        const count = this.counts.get(key) || 0;
+
+        if (count > 0) {
+            this.counts.set(key, count - 1);
+        }
+    }
+}
+
+// Shared counts in a DynamoDB table with partition key `pk` (string) and TTL attribute `expiresAt`
+class DynamoQuotaStore {
+    constructor({ limit, tableName, region }) {
+        this.limit = limit;
+        this.tableName = tableName;
+        this.client = new DynamoDBClient({ region });
+    }
+
+    async consume(userId) {
+        const day = getDay();
+
+        try {
+            // Atomic increment that refuses once the limit is reached
+            const result = await this.client.send(new UpdateItemCommand({
+                TableName: this.tableName,
+                Key: { pk: { S: `${userId}#${day}` } },
+                UpdateExpression: 'ADD #count :one SET expiresAt = if_not_exists(expiresAt, :expiresAt)',
+                ConditionExpression: 'attribute_not_exists(#count) OR #count < :limit',
+                ExpressionAttributeNames: { '#count': 'count' },
+                ExpressionAttributeValues: {
+                    ':one': { N: '1' },
+                    ':limit': { N: String(this.limit) },
+                    ':expiresAt': { N: String(Math.floor(Date.now() / 1000) + 2 * 24 * 3600) }
+                },
+                ReturnValues: 'UPDATED_NEW'
+            }));
+
+            return this.limit - Number(result.Attributes.count.N);
+        } catch (error) {
+            if (error.name === 'ConditionalCheckFailedException') {
+                throw quotaExceeded(this.limit);
+            }
+            throw error;
+        }
+    }
+
+    async refund(userId) {
+        try {
+            await this.client.send(new UpdateItemCommand({
+                TableName: this.tableName,
+                Key: { pk: { S: `${userId}#${getDay()}` } },
+                UpdateExpression: 'ADD #count :minus1',
+                // Never below zero, and never creates an item for a day that rolled over
+                ConditionExpression: '#count > :zero',
+                ExpressionAttributeNames: { '#count': 'count' },
+                ExpressionAttributeValues: {
+                    ':minus1': { N: '-1' },
+                    ':zero': { N: '0' }
+                }
+            }));
+        } catch (error) {
+            if (error.name !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+        }
+    }
+}
+
+function createQuotaStore() {
+    if (SERVER_CONFIG.QUOTA_TABLE) {
+        return new DynamoQuotaStore({
+            limit: SERVER_CONFIG.QUOTA_PER_DAY,
+            tableName: SERVER_CONFIG.QUOTA_TABLE,
+            region: SERVER_CONFIG.REGION
+        });
+    }
+
+    return new MemoryQuotaStore({ limit: SERVER_CONFIG.QUOTA_PER_DAY });
+}
+
+export { MemoryQuotaStore, DynamoQuotaStore, createQuotaStore };
@@ -29,7 +29,7 @@ function App() {
           </header>
 
           {/* Main AR Detection Component */}
-          <ARLogoDetection user={user} />
+          <ARLogoDetection user={user} signOut={signOut} />
         </div>
       )}
     </Authenticator>
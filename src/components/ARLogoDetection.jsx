@@ -1,138 +1,569 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { fetchAuthSession } from 'aws-amplify/auth';
-import { RekognitionClient, DetectCustomLabelsCommand } from '@aws-sdk/client-rekognition';
+import { DetectionCore } from '../../js/detection-core.js';
+import { StabilitySensor } from '../../js/stability-sensor.js';
+import { RegionOfInterest } from '../../js/region-of-interest.js';
+import { PerformanceController, PERFORMANCE_TIERS } from '../../js/performance-controller.js';
+import { TemplateTracker } from '../../js/object-tracker.js';
+import { SKIP_REASONS, measureFrame, classifyQuality, nextGuidance } from '../../js/frame-quality.js';
+import { CameraDevices, RESOLUTION_PRESETS, FRAME_RATE_PRESETS } from '../../js/camera-devices.js';
+import { CameraAssist } from '../../js/camera-assist.js';
+import { CameraLifecycle, CAMERA_STATES, attachStream } from '../../js/camera-lifecycle.js';
+import { DisplayFrameSource } from '../../js/frame-sources.js';
+import { DetectionLayout } from '../../js/detection-layout.js';
+import { VideoAnalyzer } from '../../js/video-analysis.js';
+import { reportToCsv, reportToJson } from '../../js/exposure-report.js';
+import {
+  BudgetExceededError,
+  CircuitOpenError,
+  ReauthenticationRequiredError
+} from '../../js/detection-errors.js';
 
 const CONFIG = {
   AWS: {
     REGION: 'us-east-1',
     MODEL_ARN: 'arn:aws:rekognition:us-east-1:YOUR-ACCOUNT:project/YourProject/version/YourVersion/YOUR-VERSION-ID',
+    PROJECT_ARN: null, // Optional; looked up with DescribeProjects from the name in MODEL_ARN
+    MODEL_POLL_INTERVAL: 15000,
+  },
+  // 'rekognition', 'proxy', 'fixture' or 'scripted' - override with ?backend=fixture
+  BACKEND: {
+    TYPE: new URLSearchParams(window.location.search).get('backend') || 'rekognition',
+    PROXY_URL: 'http://localhost:8787', // Inference proxy (server/); API Gateway stage URL when deployed
+    FIXTURES: [
+      '/fixtures/logo-centered.json',
+      '/fixtures/no-logo.json',
+      '/fixtures/logo-top-left.json'
+    ],
+    LATENCY: 400,
+    MODEL_STATUSES: [], // Scripted model lifecycle, e.g. ['STARTING', 'RUNNING']
+    SCRIPT: [
+      { detections: [] },
+      { detections: [{ name: 'Logo', confidence: 0.92, boundingBox: { left: 0.35, top: 0.3, width: 0.3, height: 0.25 } }] },
+      { error: 'ThrottlingException', latency: 100 }
+    ]
+  },
+  DETECTION: {
+    CONFIDENCE_THRESHOLD: 0.3, // 30% confidence threshold
+    SCAN_INTERVAL: 2000, // Every 2 seconds for cost optimization; scaled by the performance tier
+    // Per-label overrides, e.g. { background: { enabled: false }, SponsorA: { minConfidence: 0.6, displayName: 'Sponsor A' } }
+    LABELS: {},
+    CACHE_DURATION: 5000,
+    EMPTY_CACHE_DURATION: 5000, // Frames without a logo; lower it if logos appear in place
+    CACHE_SIZE: 50,
+    CACHE_HASH_TOLERANCE: 6, // Max differing bits (of 64) between frame hashes for a cache hit
+    MAX_RETRIES: 3,
+    MAX_IMAGE_EDGE: 800, // Frames are downscaled so their longest side fits before upload
+    TARGET_IMAGE_BYTES: 100 * 1024, // JPEG quality adapts to keep uploads near this size
+    JPEG_QUALITY: 0.8,
+    MIN_JPEG_QUALITY: 0.4,
+    QUALITY_THRESHOLD: 0.7, // Weighted sharpness/brightness score a frame needs before upload
+    ANALYSIS_WIDTH: 320, // Frames are gated on a copy no wider than this
+    STABILITY_MOTION_THRESHOLD: 2, // m/s² of device acceleration treated as moving fast
+    STABILITY_ROTATION_THRESHOLD: 90, // deg/s of device rotation treated as moving fast
+    STABILITY_MIN_SCORE: 0.6,
+    STEADY_DURATION: 300, // ms held steady before an immediate scan
+    ROI_CENTER_CROP: 0.7, // Default upload region: central 70% of width and height
+    ROI_MARGIN: 0.5, // After a hit: last box grown by 50% of its size on each side
+    ROI_HOLD_TIME: 3000,
+    FULL_FRAME_EVERY: 4 // Every 4th scan uploads the full frame (0 disables cropping)
+  },
+  // Adaptive performance tiers (boost / normal / saver / critical)
+  PERFORMANCE: {
+    LOW_BATTERY: 0.2, // Saver tier below 20% when not charging
+    CRITICAL_BATTERY: 0.1, // Critical tier below 10% when not charging
+    SLOW_FRAME_TIME: 50, // ms of capture per frame that counts as a slow device
+    DROPPED_FRAME_RATE: 0.15,
+    BOOST_WINDOW: 5000 // Boost tier for this long after a detection
+  },
+  // Local tracking between cloud scans
+  TRACKING: {
+    INTERVAL: 100, // ms between tracker updates
+    FRAME_WIDTH: 160, // Tracking frames are captured this small
+    MIN_CONFIDENCE: 0.5,
+    MAX_MISSES: 3 // Consecutive poor matches before tracking is lost and a fresh scan runs
+  },
+  // Pricing from cost-analysis-smart-detection.md
+  BUDGET: {
+    PRICE_PER_1000_INFERENCES: 0.40,
+    HOSTING_PER_HOUR: 4.00,
+    INFERENCE_UNITS: 1,
+    OPERATING_HOURS_PER_MONTH: 720,
+    SOFT_LIMITS: { SESSION: 500, DAY: 2000, MONTH: 40000 },
+    HARD_LIMITS: { USER_DAY: 3000, USER_MONTH: 60000, DEVICE_DAY: 5000, DEVICE_MONTH: 100000 },
+    HARD_LIMIT_ACTION: 'refuse', // 'refuse' or 'throttle'
+    THROTTLE_DELAY: 10000
   },
   CAMERA: {
     WIDTH: 640,
     HEIGHT: 480,
-    FACING_MODE: 'environment'
+    FRAME_RATE: 30,
+    FACING_MODE: 'environment', // Until the user picks a camera; the choice is remembered
+    START_TIMEOUT: 15000, // Give up on a stream that hasn't delivered a frame by then
+    MUTE_TIMEOUT: 5000, // A track muted this long (camera taken by another app) is reacquired
+    REACQUIRE_ATTEMPTS: 6,
+    AUTO_ASSIST: false, // Torch on repeated dark frames, zoom in on repeated tiny detections
+    ASSIST_DARK_FRAMES: 3,
+    ASSIST_TINY_AREA: 0.02, // Share of the frame below which a detection counts as tiny
+    ASSIST_TINY_FRAMES: 2,
+    ASSIST_MAX_ZOOM: 3
+  },
+  SOURCES: {
+    SCREEN_FRAME_RATE: 5 // Frames per second requested from a screen, window or tab share
+  },
+  // Recorded video exposure reports
+  VIDEO_ANALYSIS: {
+    SAMPLE_RATE: 1, // Samples per second of video; exposure is accurate to 1 / SAMPLE_RATE seconds
+    SEEK_TIMEOUT: 5000
   },
   AR: {
-    REDIRECT_URL: 'https://example.com/'
+    REDIRECT_URL: 'https://example.com/', // AR button target for labels without their own url
+    MAX_DETECTIONS: 5, // Logos drawn at once; the rest are dropped by priority
+    PRIORITY: [] // Label names drawn first when the frame is crowded, most important first
   }
 };
 
-function ARLogoDetection({ user }) {
+function ARLogoDetection({ user, signOut }) {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const [isDetecting, setIsDetecting] = useState(false);
   const [status, setStatus] = useState('Ready to start');
-  const [stats, setStats] = useState({ frames: 0, detections: 0, apiCalls: 0 });
-  const [rekognition, setRekognition] = useState(null);
+  const [stats, setStats] = useState({ frames: 0, detections: 0, apiCalls: 0, projectedCost: null, lastBytesSent: 0 });
+  const [detectionCore, setDetectionCore] = useState(null);
   const [showARButton, setShowARButton] = useState(false);
+  const [modelStatus, setModelStatus] = useState(null);
+  const [isWaitingForModel, setIsWaitingForModel] = useState(false);
+  const [circuitState, setCircuitState] = useState('closed');
+  const [needsReauth, setNeedsReauth] = useState(false);
+  const [labels, setLabels] = useState([]);
+  const [guidance, setGuidance] = useState(null); // Coaching derived from the last skip reason
+  const [performanceTier, setPerformanceTier] = useState('normal');
+  const [isTracking, setIsTracking] = useState(false);
+  const [trackingConfidence, setTrackingConfidence] = useState(null);
+
+  // Camera choice and capture format, remembered on this device
+  const cameraDevicesRef = useRef(null);
+  if (!cameraDevicesRef.current) {
+    cameraDevicesRef.current = new CameraDevices({
+      facingMode: CONFIG.CAMERA.FACING_MODE,
+      width: CONFIG.CAMERA.WIDTH,
+      height: CONFIG.CAMERA.HEIGHT,
+      frameRate: CONFIG.CAMERA.FRAME_RATE
+    });
+  }
+  const [cameras, setCameras] = useState([]);
+  const [cameraPreference, setCameraPreference] = useState(() => cameraDevicesRef.current.getPreference());
+
+  // Reacquires the stream when the track ends or stays muted, and follows the camera permission
+  const cameraLifecycleRef = useRef(null);
+  if (!cameraLifecycleRef.current) {
+    cameraLifecycleRef.current = new CameraLifecycle({
+      requestTimeout: CONFIG.CAMERA.START_TIMEOUT,
+      muteTimeout: CONFIG.CAMERA.MUTE_TIMEOUT,
+      maxAttempts: CONFIG.CAMERA.REACQUIRE_ATTEMPTS
+    });
+  }
+  const [cameraState, setCameraState] = useState(CAMERA_STATES.IDLE);
+
+  // A shared screen, window or tab scanned instead of the camera, played in the same <video>
+  const screenSourceRef = useRef(null);
+  const [isSharingScreen, setIsSharingScreen] = useState(false);
 
-  // Initialize AWS Rekognition with Amplify credentials
+  // Torch, zoom, focus and exposure of the running track, plus the optional auto-assist
+  const getStream = () => (videoRef.current ? videoRef.current.srcObject : null);
+  const cameraAssistRef = useRef(null);
+  if (!cameraAssistRef.current) {
+    const devices = cameraDevicesRef.current;
+    cameraAssistRef.current = new CameraAssist({
+      getControls: () => devices.getControls(getStream()),
+      setControl: (name, value) => devices.applyControl(getStream(), name, value)
+    }, {
+      enabled: CONFIG.CAMERA.AUTO_ASSIST,
+      darkFrames: CONFIG.CAMERA.ASSIST_DARK_FRAMES,
+      tinyTargetArea: CONFIG.CAMERA.ASSIST_TINY_AREA,
+      tinyFrames: CONFIG.CAMERA.ASSIST_TINY_FRAMES,
+      maxZoom: CONFIG.CAMERA.ASSIST_MAX_ZOOM
+    });
+  }
+  const [cameraControls, setCameraControls] = useState({});
+  const [assistEnabled, setAssistEnabled] = useState(CONFIG.CAMERA.AUTO_ASSIST);
+
+  // Sponsor exposure in a recorded video, stepped through at videoSampleRate
+  const videoAnalyzerRef = useRef(null);
+  const [videoSampleRate, setVideoSampleRate] = useState(CONFIG.VIDEO_ANALYSIS.SAMPLE_RATE);
+  const [videoProgress, setVideoProgress] = useState(null);
+  const [exposureReport, setExposureReport] = useState(null);
+
+  // Every logo in frame, up to MAX_DETECTIONS by priority, in its label's color with its own AR button
+  const layoutRef = useRef(null);
+  if (!layoutRef.current) {
+    layoutRef.current = new DetectionLayout({
+      maxCount: CONFIG.AR.MAX_DETECTIONS,
+      priority: CONFIG.AR.PRIORITY
+    });
+  }
+  const shownDetectionsRef = useRef([]); // For the tracking loop, which redraws between renders
+  const [shownDetections, setShownDetections] = useState([]);
+
+  // Reused for every gating copy of the video
+  const analysisCanvasRef = useRef(null);
+
+  // Moves the box and AR button with the logo between cloud scans
+  const trackerRef = useRef(null);
+  if (!trackerRef.current) {
+    trackerRef.current = new TemplateTracker({
+      minConfidence: CONFIG.TRACKING.MIN_CONFIDENCE,
+      maxMisses: CONFIG.TRACKING.MAX_MISSES
+    });
+  }
+
+  // Scan interval and capture resolution follow battery, frame cost and recent detections
+  const performanceControllerRef = useRef(null);
+  if (!performanceControllerRef.current) {
+    performanceControllerRef.current = new PerformanceController({
+      lowBattery: CONFIG.PERFORMANCE.LOW_BATTERY,
+      criticalBattery: CONFIG.PERFORMANCE.CRITICAL_BATTERY,
+      slowFrameTime: CONFIG.PERFORMANCE.SLOW_FRAME_TIME,
+      droppedFrameRate: CONFIG.PERFORMANCE.DROPPED_FRAME_RATE,
+      boostWindow: CONFIG.PERFORMANCE.BOOST_WINDOW
+    });
+  }
+
+  // Device motion gating; desktops without sensors count every frame as stable
+  const stabilitySensorRef = useRef(null);
+  if (!stabilitySensorRef.current) {
+    stabilitySensorRef.current = new StabilitySensor({
+      motionThreshold: CONFIG.DETECTION.STABILITY_MOTION_THRESHOLD,
+      rotationThreshold: CONFIG.DETECTION.STABILITY_ROTATION_THRESHOLD,
+      minScore: CONFIG.DETECTION.STABILITY_MIN_SCORE,
+      steadyDuration: CONFIG.DETECTION.STEADY_DURATION
+    });
+  }
+
+  // Upload region: center crop, last hit plus margin, or periodically the full frame
+  const regionOfInterestRef = useRef(null);
+  if (!regionOfInterestRef.current) {
+    regionOfInterestRef.current = new RegionOfInterest({
+      centerCrop: CONFIG.DETECTION.ROI_CENTER_CROP,
+      margin: CONFIG.DETECTION.ROI_MARGIN,
+      holdTime: CONFIG.DETECTION.ROI_HOLD_TIME,
+      fullFrameEvery: CONFIG.DETECTION.FULL_FRAME_EVERY
+    });
+  }
+
+  // Initialize the shared detection core (AWS Rekognition with Amplify credentials, or offline)
   useEffect(() => {
-    const initializeRekognition = async () => {
+    const core = new DetectionCore({
+      region: CONFIG.AWS.REGION,
+      modelArn: CONFIG.AWS.MODEL_ARN,
+      projectArn: CONFIG.AWS.PROJECT_ARN,
+      modelPollInterval: CONFIG.AWS.MODEL_POLL_INTERVAL,
+      confidenceThreshold: CONFIG.DETECTION.CONFIDENCE_THRESHOLD,
+      labels: CONFIG.DETECTION.LABELS,
+      maxRetries: CONFIG.DETECTION.MAX_RETRIES,
+      cacheDuration: CONFIG.DETECTION.CACHE_DURATION,
+      emptyCacheDuration: CONFIG.DETECTION.EMPTY_CACHE_DURATION,
+      maxCacheSize: CONFIG.DETECTION.CACHE_SIZE,
+      cacheTolerance: CONFIG.DETECTION.CACHE_HASH_TOLERANCE,
+      preprocessing: {
+        maxEdge: CONFIG.DETECTION.MAX_IMAGE_EDGE,
+        targetBytes: CONFIG.DETECTION.TARGET_IMAGE_BYTES,
+        quality: CONFIG.DETECTION.JPEG_QUALITY,
+        minQuality: CONFIG.DETECTION.MIN_JPEG_QUALITY
+      },
+      budget: {
+        pricePer1000Inferences: CONFIG.BUDGET.PRICE_PER_1000_INFERENCES,
+        hostingPerHour: CONFIG.BUDGET.HOSTING_PER_HOUR,
+        inferenceUnits: CONFIG.BUDGET.INFERENCE_UNITS,
+        operatingHoursPerMonth: CONFIG.BUDGET.OPERATING_HOURS_PER_MONTH,
+        softLimits: {
+          session: CONFIG.BUDGET.SOFT_LIMITS.SESSION,
+          day: CONFIG.BUDGET.SOFT_LIMITS.DAY,
+          month: CONFIG.BUDGET.SOFT_LIMITS.MONTH
+        },
+        hardLimits: {
+          userDay: CONFIG.BUDGET.HARD_LIMITS.USER_DAY,
+          userMonth: CONFIG.BUDGET.HARD_LIMITS.USER_MONTH,
+          deviceDay: CONFIG.BUDGET.HARD_LIMITS.DEVICE_DAY,
+          deviceMonth: CONFIG.BUDGET.HARD_LIMITS.DEVICE_MONTH
+        },
+        hardLimitAction: CONFIG.BUDGET.HARD_LIMIT_ACTION,
+        throttleDelay: CONFIG.BUDGET.THROTTLE_DELAY
+      },
+      backend: {
+        type: CONFIG.BACKEND.TYPE,
+        proxyUrl: CONFIG.BACKEND.PROXY_URL,
+        fixtures: CONFIG.BACKEND.FIXTURES,
+        script: CONFIG.BACKEND.SCRIPT,
+        latency: CONFIG.BACKEND.LATENCY,
+        modelStatuses: CONFIG.BACKEND.MODEL_STATUSES
+      }
+    });
+    const unsubscribe = core.onModelStatusChange(setModelStatus);
+    // The core runs without a budget when none is configured
+    const unsubscribeBudget = core.budget ? core.budget.onWarning(warning => setStatus(warning.message)) : () => {};
+    const unsubscribeCircuit = core.circuitBreaker.onStateChange(setCircuitState);
+    const unsubscribeLabels = core.labelSettings.onChange(setLabels);
+
+    const initializeDetection = async () => {
       try {
-        const session = await fetchAuthSession();
-        const credentials = session.credentials;
-        
-        console.log('Amplify credentials:', {
-          accessKeyId: credentials?.accessKeyId?.substring(0, 10) + '...',
-          region: CONFIG.AWS.REGION,
-          hasCredentials: !!credentials
-        });
-        
-        const rekognitionClient = new RekognitionClient({
-          region: CONFIG.AWS.REGION,
-          credentials: credentials
-        });
+        await core.initialize();
 
-        setRekognition(rekognitionClient);
-        setStatus('AWS Rekognition initialized');
+        setDetectionCore(core);
+        setLabels(core.labelSettings.getAll());
+        setStatus(CONFIG.BACKEND.TYPE === 'rekognition'
+          ? 'AWS Rekognition initialized'
+          : `Offline ${core.getBackend().getName()} backend initialized`);
       } catch (error) {
-        console.error('Failed to initialize Rekognition:', error);
+        console.error('Failed to initialize detection core:', error);
         setStatus(`Failed to initialize AWS: ${error.message}`);
       }
     };
 
-    initializeRekognition();
+    initializeDetection();
+
+    return () => {
+      unsubscribe();
+      unsubscribeBudget();
+      unsubscribeCircuit();
+      unsubscribeLabels();
+      core.destroy();
+    };
   }, [user]);
 
-  // Start camera
-  const startCamera = async () => {
+  // Opens (or swaps in) a stream on the same <video>, so the detection interval and the
+  // overlay canvas keep running; only the tracked box belongs to the old picture
+  const changeCamera = async (openStream) => {
+    const devices = cameraDevicesRef.current;
+
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: CONFIG.CAMERA.WIDTH },
-          height: { ideal: CONFIG.CAMERA.HEIGHT },
-          facingMode: CONFIG.CAMERA.FACING_MODE
-        }
-      });
-      
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        setStatus('Camera started');
+      // Its saved values belong to the old track
+      await cameraAssistRef.current.restore();
+      const stream = await openStream(devices, getStream());
+      if (!stream) {
+        return; // Format remembered for when the camera starts
+      }
+      if (videoRef.current && videoRef.current.srcObject !== stream) {
+        await attachStream(videoRef.current, stream, CONFIG.CAMERA.START_TIMEOUT);
       }
+      await cameraLifecycleRef.current.adopt(stream, reopenCamera);
+
+      trackerRef.current.stop();
+      setIsTracking(false);
+      drawDetections([]);
+      setCameraControls(devices.getControls(stream));
+
+      // Device labels are only listed once camera permission was granted
+      setCameras(await devices.list());
+      setStatus('Camera started');
     } catch (error) {
       console.error('Camera error:', error);
-      setStatus('Camera access denied');
+      setStatus(error.name === 'NotAllowedError' ? 'Camera access denied' : `Camera error: ${error.message}`);
     }
   };
 
+  const setCameraControl = async (name, value) => {
+    try {
+      await cameraDevicesRef.current.applyControl(getStream(), name, value);
+    } catch (error) {
+      console.warn(`Could not change ${name}:`, error.message);
+    }
+    setCameraControls(cameraDevicesRef.current.getControls(getStream()));
+  };
+
+  // Used for the first start and for every reacquisition after the camera was lost
+  const reopenCamera = async (previousStream) => {
+    const stream = await cameraDevicesRef.current.open(previousStream);
+    try {
+      await attachStream(videoRef.current, stream, CONFIG.CAMERA.START_TIMEOUT);
+    } catch (error) {
+      stream.getTracks().forEach(track => track.stop());
+      throw error;
+    }
+    return stream;
+  };
+
+  // Start camera; status and errors come from the lifecycle listener below
+  const startCamera = async () => {
+    try {
+      stopScreenShare();
+      await cameraAssistRef.current.restore();
+      await cameraLifecycleRef.current.start(reopenCamera);
+
+      // Device labels are only listed once camera permission was granted
+      setCameras(await cameraDevicesRef.current.list());
+    } catch (error) {
+      console.error('Camera error:', error);
+    }
+  };
+
+  const shareScreen = async () => {
+    const source = new DisplayFrameSource({
+      video: videoRef.current,
+      frameRate: CONFIG.SOURCES.SCREEN_FRAME_RATE,
+      startTimeout: CONFIG.CAMERA.START_TIMEOUT
+    });
+
+    try {
+      await source.start();
+    } catch (error) {
+      console.error('Screen share error:', error);
+      setStatus(`Screen share failed: ${error.message}`);
+      return;
+    }
+
+    // The share now owns the <video>; the camera is released until started again
+    await cameraAssistRef.current.restore();
+    cameraLifecycleRef.current.stop();
+    source.onEnded(() => stopScreenShare());
+    screenSourceRef.current = source;
+    trackerRef.current.stop();
+    setIsTracking(false);
+    drawDetections([]);
+    setCameraControls({});
+    setIsSharingScreen(true);
+    setStatus('Screen share active');
+  };
+
+  // Also runs when sharing is stopped from the browser's own UI
+  const stopScreenShare = () => {
+    if (!screenSourceRef.current) return;
+
+    screenSourceRef.current.stop();
+    screenSourceRef.current = null;
+    setIsSharingScreen(false);
+    setStatus('Screen share stopped');
+  };
+
+  useEffect(() => {
+    const lifecycle = cameraLifecycleRef.current;
+    const unsubscribe = lifecycle.onStateChange((state, previous, detail) => {
+      setCameraState(state);
+
+      if (state === CAMERA_STATES.INTERRUPTED || state === CAMERA_STATES.LIVE) {
+        // The tracked box belongs to the old picture
+        trackerRef.current.stop();
+        setIsTracking(false);
+        drawDetections([]);
+      }
+
+      if (state === CAMERA_STATES.REQUESTING) {
+        setStatus(previous === CAMERA_STATES.IDLE ? 'Starting camera...' : 'Reconnecting camera...');
+      } else if (state === CAMERA_STATES.INTERRUPTED) {
+        setStatus(detail.reason === 'muted' ? 'Camera paused by the device' : 'Camera lost - reconnecting');
+      } else if (state === CAMERA_STATES.LIVE) {
+        setCameraControls(cameraDevicesRef.current.getControls(detail.stream));
+        setStatus('Camera started');
+      } else if (state === CAMERA_STATES.FAILED) {
+        setIsDetecting(false);
+        setStatus(detail.error.name === 'NotAllowedError' ? 'Camera access denied' : `Camera error: ${detail.error.message}`);
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      lifecycle.stop();
+      if (screenSourceRef.current) {
+        screenSourceRef.current.stop();
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    const devices = cameraDevicesRef.current;
+    const unsubscribe = devices.onChange(setCameraPreference);
+    const unsubscribeAssist = cameraAssistRef.current.onChange(setCameraControls);
+    const refreshCameras = () => devices.list().then(setCameras);
+
+    refreshCameras();
+    navigator.mediaDevices?.addEventListener?.('devicechange', refreshCameras);
+
+    return () => {
+      unsubscribe();
+      unsubscribeAssist();
+      navigator.mediaDevices?.removeEventListener?.('devicechange', refreshCameras);
+    };
+  }, []);
+
   // Detect logo in frame
   const detectLogo = async () => {
-    console.log('detectLogo called, rekognition:', !!rekognition, 'video ready:', !!videoRef.current);
-    
-    if (!rekognition || !videoRef.current) {
-      console.log('Skipping detection - missing rekognition or video');
+    if (!detectionCore || !videoRef.current) {
+      console.log('Skipping detection - missing detection core or video');
       return;
     }
 
-    console.log('Starting logo detection...');
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = videoRef.current.videoWidth;
-    canvas.height = videoRef.current.videoHeight;
-    
-    console.log('Canvas size:', canvas.width, 'x', canvas.height);
-    
-    ctx.drawImage(videoRef.current, 0, 0);
-    const dataURL = canvas.toDataURL('image/jpeg', 0.8);
-    
-    console.log('Image captured, size:', dataURL.length, 'characters');
-    
-    // Convert to bytes for AWS
-    const base64Data = dataURL.replace(/^data:image\/[a-z]+;base64,/, '');
-    const binaryString = atob(base64Data);
-    const bytes = new Uint8Array(binaryString.length);
-    
-    for (let i = 0; i < binaryString.length; i++) {
-      bytes[i] = binaryString.charCodeAt(i);
+    // No frames while a new camera stream is being swapped in or the camera is lost
+    const sourceLive = screenSourceRef.current ?
+      screenSourceRef.current.isReady() :
+      cameraLifecycleRef.current.isLive();
+    if (!videoRef.current.videoWidth || !sourceLive) {
+      return;
     }
 
-    console.log('Image converted to bytes, length:', bytes.length);
+    const performanceController = performanceControllerRef.current;
+    const { captureScale } = performanceController.getTierSettings();
+    const frameStart = performance.now();
 
-    try {
-      const command = new DetectCustomLabelsCommand({
-        Image: { Bytes: bytes },
-        ProjectVersionArn: CONFIG.AWS.MODEL_ARN,
-        MinConfidence: 30  // Set to 30% confidence threshold
-      });
+    // Only a small copy is read back for gating; the video itself is the upload source
+    const video = videoRef.current;
+    if (!analysisCanvasRef.current) {
+      analysisCanvasRef.current = document.createElement('canvas');
+    }
+    const canvas = analysisCanvasRef.current;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    const scale = Math.min(captureScale, CONFIG.DETECTION.ANALYSIS_WIDTH / video.videoWidth);
+    const width = Math.max(1, Math.round(video.videoWidth * scale));
+    const height = Math.max(1, Math.round(video.videoHeight * scale));
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
 
-      console.log('Sending command with ProjectVersionArn:', CONFIG.AWS.MODEL_ARN);
-      const result = await rekognition.send(command);
-      
-      console.log('Rekognition result:', result);
+    ctx.drawImage(video, 0, 0, width, height);
+    const imageData = ctx.getImageData(0, 0, width, height);
+
+    // Dark, washed-out or detail-less frames aren't worth an API call; tell the user why
+    const reason = classifyQuality(measureFrame(imageData), CONFIG.DETECTION.QUALITY_THRESHOLD);
+    setGuidance(current => nextGuidance(current, reason));
+    cameraAssistRef.current.recordDecision({ reason });
+    performanceController.recordFrameTime(performance.now() - frameStart);
+    performanceController.sampleVideo(videoRef.current);
+    if (reason !== SKIP_REASONS.ACCEPTED) {
+      return;
+    }
+
+    try {
+      // The core crops, downscales and JPEG-encodes the video frame only if it isn't cached;
+      // boxes come back in full-frame coordinates. The ROI is picked only on a cache miss
+      const region = () => regionOfInterestRef.current.next(video.videoWidth, video.videoHeight);
+      // The performance tier shrinks the upload; the gating copy is capped at ANALYSIS_WIDTH either way
+      const detections = await detectionCore.detectLogo(video, { imageData, region, captureScale });
+      regionOfInterestRef.current.record(detections);
+      performanceController.recordDetections(detections);
+      cameraAssistRef.current.recordDetections(detections);
+      const coreStats = detectionCore.getStats();
       
-      setStats(prev => ({ ...prev, apiCalls: prev.apiCalls + 1 }));
+      setStats(prev => ({
+        ...prev,
+        apiCalls: coreStats.apiCalls,
+        detections: coreStats.detections,
+        projectedCost: coreStats.budget ? coreStats.budget.projectedMonthlyCost : null,
+        lastBytesSent: coreStats.lastBytesSent
+      }));
       
-      if (result.CustomLabels && result.CustomLabels.length > 0) {
-        const detection = result.CustomLabels[0];
-        console.log('Logo detected!', detection);
-        setStats(prev => ({ ...prev, detections: prev.detections + 1 }));
-        setStatus(`Logo detected! Confidence: ${detection.Confidence.toFixed(1)}%`);
+      if (detections.length > 0) {
+        const shown = layoutRef.current.select(detections);
+        const detection = shown[0];
+        console.log('Logos detected!', shown);
+        setStatus(shown.length > 1 ?
+          `${shown.length} logos detected: ${shown.map(item => item.displayName).join(', ')}` :
+          `${detection.displayName} detected! Confidence: ${(detection.confidence * 100).toFixed(1)}%`);
         setShowARButton(true);
         
-        // Draw bounding box
-        if (detection.Geometry && detection.Geometry.BoundingBox) {
-          drawBoundingBox(detection.Geometry.BoundingBox);
+        // Draw every box; the most important one is followed locally until the next scan
+        drawDetections(shown);
+        if (detection.boundingBox) {
+          setIsTracking(trackerRef.current.start(imageData, detection.boundingBox));
+          setTrackingConfidence(null);
         }
         
         // Hide button after 5 seconds
@@ -140,15 +571,45 @@ function ARLogoDetection({ user }) {
       } else {
         console.log('No logo detected in this frame');
         setShowARButton(false);
+        drawDetections([]);
+        trackerRef.current.stop();
+        setIsTracking(false);
       }
     } catch (error) {
+      // Service degraded: skip frames until the breaker lets a probe through
+      if (error instanceof CircuitOpenError) {
+        setStatus(`${error.message} (next probe in ${Math.ceil(error.retryAfter / 1000)}s)`);
+        return;
+      }
+
       console.error('Detection error:', error);
       setStatus(`Detection failed: ${error.message}`);
+
+      // Credentials could not be refreshed: only a new sign-in helps
+      if (error instanceof ReauthenticationRequiredError) {
+        setIsDetecting(false);
+        setNeedsReauth(true);
+        return;
+      }
+
+      // Hard budget cap reached: stop instead of hammering the refusal
+      if (error instanceof BudgetExceededError) {
+        setIsDetecting(false);
+        return;
+      }
+
+      // Stop spinning on a model that has stopped or failed
+      if (!detectionCore.isModelUsable()) {
+        setIsDetecting(false);
+        setStatus(`Detection stopped: Custom Labels model is ${detectionCore.getModelStatus().status}`);
+      }
     }
   };
 
-  // Draw bounding box on canvas
-  const drawBoundingBox = (boundingBox) => {
+  // Draw bounding boxes and non-overlapping label tags on canvas
+  const drawDetections = (detections) => {
+    shownDetectionsRef.current = detections;
+    setShownDetections(detections);
     if (!canvasRef.current || !videoRef.current) return;
     
     const canvas = canvasRef.current;
@@ -156,33 +617,198 @@ function ARLogoDetection({ user }) {
     
     canvas.width = videoRef.current.offsetWidth;
     canvas.height = videoRef.current.offsetHeight;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '16px Arial';
     
-    const x = boundingBox.Left * canvas.width;
-    const y = boundingBox.Top * canvas.height;
-    const width = boundingBox.Width * canvas.width;
-    const height = boundingBox.Height * canvas.height;
+    const placements = layoutRef.current.layout(detections, {
+      width: canvas.width,
+      height: canvas.height,
+      measureText: text => ctx.measureText(text).width
+    });
     
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.strokeStyle = '#4F46E5';
     ctx.lineWidth = 3;
     ctx.setLineDash([10, 5]);
-    ctx.strokeRect(x, y, width, height);
+    placements.forEach(({ color, box }) => {
+      ctx.strokeStyle = color;
+      ctx.strokeRect(box.x, box.y, box.width, box.height);
+    });
+    
+    placements.forEach(({ color, label }) => {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+      ctx.fillRect(label.x, label.y, label.width, label.height);
+      ctx.fillStyle = color;
+      ctx.fillRect(label.x, label.y, 4, label.height);
+      ctx.fillStyle = 'white';
+      ctx.fillText(label.text, label.x + 5, label.y + label.height - 8);
+    });
   };
 
+  // Local tracking loop: small frames, no API calls
+  useEffect(() => {
+    if (!isDetecting || !isTracking) return;
+
+    const tracker = trackerRef.current;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    const interval = setInterval(() => {
+      const video = videoRef.current;
+      if (!video || !video.videoWidth || !tracker.isTracking()) return;
+
+      canvas.width = CONFIG.TRACKING.FRAME_WIDTH;
+      canvas.height = Math.round(video.videoHeight * CONFIG.TRACKING.FRAME_WIDTH / video.videoWidth);
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+      const track = tracker.update(ctx.getImageData(0, 0, canvas.width, canvas.height));
+      if (!track.lost) {
+        const [primary, ...others] = shownDetectionsRef.current;
+        if (primary) {
+          drawDetections([{ ...primary, boundingBox: track.boundingBox }, ...others]);
+        }
+        setTrackingConfidence(track.confidence);
+      }
+    }, CONFIG.TRACKING.INTERVAL);
+
+    // Lost the logo: clear the overlay and ask for a fresh cloud scan right away
+    const unsubscribeLost = tracker.onLost(() => {
+      setIsTracking(false);
+      setTrackingConfidence(null);
+      setShowARButton(false);
+      drawDetections([]);
+      detectLogo();
+    });
+
+    return () => {
+      clearInterval(interval);
+      unsubscribeLost();
+    };
+  }, [isDetecting, isTracking, detectionCore]);
+
   // Detection loop
   useEffect(() => {
     let interval;
+    let unsubscribeSteady = () => {};
     if (isDetecting) {
+      const sensor = stabilitySensorRef.current;
+
       interval = setInterval(() => {
         setStats(prev => ({ ...prev, frames: prev.frames + 1 }));
-        detectLogo();
-      }, 2000); // Every 2 seconds for cost optimization
+
+        // Skip while the phone is shaking; the steady listener scans once it settles
+        if (sensor.isStable()) {
+          detectLogo();
+        } else {
+          setGuidance(current => nextGuidance(current, SKIP_REASONS.UNSTABLE));
+        }
+      }, CONFIG.DETECTION.SCAN_INTERVAL * PERFORMANCE_TIERS[performanceTier].scanIntervalFactor);
+
+      unsubscribeSteady = sensor.onSteady(() => detectLogo());
+    } else {
+      // Covers every way detection stops, including budget and re-auth errors
+      stabilitySensorRef.current.stop();
+      performanceControllerRef.current.stop();
+      trackerRef.current.stop();
+      cameraAssistRef.current.restore();
+      setIsTracking(false);
+      setGuidance(null);
     }
-    return () => clearInterval(interval);
-  }, [isDetecting, rekognition]);
+    return () => {
+      clearInterval(interval);
+      unsubscribeSteady();
+    };
+  }, [isDetecting, detectionCore, performanceTier]);
 
-  const handleARButtonClick = () => {
-    window.open(CONFIG.AR.REDIRECT_URL, '_blank');
+  useEffect(() => {
+    const unsubscribeTier = performanceControllerRef.current.onTierChange(setPerformanceTier);
+    return () => {
+      unsubscribeTier();
+      stabilitySensorRef.current.stop();
+      performanceControllerRef.current.stop();
+    };
+  }, []);
+
+  const analyzeVideo = async (file) => {
+    if (!detectionCore || videoAnalyzerRef.current) return;
+
+    // Live detection and the analysis would share the budget and detection cache
+    setIsDetecting(false);
+    const analyzer = new VideoAnalyzer({
+      detector: detectionCore,
+      // Same quality gate as the live loop
+      gate: {
+        shouldProcessFrame: ({ imageData }) => {
+          const reason = classifyQuality(measureFrame(imageData), CONFIG.DETECTION.QUALITY_THRESHOLD);
+          return { process: reason === SKIP_REASONS.ACCEPTED, reason };
+        }
+      },
+      sampleRate: videoSampleRate,
+      analysisWidth: CONFIG.DETECTION.ANALYSIS_WIDTH,
+      seekTimeout: CONFIG.VIDEO_ANALYSIS.SEEK_TIMEOUT
+    });
+    videoAnalyzerRef.current = analyzer;
+    setStatus(`Analyzing ${file.name}...`);
+
+    try {
+      const timeline = await analyzer.analyze(file, {
+        onProgress: ({ sample, samples }) => setVideoProgress({ sample, samples })
+      });
+      setExposureReport(timeline.buildReport());
+      setStatus(`Analyzed ${file.name}`);
+    } catch (error) {
+      console.error('Video analysis error:', error);
+      setStatus(`Video analysis failed: ${error.message}`);
+      if (error instanceof ReauthenticationRequiredError) {
+        setNeedsReauth(true);
+      }
+    } finally {
+      videoAnalyzerRef.current = null;
+      setVideoProgress(null);
+    }
+  };
+
+  const downloadReport = (content, extension, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${exposureReport.source.name.replace(/\.[^.]+$/, '')}-exposure.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Block detection until the Custom Labels model can serve requests
+  const toggleDetection = async () => {
+    if (isDetecting) {
+      setIsDetecting(false);
+      return;
+    }
+
+    if (!detectionCore) return;
+
+    // Still inside the click handler, so iOS shows its motion permission prompt
+    await stabilitySensorRef.current.requestPermission();
+
+    if (!detectionCore.isModelUsable()) {
+      setIsWaitingForModel(true);
+      setStatus('Waiting for Custom Labels model to start...');
+      try {
+        await detectionCore.waitForModel();
+      } catch (error) {
+        setStatus(`Cannot start detection: ${error.message}`);
+        return;
+      } finally {
+        setIsWaitingForModel(false);
+      }
+    }
+
+    // Motion and battery listeners only once detection is really going to run
+    stabilitySensorRef.current.start();
+    performanceControllerRef.current.start();
+    setIsDetecting(true);
+  };
+
+  // Each logo's button opens its label's own URL, or the default redirect
+  const handleARButtonClick = (detection) => {
+    window.open(detection.url || CONFIG.AR.REDIRECT_URL, '_blank');
   };
 
   return (
@@ -203,25 +829,70 @@ function ARLogoDetection({ user }) {
           className="absolute top-0 left-0 w-full h-full pointer-events-none"
         />
         
-        {/* AR Button */}
-        {showARButton && (
-          <button
-            onClick={handleARButtonClick}
-            className="absolute top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 
-                     bg-blue-600 hover:bg-blue-700 text-white px-8 py-4 rounded-lg text-xl font-bold
-                     animate-pulse shadow-lg z-10"
-          >
-            🚀 Click me!
-          </button>
+        {/* Re-authentication Prompt */}
+        {needsReauth && (
+          <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-75 z-20">
+            <div className="bg-gray-800 p-6 rounded-lg text-center max-w-sm">
+              <h3 className="text-lg font-semibold mb-2">Session expired</h3>
+              <p className="text-sm text-gray-300 mb-4">
+                Your sign-in could not be refreshed. Sign in again to keep detecting logos.
+              </p>
+              <button
+                onClick={signOut}
+                className="bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded text-sm font-medium"
+              >
+                Sign in again
+              </button>
+            </div>
+          </div>
         )}
+
+        {/* AR Buttons: one per shown logo, named once there is more than one */}
+        {showARButton && shownDetections.map((detection, index) => {
+          const box = detection.boundingBox;
+          return (
+            <button
+              key={`${detection.name}-${index}`}
+              onClick={() => handleARButtonClick(detection)}
+              className={`absolute transform -translate-x-1/2 -translate-y-1/2 
+                       bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-bold
+                       animate-pulse shadow-lg z-10 ${shownDetections.length > 1 ? 'px-4 py-2 text-sm' : 'px-8 py-4 text-xl'}`}
+              style={{
+                ...(box ? {
+                  left: `${(box.left + box.width / 2) * 100}%`,
+                  top: `${(box.top + box.height / 2) * 100}%`
+                } : { left: '50%', top: '50%' }),
+                borderColor: layoutRef.current.colorFor(detection),
+                borderWidth: shownDetections.length > 1 ? 2 : 0
+              }}
+            >
+              🚀 {shownDetections.length > 1 ? detection.displayName : 'Click me!'}
+            </button>
+          );
+        })}
       </div>
 
       {/* Controls */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         {/* Status */}
         <div className="bg-gray-800 p-4 rounded-lg">
           <h3 className="text-lg font-semibold mb-2">Status</h3>
           <p className="text-sm text-green-400">{status}</p>
+          <p className="text-sm mt-1">
+            Camera:{' '}
+            <span className={cameraState === CAMERA_STATES.LIVE ? 'text-green-400' :
+              cameraState === CAMERA_STATES.FAILED ? 'text-red-400' : 'text-yellow-400'}>
+              {cameraState}
+            </span>
+          </p>
+          {circuitState !== 'closed' && (
+            <p className="text-sm text-yellow-400 mt-1">
+              Service degraded{circuitState === 'half-open' ? ' - probing' : ' - scanning paused'}
+            </p>
+          )}
+          {isDetecting && guidance && (
+            <p className="text-sm text-yellow-400 mt-1">{guidance}</p>
+          )}
         </div>
 
         {/* Stats */}
@@ -229,8 +900,43 @@ function ARLogoDetection({ user }) {
           <h3 className="text-lg font-semibold mb-2">Stats</h3>
           <div className="space-y-1 text-sm">
             <div>Frames: {stats.frames}</div>
-            <div>API Calls: {stats.apiCalls}</div>
+            <div>
+              API Calls: {stats.apiCalls}
+              {stats.projectedCost !== null && (
+                <span className="text-gray-400"> (~${stats.projectedCost.toFixed(0)}/mo)</span>
+              )}
+            </div>
             <div>Detections: {stats.detections}</div>
+            <div>Upload: {(stats.lastBytesSent / 1024).toFixed(0)} KB/call</div>
+            <div>Performance: {performanceTier}</div>
+            {trackingConfidence !== null && (
+              <div>Tracking: {Math.round(trackingConfidence * 100)}%</div>
+            )}
+          </div>
+        </div>
+
+        {/* Model */}
+        <div className="bg-gray-800 p-4 rounded-lg">
+          <h3 className="text-lg font-semibold mb-2">Model</h3>
+          <div className="space-y-1 text-sm">
+            <div>
+              Status:{' '}
+              <span className={modelStatus?.status === 'RUNNING' ? 'text-green-400' :
+                modelStatus?.status === 'STARTING' ? 'text-yellow-400' : 'text-red-400'}>
+                {modelStatus ? modelStatus.status : 'Checking...'}
+              </span>
+            </div>
+            <div>
+              Inference Units: {modelStatus?.minInferenceUnits != null
+                ? `${modelStatus.minInferenceUnits}-${modelStatus.maxInferenceUnits ?? modelStatus.minInferenceUnits}`
+                : '-'}
+            </div>
+            <div>
+              F1 Score: {modelStatus?.f1Score != null ? modelStatus.f1Score.toFixed(3) : '-'}
+            </div>
+            {modelStatus?.statusMessage && (
+              <div className="text-xs text-gray-400">{modelStatus.statusMessage}</div>
+            )}
           </div>
         </div>
 
@@ -244,19 +950,287 @@ function ARLogoDetection({ user }) {
             >
               Start Camera
             </button>
+            {DisplayFrameSource.isSupported() && (
+              <button
+                onClick={isSharingScreen ? stopScreenShare : shareScreen}
+                className="w-full bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded text-sm font-medium"
+                title="Scan a screen, window or tab, e.g. a broadcast stream, for logos"
+              >
+                {isSharingScreen ? 'Stop Sharing' : 'Share Screen'}
+              </button>
+            )}
             <button 
-              onClick={() => setIsDetecting(!isDetecting)}
-              className={`w-full px-4 py-2 rounded text-sm font-medium ${
+              onClick={toggleDetection}
+              disabled={isWaitingForModel}
+              className={`w-full px-4 py-2 rounded text-sm font-medium disabled:opacity-50 ${
                 isDetecting 
                   ? 'bg-red-600 hover:bg-red-700' 
                   : 'bg-blue-600 hover:bg-blue-700'
               }`}
             >
-              {isDetecting ? 'Stop Detection' : 'Start Detection'}
+              {isWaitingForModel ? 'Waiting for model...' : isDetecting ? 'Stop Detection' : 'Start Detection'}
             </button>
+            <div className="flex gap-2">
+              <select
+                value={cameraPreference.deviceId || ''}
+                onChange={(e) => changeCamera((devices, stream) => devices.selectDevice(e.target.value, stream))}
+                className="flex-1 min-w-0 bg-gray-700 rounded px-2 py-1 text-sm"
+                title="Camera"
+              >
+                {!cameraPreference.deviceId && <option value="">Default camera</option>}
+                {cameras.map(camera => (
+                  <option key={camera.deviceId} value={camera.deviceId}>{camera.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => changeCamera((devices, stream) => devices.flip(stream))}
+                className="bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded text-sm"
+                title="Switch between front and back camera"
+              >
+                Flip
+              </button>
+            </div>
+            <div className="flex gap-2">
+              <select
+                value={`${cameraPreference.width}x${cameraPreference.height}`}
+                onChange={(e) => {
+                  const [width, height] = e.target.value.split('x').map(Number);
+                  changeCamera((devices, stream) => devices.setFormat({ width, height }, stream));
+                }}
+                className="flex-1 bg-gray-700 rounded px-2 py-1 text-sm"
+                title="Resolution"
+              >
+                {RESOLUTION_PRESETS.map(preset => (
+                  <option key={preset.label} value={`${preset.width}x${preset.height}`}>{preset.label}</option>
+                ))}
+              </select>
+              <select
+                value={cameraPreference.frameRate}
+                onChange={(e) => changeCamera((devices, stream) => devices.setFormat({ frameRate: Number(e.target.value) }, stream))}
+                className="flex-1 bg-gray-700 rounded px-2 py-1 text-sm"
+                title="Frame rate"
+              >
+                {FRAME_RATE_PRESETS.map(rate => (
+                  <option key={rate} value={rate}>{rate} fps</option>
+                ))}
+              </select>
+            </div>
+            {/* Only what the current camera reports, e.g. no torch on a laptop webcam */}
+            {cameraControls.torch && (
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={cameraControls.torch.value}
+                  onChange={(e) => setCameraControl('torch', e.target.checked)}
+                />
+                Torch
+              </label>
+            )}
+            {cameraControls.zoom && (
+              <label className="flex items-center gap-2 text-sm">
+                <span className="w-20">Zoom</span>
+                <input
+                  type="range"
+                  min={cameraControls.zoom.min}
+                  max={cameraControls.zoom.max}
+                  step={cameraControls.zoom.step}
+                  value={cameraControls.zoom.value ?? cameraControls.zoom.min}
+                  onChange={(e) => setCameraControl('zoom', Number(e.target.value))}
+                  className="flex-1"
+                />
+              </label>
+            )}
+            {cameraControls.focusMode && (
+              <label className="flex items-center gap-2 text-sm">
+                <span className="w-20">Focus</span>
+                <select
+                  value={cameraControls.focusMode.value}
+                  onChange={(e) => setCameraControl('focusMode', e.target.value)}
+                  className="flex-1 bg-gray-700 rounded px-2 py-1"
+                >
+                  {cameraControls.focusMode.options.map(mode => (
+                    <option key={mode} value={mode}>{mode}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {cameraControls.exposureCompensation && (
+              <label className="flex items-center gap-2 text-sm">
+                <span className="w-20">Exposure</span>
+                <input
+                  type="range"
+                  min={cameraControls.exposureCompensation.min}
+                  max={cameraControls.exposureCompensation.max}
+                  step={cameraControls.exposureCompensation.step}
+                  value={cameraControls.exposureCompensation.value ?? 0}
+                  onChange={(e) => setCameraControl('exposureCompensation', Number(e.target.value))}
+                  className="flex-1"
+                />
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={assistEnabled}
+                onChange={(e) => {
+                  cameraAssistRef.current.setEnabled(e.target.checked);
+                  setAssistEnabled(e.target.checked);
+                }}
+              />
+              Auto-assist (torch when dark, zoom on small logos)
+            </label>
           </div>
         </div>
       </div>
+
+      {/* Labels: disabled labels never trigger the AR button; blank minimum uses the global threshold, blank URL the default redirect */}
+      {labels.length > 0 && (
+        <div className="bg-gray-800 p-4 rounded-lg mt-4">
+          <h3 className="text-lg font-semibold mb-2">Labels</h3>
+          <div className="space-y-2 text-sm">
+            {labels.map(label => (
+              <div key={label.name} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={label.enabled}
+                  onChange={(e) => detectionCore.labelSettings.update(label.name, { enabled: e.target.checked })}
+                  title={`Detect ${label.name}`}
+                />
+                <span className="w-40 truncate">{label.name}</span>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  placeholder={`${Math.round(CONFIG.DETECTION.CONFIDENCE_THRESHOLD * 100)} (global)`}
+                  defaultValue={label.minConfidence !== null ? Math.round(label.minConfidence * 100) : ''}
+                  onBlur={(e) => detectionCore.labelSettings.update(label.name, {
+                    minConfidence: e.target.value === '' ? null : Math.max(0, Math.min(100, parseInt(e.target.value))) / 100
+                  })}
+                  className="w-28 bg-gray-700 rounded px-2 py-1"
+                />
+                <input
+                  type="text"
+                  defaultValue={label.displayName}
+                  onBlur={(e) => detectionCore.labelSettings.update(label.name, {
+                    displayName: e.target.value || label.name
+                  })}
+                  className="flex-1 bg-gray-700 rounded px-2 py-1"
+                />
+                <input
+                  type="color"
+                  value={layoutRef.current.colorFor(label)}
+                  onChange={(e) => detectionCore.labelSettings.update(label.name, { color: e.target.value })}
+                  className="w-8 h-8 bg-gray-700 rounded"
+                  title="Overlay color"
+                />
+                <input
+                  type="url"
+                  placeholder={CONFIG.AR.REDIRECT_URL}
+                  defaultValue={label.url || ''}
+                  onBlur={(e) => detectionCore.labelSettings.update(label.name, { url: e.target.value || null })}
+                  className="flex-1 bg-gray-700 rounded px-2 py-1"
+                  title="AR button URL"
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Recorded video: per-label exposure over the whole file */}
+      <div className="bg-gray-800 p-4 rounded-lg mt-4">
+        <h3 className="text-lg font-semibold mb-2">Recorded Video</h3>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            type="file"
+            accept="video/*"
+            disabled={!detectionCore || videoProgress !== null}
+            onChange={(e) => {
+              const [file] = e.target.files;
+              if (file) analyzeVideo(file);
+              e.target.value = '';
+            }}
+          />
+          <label className="flex items-center gap-2">
+            Samples/s
+            <input
+              type="number"
+              min="0.1"
+              max="10"
+              step="0.1"
+              value={videoSampleRate}
+              onChange={(e) => setVideoSampleRate(Number(e.target.value) || CONFIG.VIDEO_ANALYSIS.SAMPLE_RATE)}
+              className="w-20 bg-gray-700 rounded px-2 py-1"
+            />
+          </label>
+          {videoProgress && (
+            <>
+              <span>{videoProgress.sample} / {videoProgress.samples} samples</span>
+              <button
+                onClick={() => videoAnalyzerRef.current && videoAnalyzerRef.current.cancel()}
+                className="bg-red-600 hover:bg-red-700 px-2 py-1 rounded"
+              >
+                Cancel
+              </button>
+            </>
+          )}
+          {exposureReport && !videoProgress && (
+            <>
+              <button
+                onClick={() => downloadReport(reportToJson(exposureReport), 'json', 'application/json')}
+                className="bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded"
+              >
+                Export JSON
+              </button>
+              <button
+                onClick={() => downloadReport(reportToCsv(exposureReport), 'csv', 'text/csv')}
+                className="bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded"
+              >
+                Export CSV
+              </button>
+            </>
+          )}
+        </div>
+        {exposureReport && (
+          <div className="mt-2 text-sm">
+            <p className="text-gray-400">
+              {exposureReport.source.name}: {exposureReport.source.duration}s, {exposureReport.source.samples} samples,{' '}
+              {exposureReport.samples.detected} detection calls
+            </p>
+            {exposureReport.labels.length === 0 ? (
+              <p>No logos detected</p>
+            ) : (
+              <table className="w-full mt-1">
+                <thead>
+                  <tr className="text-left">
+                    <th>Logo</th>
+                    <th>On screen</th>
+                    <th>Longest</th>
+                    <th>Avg. area</th>
+                    <th>Segments</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {exposureReport.labels.map(label => (
+                    <tr
+                      key={label.label}
+                      title={label.segments
+                        .map(segment => `${segment.start}-${segment.end}s @ ${Math.round(segment.averageConfidence * 100)}%`)
+                        .join('\n')}
+                    >
+                      <td>{label.displayName}</td>
+                      <td>{label.onScreenSeconds}s ({Math.round(label.shareOfDuration * 100)}%)</td>
+                      <td>{label.longestExposure}s</td>
+                      <td>{(label.averageAreaShare * 100).toFixed(1)}%</td>
+                      <td>{label.segments.length}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
     </main>
   );
 }
@@ -0,0 +1,133 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { BudgetManager } from '../js/budget.js';
+
+function memoryStorage() {
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value))
+    };
+}
+
+function callTimes(budget, count) {
+    for (let i = 0; i < count; i++) {
+        budget.recordCall();
+    }
+}
+
+describe('BudgetManager', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = memoryStorage();
+        mock.method(console, 'warn', () => {});
+        mock.timers.enable({ apis: ['Date'], now: new Date(2024, 4, 31, 12).getTime() });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it('allows calls below the hard limits', () => {
+        const budget = new BudgetManager({ storage, hardLimits: { userDay: 2 } });
+        callTimes(budget, 1);
+        assert.deepEqual(budget.checkCall(), { allowed: true, delay: 0, reason: null });
+    });
+
+    it('refuses calls once a per-user limit is reached', () => {
+        const budget = new BudgetManager({ storage, hardLimits: { userDay: 2 } });
+        callTimes(budget, 2);
+
+        const decision = budget.checkCall();
+        assert.equal(decision.allowed, false);
+        assert.equal(decision.reason, 'Daily limit of 2 calls per user reached');
+        assert.equal(budget.getStats().refusedCalls, 1);
+    });
+
+    it('slows calls down instead when the hard limit action is throttle', () => {
+        const budget = new BudgetManager({
+            storage,
+            hardLimits: { deviceMonth: 1 },
+            hardLimitAction: 'throttle',
+            throttleDelay: 5000
+        });
+        callTimes(budget, 1);
+
+        assert.deepEqual(budget.checkCall(), {
+            allowed: true,
+            delay: 5000,
+            reason: 'Monthly limit of 1 calls per device reached'
+        });
+        assert.equal(budget.getStats().throttledCalls, 1);
+    });
+
+    it('counts per user but shares the device counts across users', () => {
+        const budget = new BudgetManager({ storage, hardLimits: { userDay: 2, deviceDay: 3 } });
+        budget.setUser('alice');
+        callTimes(budget, 2);
+        assert.equal(budget.checkCall().allowed, false);
+
+        budget.setUser('bob');
+        assert.equal(budget.checkCall().allowed, true);
+        callTimes(budget, 1);
+        assert.equal(budget.checkCall().reason, 'Daily limit of 3 calls per device reached');
+    });
+
+    it('keeps counts across instances and rolls them over with the day and month', () => {
+        callTimes(new BudgetManager({ storage }), 3);
+
+        const budget = new BudgetManager({ storage });
+        assert.equal(budget.getStats().dayCalls, 3);
+        assert.equal(budget.getStats().sessionCalls, 0);
+
+        mock.timers.tick(24 * 3600 * 1000);
+        assert.equal(budget.getStats().dayCalls, 0);
+        // May 31st -> June 1st starts a new month too
+        assert.equal(budget.getStats().monthCalls, 0);
+    });
+
+    it('warns once per period at the soft limits', () => {
+        const budget = new BudgetManager({
+            storage,
+            pricePer1000Inferences: 1,
+            softLimits: { session: 2, day: 3, month: 100 }
+        });
+        const warnings = [];
+        budget.onWarning(warning => warnings.push(warning));
+        callTimes(budget, 4);
+
+        assert.deepEqual(warnings.map(({ period, calls }) => [period, calls]), [['session', 2], ['day', 3]]);
+        assert.equal(warnings[0].estimatedCost, 0.002);
+
+        // A new session warns again
+        budget.resetSession();
+        callTimes(budget, 2);
+        assert.equal(warnings.length, 3);
+    });
+
+    it('prices calls and projects the session rate over the operating hours', () => {
+        const budget = new BudgetManager({
+            storage,
+            pricePer1000Inferences: 0.5,
+            hostingPerHour: 2,
+            inferenceUnits: 2,
+            operatingHoursPerMonth: 100
+        });
+        callTimes(budget, 1000);
+        mock.timers.tick(3600 * 1000);
+
+        const stats = budget.getStats();
+        assert.equal(stats.sessionCost, 0.5);
+        // 400 hosting + 1000 calls/hour * 100 hours at $0.50 per 1000
+        assert.equal(stats.projectedMonthlyCost, 450);
+    });
+
+    it('floors the projection window at five minutes', () => {
+        const budget = new BudgetManager({ storage, hostingPerHour: 0, operatingHoursPerMonth: 1, pricePer1000Inferences: 1 });
+        callTimes(budget, 10);
+        // 10 calls in "5 minutes" -> 120 per hour
+        assert.equal(budget.getProjectedMonthlyCost(), 0.12);
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DetectionLayout, DEFAULT_COLORS } from '../js/detection-layout.js';
+
+const measureText = (text) => text.length * 6;
+
+function detection(name, confidence, boundingBox = { left: 0.1, top: 0.4, width: 0.2, height: 0.2 }) {
+    return { name, confidence, boundingBox };
+}
+
+function overlaps(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+describe('DetectionLayout.select', () => {
+    const detections = [detection('A', 0.9), detection('B', 0.5), detection('C', 0.6), detection('D', 0.95)];
+
+    it('orders by confidence without a priority list', () => {
+        const selected = new DetectionLayout().select(detections);
+        assert.deepEqual(selected.map(d => d.name), ['D', 'A', 'C', 'B']);
+    });
+
+    it('puts priority labels first, in priority order, then the rest by confidence', () => {
+        const selected = new DetectionLayout({ priority: ['C', 'B'] }).select(detections);
+        assert.deepEqual(selected.map(d => d.name), ['C', 'B', 'D', 'A']);
+    });
+
+    it('cuts off after maxCount', () => {
+        const selected = new DetectionLayout({ priority: ['B'], maxCount: 3 }).select(detections);
+        assert.deepEqual(selected.map(d => d.name), ['B', 'D', 'A']);
+    });
+
+    it('leaves the input untouched and accepts no detections', () => {
+        const input = [...detections];
+        new DetectionLayout().select(input);
+        assert.deepEqual(input, detections);
+        assert.deepEqual(new DetectionLayout().select(null), []);
+    });
+});
+
+describe('DetectionLayout.colorFor', () => {
+    it('prefers the label color and otherwise keeps one palette color per name', () => {
+        const layout = new DetectionLayout();
+        assert.equal(layout.colorFor({ name: 'A', color: '#123456' }), '#123456');
+        assert.ok(DEFAULT_COLORS.includes(layout.colorFor({ name: 'Sponsor' })));
+        assert.equal(layout.colorFor({ name: 'Sponsor' }), new DetectionLayout().colorFor({ name: 'Sponsor' }));
+    });
+});
+
+describe('DetectionLayout.layout', () => {
+    it('converts boxes to canvas pixels and puts the tag above the box', () => {
+        const [item] = new DetectionLayout().layout([detection('A', 0.9)], { width: 640, height: 480, measureText });
+        assert.deepEqual(item.box, { x: 64, y: 192, width: 128, height: 96 });
+        assert.deepEqual(item.label, { text: 'A (90%)', x: 64, y: 167, width: 52, height: 25 });
+    });
+
+    it('moves the tag below a box at the top edge and inside the right edge', () => {
+        const box = { left: 0.95, top: 0, width: 0.05, height: 0.1 };
+        const [item] = new DetectionLayout().layout([detection('A', 0.9, box)], { width: 640, height: 480, measureText });
+        assert.equal(item.label.y, 48);
+        assert.equal(item.label.x, 640 - 52);
+    });
+
+    it('never lets tags of overlapping boxes cover one another', () => {
+        const layout = new DetectionLayout();
+        const detections = ['A', 'B', 'C', 'D'].map(name => detection(name, 0.9));
+        const items = layout.layout(detections, { width: 640, height: 480, measureText });
+
+        for (let i = 0; i < items.length; i++) {
+            for (let j = i + 1; j < items.length; j++) {
+                assert.ok(!overlaps(items[i].label, items[j].label), `${items[i].detection.name} covers ${items[j].detection.name}`);
+            }
+            assert.ok(items[i].label.y >= 0 && items[i].label.y + 25 <= 480);
+        }
+    });
+
+    it('falls back to just above the box when no spot is free', () => {
+        const layout = new DetectionLayout();
+        // Room for exactly one tag, above the boxes; the second one has nowhere else to go
+        const box = { left: 0, top: 0.9, width: 1, height: 0.1 };
+        const [first, second] = layout.layout([detection('A', 0.9, box), detection('B', 0.9, box)], {
+            width: 640,
+            height: 40,
+            measureText
+        });
+        assert.equal(first.label.y, 11);
+        assert.equal(second.label.y, 11);
+    });
+
+    it('skips detections without a bounding box and uses getLabel for the tag text', () => {
+        const items = new DetectionLayout().layout([{ name: 'A', confidence: 0.9 }, detection('B', 0.8)], {
+            width: 640,
+            height: 480,
+            measureText,
+            getLabel: (d, index) => `${index + 1}. ${d.name}`
+        });
+        assert.equal(items.length, 1);
+        assert.equal(items[0].label.text, '1. B');
+        assert.equal(items[0].color, new DetectionLayout().colorFor({ name: 'B' }));
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExposureTimeline, reportToCsv } from '../js/exposure-report.js';
+
+function detection(name, confidence, width = 0.2, height = 0.5, extra = {}) {
+    return { name, confidence, boundingBox: { left: 0, top: 0, width, height }, ...extra };
+}
+
+describe('ExposureTimeline.buildReport', () => {
+    it('merges consecutive samples of a label into segments', () => {
+        const timeline = new ExposureTimeline({ sampleInterval: 1, source: { name: 'match.mp4', duration: 10 } });
+        timeline.addSample(0, [detection('A', 0.9)]);
+        timeline.addSample(1, [detection('A', 0.7)]);
+        timeline.addSample(2, []);
+        timeline.addSample(3, [detection('A', 0.8)]);
+
+        const [label] = timeline.buildReport().labels;
+        assert.deepEqual(label.segments.map(({ start, end, duration }) => ({ start, end, duration })), [
+            { start: 0, end: 2, duration: 2 },
+            { start: 3, end: 4, duration: 1 }
+        ]);
+        assert.equal(label.onScreenSeconds, 3);
+        assert.equal(label.longestExposure, 2);
+        assert.equal(label.shareOfDuration, 0.3);
+        assert.equal(label.segments[0].averageConfidence, 0.8);
+        assert.equal(label.segments[0].minConfidence, 0.7);
+        assert.equal(label.segments[0].maxConfidence, 0.9);
+    });
+
+    it('keeps labels apart and sorts them by on-screen time', () => {
+        const timeline = new ExposureTimeline({ sampleInterval: 1, source: { duration: 3 } });
+        timeline.addSample(0, [detection('A', 0.9), detection('B', 0.8)]);
+        timeline.addSample(1, [detection('B', 0.8)]);
+        timeline.addSample(2, [detection('B', 0.8)]);
+
+        const { labels } = timeline.buildReport();
+        assert.deepEqual(labels.map(label => [label.label, label.onScreenSeconds]), [['B', 3], ['A', 1]]);
+    });
+
+    it('clamps the last segment to the video duration', () => {
+        const timeline = new ExposureTimeline({ sampleInterval: 2, source: { duration: 5 } });
+        timeline.addSample(2, [detection('A', 0.9)]);
+        timeline.addSample(4, [detection('A', 0.9)]);
+
+        const [label] = timeline.buildReport().labels;
+        assert.deepEqual(label.segments.map(({ start, end }) => [start, end]), [[2, 5]]);
+        assert.equal(label.onScreenSeconds, 3);
+    });
+
+    it('sums the areas of several boxes of one label, capped at the whole frame', () => {
+        const timeline = new ExposureTimeline({ sampleInterval: 1, source: { duration: 2 } });
+        timeline.addSample(0, [detection('A', 0.6, 0.5, 0.5), detection('A', 0.9, 0.5, 0.2)]);
+        timeline.addSample(1, [detection('A', 0.9, 0.8, 0.8), detection('A', 0.9, 0.8, 0.8)]);
+
+        const [label] = timeline.buildReport().labels;
+        assert.equal(label.maxAreaShare, 1);
+        assert.equal(label.averageAreaShare, 0.675);
+        // The most confident box stands for the label in its sample
+        assert.equal(label.segments[0].minConfidence, 0.9);
+    });
+
+    it('counts carried, skipped and failed samples', () => {
+        const timeline = new ExposureTimeline({ sampleInterval: 1, source: { duration: 5 } });
+        timeline.addSample(0, [detection('A', 0.9, 0.4, 0.4, { displayName: 'Sponsor A' })]);
+        timeline.addSample(1, timeline.getLastDetections(), { carried: true });
+        timeline.addSkipped(2, 'too-dark');
+        timeline.addSkipped(3, 'too-dark');
+        timeline.addError(4);
+
+        const report = timeline.buildReport();
+        assert.deepEqual(report.samples, { detected: 1, carried: 1, errors: 1, skipped: { 'too-dark': 2 } });
+        assert.equal(report.source.samples, 5);
+
+        // Carried samples keep the label, its confidence and its area
+        const [label] = report.labels;
+        assert.equal(label.displayName, 'Sponsor A');
+        assert.deepEqual(label.segments.map(({ start, end }) => [start, end]), [[0, 2]]);
+        assert.equal(label.averageAreaShare, 0.16);
+        assert.equal(label.segments[0].minConfidence, 0.9);
+    });
+
+    it('reports no labels for a video without detections', () => {
+        const timeline = new ExposureTimeline({ sampleInterval: 1, source: { duration: 2 } });
+        timeline.addSample(0, []);
+        timeline.addSkipped(1, 'no-frame');
+
+        assert.deepEqual(timeline.buildReport().labels, []);
+    });
+});
+
+describe('reportToCsv', () => {
+    it('writes a summary row per label followed by its segment rows', () => {
+        const timeline = new ExposureTimeline({ sampleInterval: 1, source: { duration: 4 } });
+        timeline.addSample(0, [detection('A', 0.9)]);
+        timeline.addSample(1, []);
+        timeline.addSample(2, [detection('A', 0.8)]);
+
+        const lines = reportToCsv(timeline.buildReport()).trimEnd().split('\n');
+        assert.equal(lines[0], 'type,label,display_name,start,end,duration,on_screen_seconds,share_of_duration,' +
+            'longest_exposure,average_area_share,max_area_share,average_confidence,min_confidence,max_confidence');
+        assert.deepEqual(lines.slice(1), [
+            'summary,A,A,,,,2,0.5,1,0.1,0.1,,,',
+            'segment,A,A,0,1,1,,,,0.1,,0.9,0.9,0.9',
+            'segment,A,A,2,3,1,,,,0.1,,0.8,0.8,0.8'
+        ]);
+    });
+
+    it('quotes fields with commas, quotes and line breaks', () => {
+        const timeline = new ExposureTimeline({ sampleInterval: 1, source: { duration: 1 } });
+        timeline.addSample(0, [detection('A', 0.9, 0.2, 0.5, { displayName: 'Sponsor "A", Inc.\nMX' })]);
+
+        const csv = reportToCsv(timeline.buildReport());
+        assert.ok(csv.includes('\nsummary,A,"Sponsor ""A"", Inc.\nMX",,,,1,'));
+        assert.ok(csv.includes('\nsegment,A,"Sponsor ""A"", Inc.\nMX",0,1,1,'));
+    });
+
+    it('ends with a newline and has only the header for an empty report', () => {
+        const report = new ExposureTimeline({ source: { duration: 1 } }).buildReport();
+        assert.equal(reportToCsv(report).split('\n').length, 2);
+        assert.ok(reportToCsv(report).endsWith('\n'));
+    });
+});
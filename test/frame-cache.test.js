@@ -0,0 +1,95 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerceptualCache } from '../js/frame-cache.js';
+
+// Gray-level frame from a function of the pixel position
+function frame(width, height, shade) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = shade(x, y);
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width, height };
+}
+
+const gradient = (x) => 255 - x * 3;
+const reversed = (x) => x * 3;
+
+describe('PerceptualCache hashing', () => {
+    it('hashes a frame into two 32-bit words', () => {
+        const cache = new PerceptualCache();
+        // Brightness falls left to right, so every left/right comparison is a 1
+        assert.deepEqual(cache.computeHash(frame(72, 64, gradient)), [0xFFFFFFFF, 0xFFFFFFFF]);
+        assert.deepEqual(cache.computeHash(frame(72, 64, reversed)), [0, 0]);
+    });
+
+    it('gives the same hash to the same picture at another size or brightness', () => {
+        const cache = new PerceptualCache();
+        const hash = cache.computeHash(frame(72, 64, gradient));
+        assert.deepEqual(cache.computeHash(frame(144, 128, x => gradient(x / 2))), hash);
+        assert.deepEqual(cache.computeHash(frame(72, 64, x => gradient(x) * 0.5)), hash);
+    });
+
+    it('counts differing bits', () => {
+        const cache = new PerceptualCache();
+        assert.equal(cache.hammingDistance([0, 0], [0, 0]), 0);
+        assert.equal(cache.hammingDistance([0xFFFFFFFF, 0], [0, 0]), 32);
+        assert.equal(cache.hammingDistance([0b1011, 0x80000000], [0, 0]), 4);
+    });
+});
+
+describe('PerceptualCache lookups', () => {
+    afterEach(() => mock.timers.reset());
+
+    it('hits within the Hamming tolerance and misses beyond it', () => {
+        const cache = new PerceptualCache({ tolerance: 2 });
+        cache.set([0, 0], ['A']);
+
+        assert.deepEqual(cache.get([0b11, 0]), ['A']);
+        assert.equal(cache.get([0b111, 0]), null);
+        assert.deepEqual(cache.getStats(), { cacheSize: 1, cacheHits: 1, cacheMisses: 1, cacheHitRate: '50.0' });
+    });
+
+    it('returns the closest entry within tolerance', () => {
+        const cache = new PerceptualCache({ tolerance: 4 });
+        cache.set([0b1111, 0], ['far']);
+        cache.set([0b0001, 0], ['near']);
+
+        assert.deepEqual(cache.get([0b0011, 0]), ['near']);
+    });
+
+    it('keeps empty results, which are hits too', () => {
+        const cache = new PerceptualCache();
+        cache.set([1, 1], []);
+        assert.deepEqual(cache.get([1, 1]), []);
+        assert.equal(cache.getStats().cacheHits, 1);
+    });
+
+    it('expires entries after the cache TTL or their own', () => {
+        mock.timers.enable({ apis: ['Date'] });
+        const cache = new PerceptualCache({ ttl: 1000, tolerance: 0 });
+        cache.set([1, 0], ['A']);
+        cache.set([0, 1], [], 300);
+
+        mock.timers.tick(300);
+        assert.equal(cache.get([0, 1]), null);
+        assert.deepEqual(cache.get([1, 0]), ['A']);
+
+        mock.timers.tick(700);
+        assert.equal(cache.get([1, 0]), null);
+        assert.equal(cache.size, 0);
+    });
+
+    it('drops the oldest entry beyond maxSize', () => {
+        const cache = new PerceptualCache({ maxSize: 2, tolerance: 0 });
+        cache.set([1, 0], ['A']);
+        cache.set([2, 0], ['B']);
+        cache.set([3, 0], ['C']);
+
+        assert.equal(cache.get([1, 0]), null);
+        assert.deepEqual(cache.get([3, 0]), ['C']);
+    });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSourceSize, mapBoundingBox } from '../js/image-preprocessor.js';
+
+// What ImagePreprocessor.process resolves to, minus the bytes
+function uploadedFrame({ region, scale, sourceWidth, sourceHeight }) {
+    return {
+        region,
+        scale,
+        width: Math.round(region.width * scale),
+        height: Math.round(region.height * scale),
+        sourceWidth,
+        sourceHeight
+    };
+}
+
+function assertBoxClose(actual, expected) {
+    Object.keys(expected).forEach(key => {
+        assert.ok(Math.abs(actual[key] - expected[key]) < 1e-9, `${key}: ${actual[key]} != ${expected[key]}`);
+    });
+}
+
+describe('mapBoundingBox', () => {
+    it('leaves boxes of a downscaled full frame unchanged', () => {
+        const frame = uploadedFrame({
+            region: { x: 0, y: 0, width: 1280, height: 720 },
+            scale: 0.625,
+            sourceWidth: 1280,
+            sourceHeight: 720
+        });
+        const box = { left: 0.1, top: 0.2, width: 0.3, height: 0.4 };
+        assertBoxClose(mapBoundingBox(box, frame), box);
+    });
+
+    it('maps boxes of a cropped region back onto the full frame', () => {
+        const frame = uploadedFrame({
+            region: { x: 200, y: 100, width: 400, height: 400 },
+            scale: 0.5,
+            sourceWidth: 1000,
+            sourceHeight: 800
+        });
+        assertBoxClose(mapBoundingBox({ left: 0.5, top: 0.25, width: 0.5, height: 0.5 }, frame), {
+            left: 0.4,
+            top: 0.25,
+            width: 0.2,
+            height: 0.25
+        });
+    });
+
+    it('maps the whole upload onto exactly the cropped region', () => {
+        const frame = uploadedFrame({
+            region: { x: 300, y: 60, width: 600, height: 300 },
+            scale: 1,
+            sourceWidth: 1200,
+            sourceHeight: 600
+        });
+        assertBoxClose(mapBoundingBox({ left: 0, top: 0, width: 1, height: 1 }, frame), {
+            left: 0.25,
+            top: 0.1,
+            width: 0.5,
+            height: 0.5
+        });
+    });
+});
+
+describe('getSourceSize', () => {
+    it('reads the intrinsic size of videos, images and canvases', () => {
+        assert.deepEqual(getSourceSize({ videoWidth: 1280, videoHeight: 720, width: 300, height: 150 }), { width: 1280, height: 720 });
+        assert.deepEqual(getSourceSize({ naturalWidth: 640, naturalHeight: 480, width: 10, height: 10 }), { width: 640, height: 480 });
+        assert.deepEqual(getSourceSize({ width: 320, height: 240 }), { width: 320, height: 240 });
+    });
+});
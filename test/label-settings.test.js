@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LabelSettings } from '../js/label-settings.js';
+
+function memoryStorage(initial = {}) {
+    const values = new Map(Object.entries(initial));
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value))
+    };
+}
+
+function detection(name, confidence) {
+    return { name, confidence, boundingBox: null };
+}
+
+describe('LabelSettings', () => {
+    it('layers UI edits over configured defaults over built-in defaults', () => {
+        const settings = new LabelSettings({
+            storage: memoryStorage(),
+            labels: { A: { minConfidence: 0.6, displayName: 'Sponsor A' } }
+        });
+        settings.update('A', { displayName: 'Sponsor A (edited)' });
+
+        assert.deepEqual(settings.get('A'), {
+            name: 'A',
+            minConfidence: 0.6,
+            enabled: true,
+            displayName: 'Sponsor A (edited)',
+            color: null,
+            url: null
+        });
+        assert.equal(settings.get('B').displayName, 'B');
+    });
+
+    it('persists edits and drops them on reset', () => {
+        const storage = memoryStorage();
+        new LabelSettings({ storage }).update('A', { enabled: false });
+
+        const settings = new LabelSettings({ storage });
+        assert.equal(settings.get('A').enabled, false);
+
+        settings.resetLabel('A');
+        assert.equal(new LabelSettings({ storage }).get('A').enabled, true);
+    });
+
+    it('ignores unreadable stored edits', () => {
+        const settings = new LabelSettings({ storage: memoryStorage({ 'logoDetection.labels': '{not json' }) });
+        assert.deepEqual(settings.getAll(), []);
+    });
+
+    it('filters by each label\'s own threshold and attaches its settings', () => {
+        const settings = new LabelSettings({
+            storage: memoryStorage(),
+            labels: {
+                A: { minConfidence: 0.5, color: '#EF4444', url: 'https://a.example/' },
+                background: { enabled: false }
+            }
+        });
+
+        const applied = settings.apply(
+            [detection('A', 0.55), detection('B', 0.7), detection('C', 0.85), detection('background', 0.99)],
+            0.8
+        );
+        assert.deepEqual(applied.map(({ name, displayName, color, url }) => ({ name, displayName, color, url })), [
+            { name: 'A', displayName: 'A', color: '#EF4444', url: 'https://a.example/' },
+            { name: 'C', displayName: 'C', color: null, url: null }
+        ]);
+    });
+
+    it('asks the service for the lowest threshold an enabled label needs', () => {
+        const settings = new LabelSettings({
+            storage: memoryStorage(),
+            labels: { A: { minConfidence: 0.6 }, B: { minConfidence: 0.2, enabled: false } }
+        });
+        assert.equal(settings.getMinimumConfidence(0.8), 0.6);
+        assert.equal(settings.getMinimumConfidence(0.5), 0.5);
+    });
+
+    it('lists labels as they become known, sorted', () => {
+        const settings = new LabelSettings({ storage: memoryStorage(), labels: { C: {} } });
+        settings.addKnownLabels(['B']);
+        settings.apply([detection('A', 0.9)], 0.5);
+
+        assert.deepEqual(settings.getAll().map(label => label.name), ['A', 'B', 'C']);
+    });
+
+    it('tells settings listeners only about edits, and change listeners about new labels too', () => {
+        const settings = new LabelSettings({ storage: memoryStorage() });
+        const changes = [];
+        const edits = [];
+        settings.onChange(labels => changes.push(labels.map(label => label.name)));
+        const unsubscribe = settings.onSettingsChange(() => edits.push('edit'));
+
+        settings.addKnownLabels(['A']);
+        settings.addKnownLabels(['A']);
+        settings.apply([detection('B', 0.9)], 0.5);
+        assert.deepEqual(changes, [['A'], ['A', 'B']]);
+        assert.deepEqual(edits, []);
+
+        settings.update('A', { minConfidence: 0.4 });
+        settings.resetLabel('A');
+        assert.equal(changes.length, 4);
+        assert.deepEqual(edits, ['edit', 'edit']);
+
+        unsubscribe();
+        settings.update('A', { enabled: false });
+        assert.equal(edits.length, 2);
+    });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OperatingSchedule } from '../js/operating-schedule.js';
+
+const at = iso => new Date(iso);
+
+function schedule(options) {
+    return new OperatingSchedule({ timeZone: 'America/New_York', ...options });
+}
+
+describe('OperatingSchedule windows', () => {
+    const weekdays = schedule({ windows: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '18:00' }] });
+
+    it('is open inside a window in the schedule\'s time zone', () => {
+        // Wednesday 09:00-18:00 EDT is 13:00-22:00 UTC
+        assert.equal(weekdays.isOpen(at('2024-05-15T12:59:00Z')), false);
+        assert.deepEqual(weekdays.getCurrentWindow(at('2024-05-15T13:00:00Z')), {
+            start: at('2024-05-15T13:00:00Z'),
+            end: at('2024-05-15T22:00:00Z')
+        });
+        assert.equal(weekdays.isOpen(at('2024-05-15T22:00:00Z')), false);
+        // Saturday
+        assert.equal(weekdays.isOpen(at('2024-05-18T15:00:00Z')), false);
+    });
+
+    it('finds the next opening, skipping the weekend', () => {
+        assert.deepEqual(weekdays.getNextOpening(at('2024-05-17T23:00:00Z')), at('2024-05-20T13:00:00Z'));
+    });
+
+    it('keeps a window crossing midnight open on the next day', () => {
+        const nights = schedule({ windows: [{ days: ['fri'], start: '22:00', end: '02:00' }] });
+        // Saturday 01:30 EDT belongs to Friday's window
+        assert.deepEqual(nights.getCurrentWindow(at('2024-05-18T05:30:00Z')), {
+            start: at('2024-05-18T02:00:00Z'),
+            end: at('2024-05-18T06:00:00Z')
+        });
+        assert.equal(nights.isOpen(at('2024-05-18T06:00:00Z')), false);
+    });
+
+    it('cancels every window starting on a blackout date, including its hours after midnight', () => {
+        const nights = schedule({
+            windows: [{ days: ['fri'], start: '22:00', end: '02:00' }],
+            blackoutDates: ['2024-05-17']
+        });
+        assert.equal(nights.isOpen(at('2024-05-18T03:00:00Z')), false);
+        assert.deepEqual(nights.getNextOpening(at('2024-05-17T12:00:00Z')), at('2024-05-25T02:00:00Z'));
+    });
+
+    it('has no next opening beyond the lookahead', () => {
+        const later = schedule({ windows: [{ days: ['mon'], start: '09:00', end: '10:00' }], lookahead: 3 });
+        assert.equal(later.getNextOpening(at('2024-05-14T12:00:00Z')), null);
+    });
+
+    it('is always open when disabled', () => {
+        const disabled = schedule({ enabled: false, windows: [] });
+        assert.equal(disabled.isOpen(at('2024-05-15T03:00:00Z')), true);
+    });
+
+    it('rejects malformed times and days', () => {
+        assert.throws(() => schedule({ windows: [{ start: '9am', end: '17:00' }] }), /Invalid schedule time "9am"/);
+        assert.throws(() => schedule({ windows: [{ days: ['someday'], start: '09:00', end: '17:00' }] }),
+            /Invalid schedule day "someday"/);
+    });
+});
+
+describe('OperatingSchedule across DST changes', () => {
+    const early = schedule({ windows: [{ start: '01:00', end: '04:00' }] });
+
+    it('shortens a window spanning the spring-forward gap', () => {
+        // 2024-03-10: 01:00 EST (06:00Z) to 04:00 EDT (08:00Z)
+        assert.deepEqual(early.getCurrentWindow(at('2024-03-10T07:30:00Z')), {
+            start: at('2024-03-10T06:00:00Z'),
+            end: at('2024-03-10T08:00:00Z')
+        });
+    });
+
+    it('ends a window spanning the fall-back hour on standard time', () => {
+        // 2024-11-03: 04:00 EST is 09:00Z, four hours after 01:00 EDT
+        const window = early.getCurrentWindow(at('2024-11-03T08:30:00Z'));
+        assert.deepEqual(window.end, at('2024-11-03T09:00:00Z'));
+        assert.equal(early.isOpen(at('2024-11-03T09:00:00Z')), false);
+    });
+
+    it('opens at the new offset after the change', () => {
+        const mornings = schedule({ windows: [{ start: '09:00', end: '17:00' }] });
+        // Saturday 09:00 EST is 14:00Z; Sunday 09:00 EDT is 13:00Z
+        assert.deepEqual(mornings.getNextOpening(at('2024-03-09T12:00:00Z')), at('2024-03-09T14:00:00Z'));
+        assert.deepEqual(mornings.getNextOpening(at('2024-03-09T15:00:00Z')), at('2024-03-10T13:00:00Z'));
+    });
+});
+
+describe('OperatingSchedule stats', () => {
+    it('accumulates scheduled and active time only while open', () => {
+        const daytime = schedule({ windows: [{ start: '09:00', end: '18:00' }] });
+        const open = at('2024-05-15T14:00:00Z').getTime();
+        daytime.recordTick(true, open);
+        daytime.recordTick(true, open + 60000);
+        daytime.recordTick(false, open + 120000);
+        // Closed at night
+        const night = at('2024-05-16T04:00:00Z').getTime();
+        daytime.recordTick(true, night);
+        daytime.recordTick(true, night + 60000);
+
+        const { scheduledTime, activeTime, scheduleUtilization } = daytime.getStats();
+        assert.equal(scheduledTime, 120000);
+        assert.equal(activeTime, 60000);
+        assert.equal(scheduleUtilization, '50.0');
+    });
+});
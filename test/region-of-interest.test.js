@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RegionOfInterest } from '../js/region-of-interest.js';
+
+function detection(name, boundingBox) {
+    return { name, confidence: 0.9, boundingBox };
+}
+
+describe('RegionOfInterest', () => {
+    it('scans the full frame first and every Nth scan, the center crop otherwise', () => {
+        const roi = new RegionOfInterest({ fullFrameEvery: 3, centerCrop: 0.5 });
+        assert.equal(roi.next(1000, 800), null);
+        assert.deepEqual(roi.next(1000, 800), { x: 250, y: 200, width: 500, height: 400 });
+        assert.deepEqual(roi.next(1000, 800), { x: 250, y: 200, width: 500, height: 400 });
+        assert.equal(roi.next(1000, 800), null);
+        assert.deepEqual(roi.getStats(), { fullFrameScans: 2, centerScans: 2, trackedScans: 0 });
+    });
+
+    it('follows the last hit with a margin around its box', () => {
+        const roi = new RegionOfInterest({ margin: 0.5, minSize: 0 });
+        roi.next(1000, 1000);
+        roi.record([detection('A', { left: 0.4, top: 0.4, width: 0.2, height: 0.2 })]);
+        assert.deepEqual(roi.next(1000, 1000), { x: 300, y: 300, width: 400, height: 400 });
+    });
+
+    it('covers every logo of the last scan, not only the first', () => {
+        const roi = new RegionOfInterest({ margin: 0, minSize: 0 });
+        roi.next(1000, 1000);
+        roi.record([
+            detection('A', { left: 0.1, top: 0.1, width: 0.1, height: 0.1 }),
+            { name: 'B', confidence: 0.8 },
+            detection('C', { left: 0.6, top: 0.5, width: 0.2, height: 0.3 })
+        ]);
+        assert.deepEqual(roi.next(1000, 1000), { x: 100, y: 100, width: 700, height: 700 });
+    });
+
+    it('drops back to the center crop after a miss', () => {
+        const roi = new RegionOfInterest({ centerCrop: 0.5 });
+        roi.next(1000, 800);
+        roi.record([detection('A', { left: 0, top: 0, width: 0.1, height: 0.1 })]);
+        roi.record([]);
+        assert.deepEqual(roi.next(1000, 800), { x: 250, y: 200, width: 500, height: 400 });
+    });
+});
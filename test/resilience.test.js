@@ -0,0 +1,127 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeBackoff, CircuitBreaker, CIRCUIT_STATES } from '../js/resilience.js';
+
+describe('computeBackoff', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('draws a delay between 0 and base * 2^attempt', () => {
+        mock.method(Math, 'random', () => 0.5);
+        assert.equal(computeBackoff(0, { baseDelay: 100 }), 50);
+        assert.equal(computeBackoff(3, { baseDelay: 100 }), 400);
+
+        mock.method(Math, 'random', () => 0);
+        assert.equal(computeBackoff(3, { baseDelay: 100 }), 0);
+    });
+
+    it('caps the ceiling at maxDelay', () => {
+        mock.method(Math, 'random', () => 0.999999);
+        assert.equal(computeBackoff(20, { baseDelay: 500, maxDelay: 8000 }), 8000);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    let breaker;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.timers.enable({ apis: ['Date'] });
+        breaker = new CircuitBreaker({ failureThreshold: 3, cooldown: 1000, maxCooldown: 3000, probeWait: 200 });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    function trip() {
+        for (let i = 0; i < 3; i++) {
+            breaker.canRequest();
+            breaker.recordFailure();
+        }
+    }
+
+    it('opens after failureThreshold consecutive failures', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+        breaker.recordFailure();
+        assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+
+        breaker.recordFailure();
+        assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+        assert.equal(breaker.canRequest(), false);
+        assert.equal(breaker.getRetryAfter(), 1000);
+    });
+
+    it('lets a single probe through once the cooldown has elapsed', () => {
+        trip();
+        mock.timers.tick(1000);
+        assert.equal(breaker.getRetryAfter(), 0);
+
+        assert.equal(breaker.canRequest(), true);
+        assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+        assert.equal(breaker.canRequest(), false);
+        // A positive hint while the probe is out, so callers don't spin
+        assert.equal(breaker.getRetryAfter(), 200);
+    });
+
+    it('closes when the probe succeeds', () => {
+        trip();
+        mock.timers.tick(1000);
+        breaker.canRequest();
+        breaker.recordSuccess();
+
+        assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+        assert.equal(breaker.canRequest(), true);
+    });
+
+    it('re-opens with a doubled cooldown, up to maxCooldown, when probes fail', () => {
+        trip();
+        const cooldowns = [];
+        for (let i = 0; i < 3; i++) {
+            mock.timers.tick(breaker.getRetryAfter());
+            breaker.canRequest();
+            breaker.recordFailure();
+            cooldowns.push(breaker.getRetryAfter());
+        }
+        assert.deepEqual(cooldowns, [2000, 3000, 3000]);
+
+        // A success resets the cooldown
+        mock.timers.tick(3000);
+        breaker.canRequest();
+        breaker.recordSuccess();
+        trip();
+        assert.equal(breaker.getRetryAfter(), 1000);
+    });
+
+    it('frees the probe for another call when it is released', () => {
+        trip();
+        mock.timers.tick(1000);
+        breaker.canRequest();
+        breaker.releaseProbe();
+
+        assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+        assert.equal(breaker.canRequest(), true);
+    });
+
+    it('reports state changes and counts rejections and probes', () => {
+        const changes = [];
+        breaker.onStateChange((state, previous) => changes.push(`${previous}->${state}`));
+        trip();
+        breaker.canRequest();
+        mock.timers.tick(1000);
+        breaker.canRequest();
+        breaker.recordSuccess();
+
+        assert.deepEqual(changes, ['closed->open', 'open->half-open', 'half-open->closed']);
+        assert.deepEqual(breaker.getStats(), {
+            circuitState: 'closed',
+            consecutiveFailures: 0,
+            circuitOpened: 1,
+            circuitRejected: 1,
+            circuitProbes: 1
+        });
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryQuotaStore, DynamoQuotaStore } from '../server/quota.js';
+import { HttpError } from '../server/http.js';
+
+function conditionFailed() {
+    const error = new Error('The conditional request failed');
+    error.name = 'ConditionalCheckFailedException';
+    return error;
+}
+
+// Stands in for DynamoDBClient: one item per key, honoring the store's two condition expressions
+function fakeDynamo() {
+    const counts = new Map();
+    return {
+        counts,
+        commands: [],
+        async send(command) {
+            const { Key, UpdateExpression, ExpressionAttributeValues: values } = command.input;
+            const key = Key.pk.S;
+            const count = counts.get(key);
+            this.commands.push(UpdateExpression);
+
+            if (UpdateExpression.includes(':minus1')) {
+                if (count === undefined || count <= Number(values[':zero'].N)) {
+                    throw conditionFailed();
+                }
+                counts.set(key, count - 1);
+                return {};
+            }
+
+            if (count !== undefined && count >= Number(values[':limit'].N)) {
+                throw conditionFailed();
+            }
+            counts.set(key, (count || 0) + 1);
+            return { Attributes: { count: { N: String(counts.get(key)) } } };
+        }
+    };
+}
+
+function dynamoStore(limit) {
+    const store = new DynamoQuotaStore({ limit, tableName: 'quota', region: 'us-east-1' });
+    store.client = fakeDynamo();
+    return store;
+}
+
+for (const [name, createStore] of [
+    ['MemoryQuotaStore', limit => new MemoryQuotaStore({ limit })],
+    ['DynamoQuotaStore', dynamoStore]
+]) {
+    describe(name, () => {
+        it('counts down the remaining quota and refuses once it is used up', async () => {
+            const store = createStore(2);
+            assert.equal(await store.consume('alice'), 1);
+            assert.equal(await store.consume('alice'), 0);
+
+            await assert.rejects(store.consume('alice'), error => {
+                assert.ok(error instanceof HttpError);
+                assert.equal(error.statusCode, 429);
+                assert.equal(error.code, 'QuotaExceeded');
+                return true;
+            });
+        });
+
+        it('keeps a quota per user', async () => {
+            const store = createStore(1);
+            await store.consume('alice');
+            assert.equal(await store.consume('bob'), 0);
+        });
+
+        it('gives a refunded call back', async () => {
+            const store = createStore(2);
+            await store.consume('alice');
+            await store.consume('alice');
+            await store.refund('alice');
+
+            assert.equal(await store.consume('alice'), 0);
+        });
+
+        it('never refunds below zero', async () => {
+            const store = createStore(1);
+            await store.refund('alice');
+            await store.refund('alice');
+
+            assert.equal(await store.consume('alice'), 0);
+            await assert.rejects(store.consume('alice'), { code: 'QuotaExceeded' });
+        });
+    });
+}
+
+describe('DynamoQuotaStore refunds', () => {
+    it('decrements the shared counter atomically', async () => {
+        const store = dynamoStore(5);
+        await store.consume('alice');
+        await store.refund('alice');
+
+        assert.deepEqual(store.client.commands, [
+            'ADD #count :one SET expiresAt = if_not_exists(expiresAt, :expiresAt)',
+            'ADD #count :minus1'
+        ]);
+        assert.equal([...store.client.counts.values()][0], 0);
+    });
+
+    it('passes on errors other than the failed condition', async () => {
+        const store = dynamoStore(5);
+        store.client.send = async () => {
+            throw new Error('Network down');
+        };
+        await assert.rejects(store.refund('alice'), /Network down/);
+    });
+});
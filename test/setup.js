@@ -0,0 +1,2 @@
+// The browser modules under test attach themselves to `window` for the vanilla app
+globalThis.window = globalThis;